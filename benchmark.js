@@ -3,6 +3,7 @@ const QRCode = require('qrcode');
 const sharp = require('sharp');
 sharp.concurrency(4);
 sharp.cache(false);
+const { createRenderPool } = require('./lib/renderpool');
 
 // Current approach: manual JS pixel loop
 async function makeQR_pixelLoop(serial) {
@@ -77,6 +78,13 @@ async function run() {
     await bench('QRCode PNG → JPEG  seq',    N, makeQR_hybrid,    1);
     await bench(`QRCode PNG → JPEG  x${C}`,  N, makeQR_hybrid,    C);
 
+    // The server's path: lib/render.js on worker threads (RENDER_WORKERS)
+    const pool    = createRenderPool(/^\d+$/.test(process.env.RENDER_WORKERS || '') ? Number(process.env.RENDER_WORKERS) : undefined);
+    const session = pool.session({ cfg: { width: 300, margin: 2, format: 'jpeg', errorCorrectionLevel: 'M' } });
+    await bench(`Render pool (${pool.size} thread${pool.size === 1 ? '' : 's'})  x${C}`, N, s => session.render(s, s), C);
+    session.close();
+    await pool.close();
+
     const mem = process.memoryUsage();
     console.log(`\nPeak RAM — RSS: ${(mem.rss/1024/1024).toFixed(1)} MB, Heap: ${(mem.heapUsed/1024/1024).toFixed(1)} MB\n`);
 }
@@ -8,33 +8,57 @@ const express    = require('express');
 const cors       = require('cors');
 const multer     = require('multer');
 const xlsx       = require('xlsx');
-const archiver   = require('archiver');
 const fs         = require('fs');
+const crypto     = require('crypto');
 const path       = require('path');
 const mongoose   = require('mongoose');
-const QRCode     = require('qrcode');
 const sharp      = require('sharp');
 require('dotenv').config();
 
+const { PAYLOAD_TYPES, buildPayload } = require('./lib/payloads');
+const { resolveStyle } = require('./lib/styles');
+const { SYMBOLOGIES, resolveSymbology, resolveBarHeight, encodeSymbol } = require('./lib/symbologies');
+const { resolveQrEncoding, describeQrEncoding } = require('./lib/qrencode');
+const { resolveCaption, loadFont } = require('./lib/captions');
+const { resolveFrame } = require('./lib/frames');
+const { resolveSheetLayout, buildSheetPageSvg, createSheetPdf, addSheetPdfPage } = require('./lib/sheets');
+const { lintDesign } = require('./lib/design');
+const { isDataFile, readWorkbook, selectSheet, sheetDimensions, columnStats } = require('./lib/input');
+const { STATUSES, createBatchStore, newBatchId, normalizeStatus } = require('./lib/batches');
+const { generateSerials } = require('./lib/serials');
+const { createPresetStore, newPresetId, presetConfig } = require('./lib/presets');
+const { createLinkStore, newShortCode, isRedirectTarget, summarizeStats, scanOf } = require('./lib/links');
+const { resolveManifestFormats, manifestEntries, buildManifest, annotateWorkbook } = require('./lib/manifest');
+const { resolveZipLayout, safePathSegment, safeFolderPath, assignChunkFolders, createZipWriter } = require('./lib/zip');
+const { resolveVariants, describeVariants, lintVariants } = require('./lib/variants');
+const { FORMAT_EXT, resolveSizing, generateQRBuffer, prepareLogo, prepareBackground } = require('./lib/render');
+const { createRenderPool, createBackpressure, withConcurrency } = require('./lib/renderpool');
+const { createKeyStore, createRateLimiter, apiKeyOf, sameKey, keyFields, issueKey, usageMonth } = require('./lib/apikeys');
+
 // ─── Sharp global settings ────────────────────────────────────────────────────
 // concurrency(4): let sharp use 4 libuv threads concurrently per operation
 // cache(false):   never cache pixel data — saves significant RAM on Render
 sharp.concurrency(4);
 sharp.cache(false);
 
-// ─── Async concurrency pool ───────────────────────────────────────────────────
-// Runs up to `concurrency` async tasks at once from `items`.
-// Each task result is handled by `fn` immediately and GC'd — no accumulation.
-async function withConcurrency(items, concurrency, fn) {
-    const queue = items.slice(); // shallow copy so we can shift safely
-    const workers = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
-        while (queue.length > 0) {
-            const item = queue.shift();
-            if (item !== undefined) await fn(item);
-        }
-    });
-    await Promise.all(workers);
-}
+// ─── Render workers ───────────────────────────────────────────────────────────
+// Batch codes render on worker threads (lib/renderpool.js):
+//   RENDER_WORKERS        threads (default: CPU cores less one, at least 1;
+//                         0 renders on the main thread)
+//   QR_CONCURRENCY        codes in flight per batch (default 8)
+//   RENDER_MAX_BUFFER_MB  hold back while this much waits to be zipped (default 64)
+//   RENDER_MAX_RSS_MB     hold back while the process RSS is above this (default 768)
+const RENDER_WORKERS     = /^\d+$/.test(process.env.RENDER_WORKERS || '') ? Number(process.env.RENDER_WORKERS) : undefined;
+const renderPool         = createRenderPool(RENDER_WORKERS, {
+    onWorkerExit: err => console.error(`[POOL] Render worker exited: ${err.message}`),
+});
+if (process.env.RENDER_WORKERS && RENDER_WORKERS === undefined)
+    console.warn(`[POOL] RENDER_WORKERS "${process.env.RENDER_WORKERS}" is not a whole number; using the default of ${renderPool.size}`);
+const RENDER_CONCURRENCY = Math.max(1, parseInt(process.env.QR_CONCURRENCY || '8'));
+const RENDER_LIMITS      = {
+    maxBufferedBytes: parseFloat(process.env.RENDER_MAX_BUFFER_MB || '64') * 1024 * 1024,
+    maxRssBytes:      parseFloat(process.env.RENDER_MAX_RSS_MB || '768') * 1024 * 1024,
+};
 
 // ─── Memory usage logger ─────────────────────────────────────────────────────
 function logMemory(label) {
@@ -46,146 +70,134 @@ function logMemory(label) {
 }
 
 // ─── Config helpers ───────────────────────────────────────────────────────────
-function hexToRgba(hex) {
-    let c = hex.replace('#', '');
-    if (c.length === 3) c = c.split('').map(x => x + x).join('');
-    if (c.length === 6) c += 'ff';
-    return {
-        r: parseInt(c.slice(0, 2), 16),
-        g: parseInt(c.slice(2, 4), 16),
-        b: parseInt(c.slice(4, 6), 16),
-        a: parseInt(c.slice(6, 8), 16),
-    };
+// Client-side mistakes (bad template, unknown column…) carry an HTTP status
+// so route handlers can report them instead of a generic 500.
+function badRequest(message) {
+    return Object.assign(new Error(message), { status: 400 });
 }
 
-/**
- * Generate a single QR code image buffer.
- * All logic runs in-process — no worker threads — keeping memory predictable.
- * Each buffer is generated, appended to the ZIP, then GC'd immediately.
- */
-async function generateQRBuffer(serial, cfg, logoDataUri) {
-    const {
-        width = 300, margin = 2, marginX, marginY,
-        errorCorrectionLevel = 'M', format = 'jpeg',
-        colorDark = '#000000', colorLight = '#ffffff',
-        moduleStyle = 'square', eyeStyle = 'square',
-        logoSize = 20, showText = 'false', textFontSize = null,
-        textX = 0, textSpace = 0,
-    } = cfg;
-
-    const qrWidth       = parseInt(width);
-    const marginInt     = parseInt(margin);
-    const marginXInt    = marginX !== undefined ? parseInt(marginX) : marginInt;
-    const marginYInt    = marginY !== undefined ? parseInt(marginY) : marginInt;
-    const shouldShowText = showText === 'true' || showText === true;
-    const fontSize      = textFontSize
-        ? parseInt(textFontSize)
-        : Math.floor(Math.max(40, Math.floor(qrWidth * 0.15)) * 0.4);
-    const textHeight    = Math.max(Math.floor(qrWidth * 0.15), Math.floor(fontSize * 2.5));
-
-    let actualColorLight = colorLight;
-    if (colorLight === 'transparent') {
-        actualColorLight = format === 'png' ? 'transparent' : '#ffffff';
-    }
-
-    const qrData  = QRCode.create(String(serial), { errorCorrectionLevel });
-    const modules = qrData.modules;        // BitMatrix — has .get(r,c) and .size
-    const size    = modules.size;
-    const totalQRSizeX = size + 2 * marginXInt;
-    const totalQRSizeY = size + 2 * marginYInt;
-
-    // ── Fast pixel path: square modules, no logo, no text ────────────────────
-    if (
-        moduleStyle === 'square' && eyeStyle === 'square' &&
-        !logoDataUri && !shouldShowText && marginXInt === marginYInt
-    ) {
-        const buf   = Buffer.alloc(totalQRSizeX * totalQRSizeY * 4, 0);
-        const cDark = hexToRgba(colorDark);
-        const cLight = actualColorLight === 'transparent'
-            ? { r: 255, g: 255, b: 255, a: 0 } // Use transparent white to prevent black-box bug in design software
-            : hexToRgba(actualColorLight);
-
-        for (let r = 0; r < totalQRSizeY; r++) {
-            for (let c = 0; c < totalQRSizeX; c++) {
-                const offset  = (r * totalQRSizeX + c) * 4;
-                let isDark    = false;
-                if (r >= marginYInt && r < size + marginYInt && c >= marginXInt && c < size + marginXInt) {
-                    isDark = modules.get(r - marginYInt, c - marginXInt);
-                }
-                const color = isDark ? cDark : cLight;
-                buf[offset]     = color.r;
-                buf[offset + 1] = color.g;
-                buf[offset + 2] = color.b;
-                buf[offset + 3] = color.a;
-            }
-        }
-        return sharp(buf, { raw: { width: totalQRSizeX, height: totalQRSizeY, channels: 4 } })
-            .resize(qrWidth, qrWidth, { kernel: sharp.kernel.nearest })
-            .toFormat(format === 'png' ? 'png' : 'jpeg', format === 'png' ? {} : { quality: 90 })
-            .toBuffer();
-    }
+// ─── Row templates ────────────────────────────────────────────────────────────
+// `{Header}` is replaced by that column's value in the current row, resolved
+// against the header row (case-insensitive). `{#}` is the row's position in
+// the batch (1, 2, 3…) and `{#row}` its sheet row. `{Header|url}` URL-encodes
+// the value, `|upper` / `|lower` change case and `|pad4` zero-pads to 4
+// characters. `{{` and `}}` are literal braces.
+const TEMPLATE_FILTERS = {
+    url:   v => encodeURIComponent(v),
+    upper: v => v.toUpperCase(),
+    lower: v => v.toLowerCase(),
+};
+const TEMPLATE_COUNTERS = ['#', '#row'];
+const templateFilter    = f => TEMPLATE_FILTERS[f] || (/^pad\d+$/.test(f) ? v => v.padStart(Number(f.slice(3)), '0') : null);
 
-    // ── SVG path: rounded/dots/logo/text ─────────────────────────────────────
-    const shapes   = [];
-    const isFinder = (r, c) =>
-        (r < 7 && c < 7) || (r < 7 && c >= size - 7) || (r >= size - 7 && c < 7);
+function compileTemplate(template, headers, label) {
+    const byName = new Map();
+    headers.forEach((h, i) => {
+        const key = String(h).trim().toLowerCase();
+        if (key && !byName.has(key)) byName.set(key, i);
+    });
 
-    const eyes = [{ r: 0, c: 0 }, { r: 0, c: size - 7 }, { r: size - 7, c: 0 }];
-    for (const eye of eyes) {
-        if (eyeStyle === 'rounded') {
-            shapes.push(`<rect x="${eye.c + marginXInt + 0.5}" y="${eye.r + marginYInt + 0.5}" width="6" height="6" rx="1.5" fill="none" stroke="${colorDark}" stroke-width="1" />`);
-            shapes.push(`<rect x="${eye.c + marginXInt + 2}" y="${eye.r + marginYInt + 2}" width="3" height="3" rx="0.5" fill="${colorDark}" />`);
-        } else {
-            shapes.push(`<rect x="${eye.c + marginXInt + 0.5}" y="${eye.r + marginYInt + 0.5}" width="6" height="6" fill="none" stroke="${colorDark}" stroke-width="1" />`);
-            shapes.push(`<rect x="${eye.c + marginXInt + 2}" y="${eye.r + marginYInt + 2}" width="3" height="3" fill="${colorDark}" />`);
-        }
+    const parts = []; // literal strings and { name, col, filters } placeholders
+    const re    = /\{\{|\}\}|\{([^{}]+)\}/g;
+    let last = 0, m;
+    while ((m = re.exec(template)) !== null) {
+        if (m.index > last) parts.push(template.slice(last, m.index));
+        last = re.lastIndex;
+        if (m[0] === '{{' || m[0] === '}}') { parts.push(m[0][0]); continue; }
+
+        const [name, ...filters] = m[1].split('|').map(x => x.trim());
+        const counter = TEMPLATE_COUNTERS.includes(name.toLowerCase()) ? name.toLowerCase() : null;
+        const col     = counter ? null : byName.get(name.toLowerCase());
+        if (col === undefined)
+            throw badRequest(`${label}: unknown column "{${name}}". Available: ${headers.filter(h => String(h).trim()).join(', ')}`);
+        for (const f of filters)
+            if (!templateFilter(f)) throw badRequest(`${label}: unknown filter "|${f}" in {${m[1]}}`);
+        parts.push({ name, col, counter, filters: filters.map(templateFilter) });
     }
+    if (last < template.length) parts.push(template.slice(last));
 
-    for (let r = 0; r < size; r++) {
-        for (let c = 0; c < size; c++) {
-            if (isFinder(r, c)) continue;
-            if (modules.get(r, c)) {
-                if (moduleStyle === 'dots')
-                    shapes.push(`<circle cx="${c + marginXInt + 0.5}" cy="${r + marginYInt + 0.5}" r="0.4" fill="${colorDark}" />`);
-                else if (moduleStyle === 'rounded')
-                    shapes.push(`<rect x="${c + marginXInt + 0.1}" y="${r + marginYInt + 0.1}" width="0.8" height="0.8" rx="0.2" fill="${colorDark}" />`);
-                else
-                    shapes.push(`<rect x="${c + marginXInt}" y="${r + marginYInt}" width="1" height="1" fill="${colorDark}" />`);
-            }
+    // Renders one row; `getValue(col)` returns the trimmed cell text or '',
+    // `counters` the { '#', '#row' } numbers. Placeholders whose cell is
+    // empty are reported in `missing`.
+    return function render(getValue, counters = {}) {
+        let value = '';
+        const missing = [];
+        for (const part of parts) {
+            if (typeof part === 'string') { value += part; continue; }
+            let v = part.counter ? String(counters[part.counter] ?? '') : getValue(part.col);
+            if (v === '') missing.push(part.name);
+            for (const f of part.filters) v = f(v);
+            value += v;
         }
-    }
+        return { value, missing };
+    };
+}
 
-    const unitRatio        = totalQRSizeX / qrWidth;
-    const textSpaceInt     = parseInt(textSpace) || 0;
-    const textSpaceUnits   = textSpaceInt * unitRatio;
-    const textHeightUnits  = (textHeight * unitRatio) + textSpaceUnits;
-    const totalHeightUnits = shouldShowText ? totalQRSizeY + textHeightUnits : totalQRSizeY;
+// ─── Row selection ────────────────────────────────────────────────────────────
+// `filter` restricts generation to rows matching conditions on any column,
+// e.g. `Status = Active` or `Qty >= 10`; join several with `&&` or repeat the
+// field. Operators: = != > >= < <= plus ~ / !~ for contains / not contains.
+// Quote names or values with spaces at the ends ("Status " = "On hold").
+// Comparisons ignore case and are numeric when both sides are numbers; an
+// empty value matches empty cells.
+const FILTER_RE  = /^\s*(?:"([^"]+)"|(.+?))\s*(!=|>=|<=|!~|=|>|<|~)\s*(?:"(.*)"|(.*?))\s*$/;
+const FILTER_OPS = {
+    '=':  cmp => cmp === 0,
+    '!=': cmp => cmp !== 0,
+    '>':  cmp => cmp > 0,
+    '>=': cmp => cmp >= 0,
+    '<':  cmp => cmp < 0,
+    '<=': cmp => cmp <= 0,
+};
 
-    const extraElements = [];
-    if (logoDataUri) {
-        const lSizeUnits = (parseInt(logoSize) / 100) * size;
-        const lPosX      = marginXInt + (size - lSizeUnits) / 2;
-        const lPosY      = marginYInt + (size - lSizeUnits) / 2;
-        const safeLogoBg = actualColorLight === 'transparent' ? '#ffffff' : actualColorLight;
-        extraElements.push(`<rect x="${lPosX - 0.2}" y="${lPosY - 0.2}" width="${lSizeUnits + 0.4}" height="${lSizeUnits + 0.4}" fill="${safeLogoBg}" />`);
-        extraElements.push(`<image x="${lPosX}" y="${lPosY}" width="${lSizeUnits}" height="${lSizeUnits}" href="${logoDataUri}" />`);
-    }
+// Column index for a header name (case-insensitive, first match wins)
+function findColumn(headers, name, label) {
+    const key = String(name).trim().toLowerCase();
+    const col = key ? headers.findIndex(h => String(h).trim().toLowerCase() === key) : -1;
+    if (col < 0)
+        throw badRequest(`${label}: unknown column "${name}". Available: ${headers.filter(h => String(h).trim()).join(', ')}`);
+    return col;
+}
 
-    if (shouldShowText) {
-        const escaped    = String(serial).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
-        const textYUnits = totalQRSizeY + textSpaceUnits + ((textHeightUnits - Math.max(0, textSpaceUnits)) / 2);
-        const fontSzUnits = fontSize * unitRatio;
-        const textXPos   = (totalQRSizeX / 2) + ((parseFloat(textX) || 0) * unitRatio);
-        extraElements.push(`<text x="${textXPos}" y="${textYUnits}" font-family="Arial, Helvetica, sans-serif" font-size="${fontSzUnits}" fill="${colorDark}" text-anchor="middle" dominant-baseline="middle" font-weight="bold">${escaped}</text>`);
-    }
+/**
+ * Compile `filter` into `matches(getValue)`, or null when there is none.
+ * `getValue(col)` returns the trimmed cell text, as for templates.
+ */
+function compileFilter(filter, headers) {
+    const specs = (Array.isArray(filter) ? filter : [filter])
+        .flatMap(f => String(f).split('&&'))
+        .filter(f => f.trim() !== '');
+    if (specs.length === 0) return null;
 
-    const qrBaseHeight   = Math.round(totalQRSizeY / unitRatio);
-    const qrOutputHeight = shouldShowText ? qrBaseHeight + textHeight + textSpaceInt : qrBaseHeight;
-    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${totalQRSizeX} ${totalHeightUnits}" width="${qrWidth}" height="${qrOutputHeight}" shape-rendering="crispEdges"><rect width="100%" height="100%" fill="${actualColorLight}"/>${shapes.join('')}${extraElements.join('')}</svg>`;
+    const conditions = specs.map((spec) => {
+        const m = FILTER_RE.exec(spec);
+        if (!m) throw badRequest(`filter: cannot parse "${spec.trim()}". Use e.g. Status = Active`);
+        const col    = findColumn(headers, m[1] || m[2], 'filter');
+        const op     = m[3];
+        const target = m[4] !== undefined ? m[4] : m[5];
+        const lower  = target.toLowerCase();
+        const num    = target !== '' && Number.isFinite(Number(target)) ? Number(target) : null;
+
+        if (op === '~' || op === '!~') {
+            const want = op === '~';
+            return getValue => getValue(col).toLowerCase().includes(lower) === want;
+        }
+        return (getValue) => {
+            const v   = getValue(col);
+            const n   = num !== null && v !== '' && Number.isFinite(Number(v)) ? Number(v) : null;
+            const cmp = n !== null ? n - num : v.toLowerCase().localeCompare(lower);
+            return FILTER_OPS[op](cmp);
+        };
+    });
+    return getValue => conditions.every(matches => matches(getValue));
+}
 
-    return sharp(Buffer.from(svg))
-        .toFormat(format === 'png' ? 'png' : 'jpeg', format === 'png' ? {} : { quality: 90 })
-        .toBuffer();
+// 1-based sheet row option → 0-based index, or the fallback when unset
+function rowOption(cfg, key, fallback) {
+    if (cfg[key] === undefined || cfg[key] === '') return fallback;
+    const n = Number(cfg[key]);
+    if (!Number.isInteger(n) || n < 1) throw badRequest(`${key} must be a sheet row number (1 or more)`);
+    return n - 1;
 }
 
 // ─── Cleanup helper ───────────────────────────────────────────────────────────
@@ -200,25 +212,121 @@ const app  = express();
 const PORT = process.env.PORT || 5000;
 
 app.get('/', (req, res) => res.send('QR Code Generator API is running...'));
-app.use(cors());
+
+// ─── CORS ─────────────────────────────────────────────────────────────────────
+// CORS_ORIGINS limits browser access to a comma-separated allowlist, e.g.
+// "https://app.example.com,https://*.partner.example"; unset, any origin may
+// call the API. `*.` matches any subdomain.
+function originPattern(origin) {
+    const escaped = origin.replace(/\/+$/, '').split('*.').map(p => p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${escaped.join('(?:[a-z0-9-]+\\.)+')}$`, 'i');
+}
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean).map(originPattern);
+app.use(cors({
+    origin:         corsOrigins.length ? (origin, cb) => cb(null, !origin || corsOrigins.some(re => re.test(origin))) : '*',
+    exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'Retry-After'],
+}));
 app.use(express.json());
 
 const uploadDir = path.join(__dirname, 'uploads');
 if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
 
 // ─── MongoDB ──────────────────────────────────────────────────────────────────
-if (process.env.MONGODB_URI && process.env.MONGODB_URI.startsWith('mongodb')) {
+const useMongo = !!(process.env.MONGODB_URI && process.env.MONGODB_URI.startsWith('mongodb'));
+if (useMongo) {
     mongoose.connect(process.env.MONGODB_URI)
         .then(() => console.log('MongoDB Connected'))
         .catch(err => console.log('MongoDB Connection Error:', err));
 }
 
-const UploadLog = mongoose.model('UploadLog', new mongoose.Schema({
-    filename:    String,
-    recordCount: Number,
-    timestamp:   { type: Date, default: Date.now },
-    status:      String,
-}));
+// Batch history: UploadLog in MongoDB, or an in-memory stand-in without it
+const batchStore = createBatchStore(useMongo);
+console.log(`[DB] Batch history: ${batchStore.kind}`);
+
+// Design presets, stored the same way (logos live under uploads/presets)
+const presetStore = createPresetStore(useMongo);
+
+// Short codes of dynamic batches and their scans
+const linkStore = createLinkStore(useMongo);
+if (linkStore.kind === 'memory')
+    console.warn('[LINK] Short codes are kept in memory without MongoDB: printed dynamic codes stop redirecting when the server restarts');
+
+// ─── API keys ─────────────────────────────────────────────────────────────────
+// REQUIRE_API_KEY=true makes every /api route need a key (lib/apikeys.js);
+// /r redirects stay public. Otherwise a key is optional and, when sent, brings
+// its limits and usage counts. ADMIN_API_KEY manages keys through /api/keys
+// and sees every job and batch. Without MongoDB keys are kept in
+// API_KEYS_FILE (default api-keys.json next to index.js). Keys without limits
+// of their own get API_RATE_LIMIT requests per minute (default 60) and
+// API_MONTHLY_QUOTA codes per month (default 0: no quota).
+const keyStore        = createKeyStore(useMongo, process.env.API_KEYS_FILE || path.join(__dirname, 'api-keys.json'));
+const rateLimiter     = createRateLimiter();
+const REQUIRE_API_KEY = process.env.REQUIRE_API_KEY === 'true';
+const ADMIN_API_KEY   = process.env.ADMIN_API_KEY || null;
+const ADMIN_KEY       = { id: 'admin', name: 'admin', admin: true };
+const KEY_DEFAULTS    = {
+    rateLimit:    parseInt(process.env.API_RATE_LIMIT || '60'),
+    monthlyQuota: parseInt(process.env.API_MONTHLY_QUOTA || '0'),
+};
+console.log(`[AUTH] API keys: ${keyStore.kind}, ${REQUIRE_API_KEY ? 'required' : 'optional'}`);
+
+// A key's limits, server defaults filled in
+const keyLimits = key => ({
+    rateLimit:    typeof key.rateLimit === 'number' ? key.rateLimit : KEY_DEFAULTS.rateLimit,
+    monthlyQuota: typeof key.monthlyQuota === 'number' ? key.monthlyQuota : KEY_DEFAULTS.monthlyQuota,
+});
+
+/**
+ * Sets req.apiKey ({ id, name, admin, rateLimit, monthlyQuota }) from the
+ * key a request sends, applies its rate limit and counts the request.
+ * No key: 401 with REQUIRE_API_KEY, else the request goes on without one.
+ */
+async function authenticate(req, res, next) {
+    const sent = apiKeyOf(req);
+    if (!sent) {
+        if (!REQUIRE_API_KEY) return next();
+        return res.status(401).json({ error: 'This API needs a key: send "Authorization: Bearer <key>" or an X-API-Key header' });
+    }
+    if (ADMIN_API_KEY && sameKey(sent, ADMIN_API_KEY)) {
+        req.apiKey = ADMIN_KEY;
+        return next();
+    }
+
+    let key;
+    try {
+        key = await keyStore.findByKey(sent);
+    } catch (err) {
+        console.error('[AUTH] Key lookup failed:', err.message);
+        return res.status(500).json({ error: 'Failed to check the API key' });
+    }
+    if (!key) return res.status(401).json({ error: 'Unknown API key' });
+    if (key.revokedAt) return res.status(401).json({ error: 'This API key has been revoked' });
+
+    const limits = keyLimits(key);
+    if (limits.rateLimit > 0) {
+        const take = rateLimiter.take(key.id, limits.rateLimit);
+        res.set('X-RateLimit-Limit',     String(limits.rateLimit));
+        res.set('X-RateLimit-Remaining', String(take.remaining));
+        if (!take.ok) {
+            res.set('Retry-After', String(take.retryAfter));
+            return res.status(429).json({ error: `Rate limit of ${limits.rateLimit} requests per minute reached; retry in ${take.retryAfter}s` });
+        }
+    }
+    req.apiKey = { id: key.id, name: key.name, admin: false, ...limits };
+    keyStore.count(key.id, usageMonth(), { requests: 1 })
+        .catch(err => console.error(`[AUTH] Could not count a request of key ${key.id}:`, err.message));
+    next();
+}
+app.use('/api', authenticate);
+
+function requireAdmin(req, res, next) {
+    if (req.apiKey && req.apiKey.admin) return next();
+    res.status(403).json({ error: ADMIN_API_KEY ? 'Only the admin key can manage API keys' : 'Set ADMIN_API_KEY to manage API keys through the API' });
+}
+
+// A key sees the jobs and batches it started and the presets it saved; the
+// admin key, and requests without a key while keys are optional, see them all
+const canSee = (req, ownerId) => !req.apiKey || req.apiKey.admin || req.apiKey.id === ownerId;
 
 // ─── Multer ───────────────────────────────────────────────────────────────────
 const storage = multer.diskStorage({
@@ -230,201 +338,1929 @@ const upload = multer({
     limits: { fileSize: 50 * 1024 * 1024 }, // 50 MB upload cap
     fileFilter: (req, file, cb) => {
         if (file.fieldname === 'file') {
-            if (file.mimetype.includes('excel') || file.mimetype.includes('spreadsheetml'))
-                return cb(null, true);
-            return cb(new Error('Only Excel files are allowed for the data sheet!'), false);
+            if (isDataFile(file.originalname, file.mimetype)) return cb(null, true);
+            return cb(new Error('The data sheet must be Excel, ODS, CSV/TSV or JSON!'), false);
         }
-        if (file.fieldname === 'logo') {
+        if (file.fieldname === 'logo' || file.fieldname === 'background') {
             if (file.mimetype.startsWith('image/')) return cb(null, true);
-            return cb(new Error('Only image files are allowed for the logo!'), false);
+            return cb(new Error(`Only image files are allowed for the ${file.fieldname}!`), false);
+        }
+        if (file.fieldname === 'font') {
+            if (/\.(ttf|otf|ttc|woff2?)$/i.test(file.originalname)) return cb(null, true);
+            return cb(new Error('The caption font must be a TTF, OTF or WOFF file!'), false);
         }
         cb(null, true);
     },
 });
-const uploadFields = upload.fields([{ name: 'file', maxCount: 1 }, { name: 'logo', maxCount: 1 }]);
+const uploadFields = upload.fields([{ name: 'file', maxCount: 1 }, { name: 'logo', maxCount: 1 }, { name: 'font', maxCount: 1 }, { name: 'background', maxCount: 1 }]);
 
-// ─── /api/generate ────────────────────────────────────────────────────────────
-app.post('/api/generate', uploadFields, async (req, res) => {
-    let filePath    = null;
-    let logoPath    = null;
-    let tempZipPath = null;
-    const startOverall = Date.now();
+// ─── Generation jobs ──────────────────────────────────────────────────────────
+// Every /api/generate call is tracked as a job object. Synchronous requests
+// keep theirs private; `async=true` requests register it in `jobs` so the
+// client can poll progress, download the ZIP later or cancel mid-generation.
+const jobs = new Map();
+
+// `input`: { fileName, filePath, logoPath, logoName, fontPath, fontName, backgroundPath, backgroundName, cfg, baseUrl }
+function createJob(input) {
+    return {
+        id:           `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`,
+        status:       'queued',
+        fileName:     input.fileName,
+        filePath:     input.filePath,
+        logoPath:     input.logoPath || null,
+        logoName:     input.logoName || null,
+        fontPath:     input.fontPath || null,
+        fontName:     input.fontName || null,
+        backgroundPath: input.backgroundPath || null,
+        backgroundName: input.backgroundName || null,
+        cfg:          input.cfg,
+        baseUrl:      input.baseUrl || null,
+        batchId:      null,
+        regeneratedFrom: input.regeneratedFrom || null,
+        apiKey:       input.apiKey || null, // req.apiKey of the request that started it
+        codesReserved: null, // { month, n } counted against the key's quota
+        totalRows:    0,
+        total:        0,
+        processed:    0,
+        successCount: 0,
+        errorCount:   0,
+        skippedCount: 0,
+        filteredCount: 0,
+        unreadableCount: 0,
+        linkCount:    0,
+        design:       null,
+        render:       null, // render pool figures, see jobThroughput
+        zipParts:     [], // { path, size } per ZIP file; more than one with zipPartSize
+        zipSize:      0,  // all parts together
+        downloadedParts: new Set(),
+        error:        null,
+        createdAt:    Date.now(),
+        finishedAt:   null,
+        abort:        new AbortController(),
+    };
+}
+
+function jobSummary(job) {
+    return {
+        id:           job.id,
+        batchId:      job.batchId,
+        status:       job.status,
+        fileName:     job.fileName,
+        totalRows:    job.totalRows,
+        total:        job.total,
+        processed:    job.processed,
+        successCount: job.successCount,
+        errorCount:   job.errorCount,
+        skippedCount: job.skippedCount,
+        filteredCount: job.filteredCount,
+        unreadableCount: job.unreadableCount,
+        design:       job.design,
+        throughput:   jobThroughput(job),
+        zipSize:      job.zipSize,
+        ...(job.zipParts.length > 1 && {
+            parts: job.zipParts.map((p, i) => ({
+                part: i + 1, size: p.size,
+                downloadUrl: job.status === 'completed' ? `/api/jobs/${job.id}/download?part=${i + 1}` : null,
+            })),
+        }),
+        error:        job.error,
+        createdAt:    new Date(job.createdAt).toISOString(),
+        finishedAt:   job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+        downloadUrl:  job.status === 'completed' ? `/api/jobs/${job.id}/download` : null,
+    };
+}
+
+/**
+ * How fast a job rendered, in benchmark.js terms: codes, ms and codes/sec
+ * (so far, while it runs). `pausedMs` / `pauses` are how long and how often
+ * backpressure held new codes back, by reason; peaks are in MB.
+ */
+function jobThroughput(job) {
+    const r = job.render;
+    if (!r) return null;
+    const ms = (r.finishedAt || Date.now()) - r.startedAt;
+    return {
+        threads:         r.threads,
+        concurrency:     r.concurrency,
+        codes:           job.processed,
+        ms,
+        perSecond:       ms > 0 ? Math.round(job.processed * 1000 / ms) : null,
+        pausedMs:        r.held.pausedMs,
+        pauses:          r.held.pauses,
+        peakRssMb:       r.peaks.rssMb,
+        peakZipBufferMb: r.peaks.zipBufferMb,
+    };
+}
+
+function describeThroughput(job) {
+    const t      = jobThroughput(job);
+    const pauses = Object.entries(t.pauses).map(([reason, n]) => `${reason} ${n}×`).join(', ');
+    return `Rendered ${t.codes} in ${t.ms}ms (${t.perSecond || 0}/sec) on ` +
+        `${t.threads ? `${t.threads} worker thread(s)` : 'the main thread'}, ${t.concurrency} in flight` +
+        (pauses ? `; held back ${t.pausedMs}ms (${pauses})` : '');
+}
+
+const zipPaths = job => job.zipParts.map(p => p.path);
+
+function discardJob(job) {
+    safeDelete(...zipPaths(job), job.filePath, job.logoPath, job.fontPath, job.backgroundPath);
+    jobs.delete(job.id);
+}
+
+// Adds to the headers cors already exposes (X-RateLimit-*, Retry-After)
+function exposeHeaders(res, names) {
+    const exposed = String(res.get('Access-Control-Expose-Headers') || '').split(',').map(h => h.trim()).filter(Boolean);
+    res.set('Access-Control-Expose-Headers', [...new Set([...exposed, ...names])].join(', '));
+}
+
+function setCountHeaders(res, job) {
+    exposeHeaders(res, ['X-Total-Count', 'X-Success-Count', 'X-Skipped-Count', 'X-Filtered-Count', 'X-Unreadable-Count', 'Content-Disposition']);
+    res.set('X-Total-Count',      String(job.totalRows));
+    res.set('X-Success-Count',    String(job.successCount));
+    res.set('X-Skipped-Count',    String(job.skippedCount + job.errorCount));
+    res.set('X-Filtered-Count',   String(job.filteredCount));
+    res.set('X-Unreadable-Count', String(job.unreadableCount));
+}
+
+/**
+ * Lay the records out on label sheets instead of loose images: one
+ * multi-page labels.pdf (written to a temp file, then added to the ZIP) and
+ * optionally pages/page-NNNN.png at `sheetDpi`. Codes that fail to render
+ * are counted and left out, so no label on the sheet is wasted.
+ * `renderer` is the batch's render pool session; `render` ({ throttle, held })
+ * is passed on to withConcurrency.
+ * `checkReadable(record, checks)`, when given, records each code's decode result.
+ * Returns the temp PDF path for the caller to delete once the ZIP is written.
+ */
+async function appendLabelSheets(job, records, cfg, renderer, render, zip, layout, checkReadable) {
+    const signal      = job.abort.signal;
+    const withPng     = cfg.sheetPng === 'true' || cfg.sheetPng === true;
+    const dpi         = Math.min(600, Math.max(72, parseInt(cfg.sheetDpi) || 150));
+    const background  = cfg.colorLight || '#ffffff';
+
+    const pdfPath = path.join(uploadDir, `sheet_${Date.now()}_${Math.random().toString(36).slice(2)}.pdf`);
+    const doc     = createSheetPdf(layout, job.fileName);
+    const pdfDone = new Promise((resolve, reject) => {
+        const ws = fs.createWriteStream(pdfPath);
+        ws.on('finish', resolve);
+        ws.on('error', reject);
+        doc.pipe(ws);
+    });
+
+    let pageNo    = 0;
+    const pending = [];
+    const emitPage = async (cells) => {
+        const pageSvg = buildSheetPageSvg(layout, cells, background);
+        addSheetPdfPage(doc, layout, pageSvg);
+        pageNo++;
+        if (withPng) {
+            const png = await sharp(Buffer.from(pageSvg), { density: dpi }).png().toBuffer();
+            zip.append(png, { name: `pages/page-${String(pageNo).padStart(4, '0')}.png` });
+        }
+    };
+
+    for (let i = 0; i < records.length && !signal.aborted; i += layout.perPage) {
+        const batch = records.slice(i, i + layout.perPage);
+        const svgs  = new Array(batch.length).fill(null);
+        await withConcurrency(batch.map((record, idx) => ({ record, idx })), RENDER_CONCURRENCY, async ({ record, idx }) => {
+            try {
+                const { buffers: [svgBuf], checks } = await renderer.renderOutputs(record.payload, record.caption,
+                    { overrides: { format: 'svg' }, verify: !!checkReadable });
+                if (checkReadable) checkReadable(record, checks);
+                svgs[idx] = svgBuf.toString();
+                record.file = 'labels.pdf';
+                job.successCount++;
+            } catch (err) {
+                console.error(`[GEN] Error on "${record.payload}": ${err.message}`);
+                record.error = err.message;
+                job.errorCount++;
+            }
+            job.processed++;
+        }, { ...render, signal });
+
+        for (const svg of svgs) if (svg) pending.push(svg);
+        while (pending.length >= layout.perPage) await emitPage(pending.splice(0, layout.perPage));
+        logMemory(`SHEET ${pageNo} (${job.processed}/${records.length})`);
+    }
+    if (pending.length > 0 && !signal.aborted) await emitPage(pending.splice(0));
 
+    doc.end();
+    await pdfDone;
+    if (!signal.aborted) {
+        const part = zip.append(fs.createReadStream(pdfPath), { name: 'labels.pdf', size: fs.statSync(pdfPath).size });
+        for (const record of records) if (record.file) record.part = part;
+    }
+    console.log(`[GEN] ${pageNo} sheet page(s) at ${layout.columns}×${layout.rows}`);
+    return pdfPath;
+}
+
+/**
+ * Read an uploaded data file (Excel, ODS, CSV/TSV or JSON) and pick the
+ * sheet chosen by `sheetName` / `sheetIndex`. `delimiter` and `encoding`
+ * override detection for delimited text. Unreadable files are a 400.
+ */
+function loadSheet(filePath, cfg) {
+    let input;
     try {
-        if (!req.files || !req.files['file'])
-            return res.status(400).json({ error: 'No data file uploaded' });
+        input = readWorkbook(filePath, { delimiter: cfg.delimiter, encoding: cfg.encoding });
+    } catch (err) {
+        throw badRequest(`Could not read the data file: ${err.message}`);
+    }
+    try {
+        return { ...input, ...selectSheet(input.workbook, cfg) };
+    } catch (err) {
+        throw badRequest(err.message);
+    }
+}
 
-        filePath = req.files['file'][0].path;
-        logoPath = req.files['logo'] ? req.files['logo'][0].path : null;
+/**
+ * Read the selected sheet of an uploaded data file into records to render.
+ * Each record is { row, payload, caption, name, folder? } (row is the 1-based sheet
+ * row); rows that cannot be encoded land in `errors` as { row, error, value },
+ * rows the filter leaves out in `filteredRows`. `headerRow` is the 0-based
+ * row the column names were read from, -1 without one; `totalRows` counts
+ * the rows below the header rows. `input` is the loaded file (see loadSheet),
+ * for annotating after the render: the upload may be swept away by then.
+ * `prepare(payload)`, when given, has the last word on each row: it throws
+ * (or rejects) to skip the row, its message becoming the row error, or
+ * returns fields to lay over the record, e.g. the payload to encode instead.
+ * Rows are settled one by one, so the {#} counter has no gaps for rows
+ * skipped this way.
+ * Throws badRequest for configuration mistakes (unknown column, bad template…).
+ */
+async function parseRecords(filePath, cfg, prepare = null) {
+    const input = loadSheet(filePath, cfg);
+    const { sheet, name: sheetName } = input;
+    const range     = xlsx.utils.decode_range(sheet['!ref'] || 'A1');
+    let targetCol   = parseInt(cfg.colIndex || 0);
 
-        logMemory('START');
-        console.log(`[GEN] File: ${req.files['file'][0].originalname}`);
+    const cellText = (r, c) => {
+        const cell = sheet[xlsx.utils.encode_cell({ r, c })];
+        return cell && cell.v !== undefined && cell.v !== null ? String(cell.v).trim() : '';
+    };
 
-        // ── Parse Excel ───────────────────────────────────────────────────────
-        const workbook  = xlsx.readFile(filePath, { cellFormula: false, cellHTML: false, cellText: false });
-        const sheet     = workbook.Sheets[workbook.SheetNames[0]];
-        const targetCol = parseInt(req.body.colIndex || 0);
-        const range     = xlsx.utils.decode_range(sheet['!ref'] || 'A1');
+    // Templates, structured payload types, `column` and `filter` resolve
+    // columns by name against the last of `headerRows` rows. Like
+    // /api/analyze, the first row is taken as the header unless headerRows=0
+    // says the sheet has none. Header rows are never encoded.
+    const payloadType = cfg.payloadType && cfg.payloadType !== 'text' ? cfg.payloadType : null;
+    const templates   = {};
+    const fieldTemplates = {};
+    if (payloadType && !PAYLOAD_TYPES[payloadType])
+        throw badRequest(`Unknown payloadType "${payloadType}". Use one of: text, ${Object.keys(PAYLOAD_TYPES).join(', ')}`);
+    if (payloadType && cfg.payloadTemplate)
+        throw badRequest('payloadTemplate and payloadType cannot be combined');
+
+    const usesHeaders = !!(payloadType || cfg.payloadTemplate || cfg.captionTemplate || cfg.filenameTemplate || cfg.folderTemplate || cfg.column || cfg.filter);
+    const headerRows  = cfg.headerRows !== undefined && cfg.headerRows !== '' ? Number(cfg.headerRows) : 1;
+    if (!Number.isInteger(headerRows) || headerRows < 0) throw badRequest('headerRows must be a whole number, 0 or more');
+    if (usesHeaders && headerRows === 0)
+        throw badRequest('Templates, payloadType, column and filter find columns by name, so headerRows must be at least 1');
+
+    const firstDataRow = range.s.r + headerRows;
+    const headers      = [];
+    for (let c = 0; c <= range.e.c && headerRows > 0; c++) headers.push(cellText(firstDataRow - 1, c));
+    if (cfg.column) targetCol = findColumn(headers, cfg.column, 'column');
+    const matchesFilter = cfg.filter ? compileFilter(cfg.filter, headers) : null;
+
+    // rowStart/rowEnd: inclusive 1-based sheet rows, as reported in report.txt
+    const rowStart = rowOption(cfg, 'rowStart', 0);
+    const rowEnd   = rowOption(cfg, 'rowEnd', range.e.r);
+    if (rowEnd < rowStart) throw badRequest('rowEnd must not be before rowStart');
+    const startRow = Math.max(firstDataRow, rowStart);
+    const endRow   = Math.min(range.e.r, rowEnd);
+
+    if (usesHeaders) {
+        if (cfg.payloadTemplate)  templates.payload  = compileTemplate(cfg.payloadTemplate, headers, 'payloadTemplate');
+        if (cfg.captionTemplate)  templates.caption  = compileTemplate(cfg.captionTemplate, headers, 'captionTemplate');
+        if (cfg.filenameTemplate) templates.filename = compileTemplate(cfg.filenameTemplate, headers, 'filenameTemplate');
+        if (cfg.folderTemplate)   templates.folder   = compileTemplate(cfg.folderTemplate, headers, 'folderTemplate');
+
+        // payloadFields: JSON object of field → header name, or field → template
+        // when the value contains placeholders, e.g. {"ssid":"Network","note":"Room {Room}"}
+        if (payloadType) {
+            const spec = PAYLOAD_TYPES[payloadType];
+            let mapping;
+            try {
+                mapping = typeof cfg.payloadFields === 'string' ? JSON.parse(cfg.payloadFields) : cfg.payloadFields;
+            } catch (_) {
+                throw badRequest('payloadFields must be a JSON object');
+            }
+            if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping))
+                throw badRequest(`payloadFields must map ${payloadType} fields (${spec.fields.join(', ')}) to columns`);
+            for (const [field, source] of Object.entries(mapping)) {
+                if (!spec.fields.includes(field))
+                    throw badRequest(`payloadFields: "${field}" is not a ${payloadType} field. Use: ${spec.fields.join(', ')}`);
+                const tpl = String(source).includes('{') ? String(source) : `{${source}}`;
+                fieldTemplates[field] = compileTemplate(tpl, headers, `payloadFields.${field}`);
+            }
+            const unmapped = spec.required.filter(f => !fieldTemplates[f]);
+            if (unmapped.length > 0)
+                throw badRequest(`payloadFields: ${payloadType} requires ${unmapped.join(', ')}`);
+        }
+    }
 
-        const validRecords = [];
-        const errors       = [];
-        const seen         = new Set();
+    const validRecords = []; // { row, payload, caption, name, folder?, ...prepare's fields }
+    const errors       = [];
+    const seen         = new Set();
+    const listMissing  = missing => missing.map(n => `{${n}}`).join(', ');
+    const filteredRows = [];
 
-        for (let r = range.s.r; r <= range.e.r; r++) {
+    for (let r = startRow; r <= endRow; r++) {
+        const getValue = c => cellText(r, c);
+        const counters = { '#': validRecords.length + 1, '#row': r + 1 };
+        if (matchesFilter && !matchesFilter(getValue)) {
+            // Blank rows would fail most filters; only count real rows
+            let blank = true;
+            for (let c = range.s.c; c <= range.e.c && blank; c++) blank = getValue(c) === '';
+            if (!blank) filteredRows.push(r + 1);
+            continue;
+        }
+        let s;
+        let label = null; // default caption/filename for structured payloads
+        if (payloadType) {
+            const fields = {};
+            let any = false;
+            for (const [field, tpl] of Object.entries(fieldTemplates)) {
+                fields[field] = tpl(getValue, counters).value.trim();
+                if (fields[field]) any = true;
+            }
+            if (!any) continue; // nothing mapped on this row — treat like an empty cell
+            try {
+                s = buildPayload(payloadType, fields);
+            } catch (err) {
+                errors.push({ row: r + 1, error: `${payloadType}: ${err.message}` });
+                continue;
+            }
+            label = PAYLOAD_TYPES[payloadType].label(fields) || null;
+        } else if (templates.payload) {
+            const { value, missing } = templates.payload(getValue, counters);
+            if (missing.length > 0) {
+                // Entirely blank rows are skipped silently, like missing cells below
+                let blank = true;
+                for (let c = range.s.c; c <= range.e.c && blank; c++) blank = getValue(c) === '';
+                if (!blank) errors.push({ row: r + 1, error: `Missing value for ${listMissing(missing)}`, value });
+                continue;
+            }
+            s = value.trim();
+        } else {
             const cell   = sheet[xlsx.utils.encode_cell({ r, c: targetCol })];
             const serial = cell ? cell.v : null;
             if (serial === undefined || serial === null || String(serial).trim() === '') {
                 if (cell !== undefined) errors.push({ row: r + 1, error: 'Empty value' });
                 continue;
             }
-            const s = String(serial).trim();
-            if (seen.has(s)) { errors.push({ row: r + 1, error: 'Duplicate serial', value: s }); continue; }
-            seen.add(s);
-            validRecords.push(s);
-        }
-
-        // Free the seen set immediately — can be large
-        seen.clear();
-
-        console.log(`[GEN] ${validRecords.length} valid / ${errors.length} skipped (parse: ${Date.now() - startOverall}ms)`);
-        logMemory('AFTER_PARSE');
-
-        // ── MongoDB log ───────────────────────────────────────────────────────
-        if (process.env.MONGODB_URI) {
-            new UploadLog({
-                filename:    req.files['file'][0].originalname,
-                recordCount: validRecords.length,
-                status:      'Processing',
-            }).save().catch(err => console.error('[DB]', err));
-        }
-
-        // ── Prepare logo once ─────────────────────────────────────────────────
-        let logoDataUri = null;
-        if (logoPath && validRecords.length > 0) {
-            const qrWidth = parseInt(req.body.width || 300);
-            const lSize   = Math.floor(qrWidth * (parseInt(req.body.logoSize || 20) / 100));
-            const logoBuf = await sharp(logoPath)
-                .resize(lSize, lSize, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
-                .png()
-                .toBuffer();
-            logoDataUri = `data:image/png;base64,${logoBuf.toString('base64')}`;
-            // logoBuf goes out of scope here → GC'd
-        }
-
-        // ── Create temp ZIP on disk ───────────────────────────────────────────
-        tempZipPath    = path.join(uploadDir, `zip_${Date.now()}_${Math.random().toString(36).slice(2)}.zip`);
-        const output   = fs.createWriteStream(tempZipPath);
-        const archive  = archiver('zip', { zlib: { level: 1 } }); // level 1 = fast, low CPU
-
-        const zipDone = new Promise((resolve, reject) => {
-            output.on('close', resolve);
-            output.on('error', reject);
-            archive.on('error', reject);
-        });
+            s = String(serial).trim();
+        }
+        if (s === '') { errors.push({ row: r + 1, error: 'Empty payload' }); continue; }
+        if (seen.has(s)) { errors.push({ row: r + 1, error: 'Duplicate serial', value: s }); continue; }
 
-        archive.pipe(output);
-
-        // ── Append report.txt ─────────────────────────────────────────────────
-        let report = `Generation Report\n=================\n` +
-            `Total Records: ${validRecords.length}\n` +
-            `Skipped/Errors: ${errors.length}\n` +
-            `Date: ${new Date().toISOString()}\n\n`;
-        if (validRecords.length === 0)
-            report += 'NOTICE: No valid QR records found in the selected column.\n\n';
-        if (errors.length > 0) {
-            report += 'Error Details:\n';
-            errors.slice(0, 100).forEach(e =>
-                report += `Row ${e.row}: ${e.error}${e.value ? ` (Value: "${e.value}")` : ''}\n`);
-            if (errors.length > 100) report += `...and ${errors.length - 100} more errors.\n`;
-        }
-        archive.append(report, { name: 'report.txt' });
-
-        // ── Generate QRs concurrently and stream each directly into ZIP ──────
-        // withConcurrency runs 8 async pipelines simultaneously via libuv threads.
-        // Each buffer is appended to archiver and freed immediately — no RAM pile-up.
-        // On Render free tier this gives ~6-8x speedup vs sequential with flat memory.
-        const CONCURRENCY = parseInt(process.env.QR_CONCURRENCY || '8');
-        const format       = req.body.format || 'jpeg';
-        const ext          = format === 'png' ? 'png' : 'jpg';
-        const cfg          = req.body;
-        const nameCount    = new Map();
-        let successCount   = 0;
-        let errorCount     = 0;
-        const LOG_INTERVAL = 500;
-        let processed      = 0;
-
-        await withConcurrency(validRecords, CONCURRENCY, async (serial) => {
-            try {
-                const imgBuf = await generateQRBuffer(serial, cfg, logoDataUri);
-
-                // Deduplicate filenames (Map access is sync, safe across coroutines)
-                let safeName = String(serial).replace(/[<>:"/\\|?*\x00-\x1F\r\n\t]/g, '-').trim();
-                safeName     = safeName.replace(/\.+$/, '') || 'qrcode';
-                let finalName = safeName;
-                if (nameCount.has(safeName)) {
-                    const cnt = nameCount.get(safeName) + 1;
-                    nameCount.set(safeName, cnt);
-                    finalName = `${safeName}_${cnt}`;
-                } else {
-                    nameCount.set(safeName, 1);
-                }
+        let caption = label || s;
+        let name    = label || s;
+        if (templates.caption) {
+            const { value, missing } = templates.caption(getValue, counters);
+            if (missing.length > 0) {
+                errors.push({ row: r + 1, error: `Caption: missing value for ${listMissing(missing)}`, value: s });
+                continue;
+            }
+            caption = value;
+        }
+        if (templates.filename) {
+            const { value, missing } = templates.filename(getValue, counters);
+            if (missing.length > 0) {
+                errors.push({ row: r + 1, error: `Filename: missing value for ${listMissing(missing)}`, value: s });
+                continue;
+            }
+            name = value;
+        }
+        let folder = '';
+        if (templates.folder) {
+            // Only the template's own slashes nest folders, not those in cell values
+            const { value, missing } = templates.folder(c => getValue(c).replace(/[/\\]/g, '-'), counters);
+            if (missing.length > 0) {
+                errors.push({ row: r + 1, error: `Folder: missing value for ${listMissing(missing)}`, value: s });
+                continue;
+            }
+            folder = safeFolderPath(value);
+        }
 
-                archive.append(imgBuf, { name: `${finalName}.${ext}` });
-                // imgBuf drops out of scope → GC-eligible immediately
-                successCount++;
+        let prepared = null;
+        if (prepare) {
+            try {
+                prepared = await prepare(s);
             } catch (err) {
-                console.error(`[GEN] Error on "${serial}": ${err.message}`);
-                errorCount++;
+                errors.push({ row: r + 1, error: err.message, value: s });
+                continue;
             }
+        }
+
+        seen.add(s);
+        validRecords.push({ row: r + 1, payload: s, caption, name, ...(folder && { folder }), ...prepared });
+    }
+
+    return {
+        validRecords, errors, filteredRows,
+        totalRows:     Math.max(0, range.e.r - firstDataRow + 1),
+        headerRow:     headerRows > 0 ? firstDataRow - 1 : -1,
+        sheetName,
+        filteredCount: filteredRows.length,
+        input,
+    };
+}
+
+/**
+ * Parse the uploaded sheet, render every serial and write the temp ZIP.
+ * Progress is published on the job object as it goes; when the job is
+ * aborted the partial ZIP is discarded and the status set to 'cancelled'.
+ * Throws on fatal errors — the caller owns cleanup of the uploaded files.
+ */
+async function runGeneration(job) {
+    const startOverall = Date.now();
+    const cfg          = { ...job.cfg }; // design lint may raise errorCorrectionLevel
+    const signal       = job.abort.signal;
+    job.status = 'processing';
+
+    let symbology, encoding;
+    try {
+        resolveSizing(cfg); // unit/dpi
+        resolveStyle(cfg); resolveCaption(cfg); resolveFrame(cfg);
+        symbology = resolveSymbology(cfg);
+        resolveBarHeight(cfg);
+        encoding  = resolveQrEncoding(cfg, symbology);
+    } catch (err) { throw badRequest(err.message); }
+    // jsQR only reads QR codes
+    if ((cfg.verify === 'true' || cfg.verify === true) && symbology !== 'qr')
+        throw badRequest(`verify=true can only decode QR codes, not ${SYMBOLOGIES[symbology].label}`);
+    const dynamic = cfg.dynamic === 'true' || cfg.dynamic === true;
+    if (dynamic && !job.baseUrl)
+        throw badRequest('Dynamic codes encode BASE_URL/r/<code>; set BASE_URL on the server to use dynamic=true');
+    if (dynamic && (symbology === 'ean13' || symbology === 'upca'))
+        throw badRequest(`${SYMBOLOGIES[symbology].label} holds digits only, so it cannot carry a dynamic link`);
+    if (dynamic && cfg.payloadType && cfg.payloadType !== 'text')
+        throw badRequest('Dynamic codes encode a redirect URL, so payloadType cannot be combined with dynamic=true');
+    // Checked here; each render worker loads the font for itself
+    if (job.fontPath) {
+        try { loadFont(fs.readFileSync(job.fontPath)); } catch (err) { throw badRequest(err.message); }
+    }
+    let sheetLayout = null;
+    if (cfg.layout === 'sheet') {
+        try { sheetLayout = resolveSheetLayout(cfg); } catch (err) { throw badRequest(err.message); }
+    }
+    let manifestFormats;
+    try { manifestFormats = resolveManifestFormats(cfg); } catch (err) { throw badRequest(err.message); }
+    const annotate = cfg.annotate === 'true' || cfg.annotate === true;
+    let zipLayout;
+    try { zipLayout = resolveZipLayout(cfg); } catch (err) { throw badRequest(err.message); }
+    if (sheetLayout && (cfg.folderTemplate || zipLayout.folderSize))
+        throw badRequest('folderTemplate and folderSize arrange image files; layout=sheet puts every code into labels.pdf');
+    let variants;
+    try { variants = resolveVariants(cfg); } catch (err) { throw badRequest(err.message); }
+    if (variants && sheetLayout)
+        throw badRequest('variants write each code as image files; layout=sheet puts every code into labels.pdf');
+
+    logMemory('START');
+    console.log(`[GEN] File: ${job.fileName}${jobs.has(job.id) ? ` (job ${job.id})` : ''}`);
+    if (variants) console.log(`[GEN] Variants: ${describeVariants(variants, cfg)}`);
+
+    // ── Parse data file ───────────────────────────────────────────────────────
+    // Dynamic codes: each row's URL becomes the target of a new short code.
+    // Linear codes, a pinned qrVersion or a forced qrMode: a wrong check digit,
+    // character or too long a payload skips the row like a bad cell. The trial
+    // encode runs on the render pool, like the rendering itself.
+    const strict  = SYMBOLOGIES[symbology].linear || encoding.strict;
+    const prepare = dynamic || strict ? async (value) => {
+        let fields = null;
+        if (dynamic) {
+            if (!isRedirectTarget(value)) throw new Error('Dynamic codes can only redirect to http(s) URLs');
+            const code = newShortCode();
+            fields = { target: value, shortCode: code, payload: `${job.baseUrl}/r/${code}` };
+        }
+        const reason = strict ? await renderPool.encodeError(fields ? fields.payload : value, cfg) : null;
+        if (reason) throw new Error(reason);
+        return fields;
+    } : null;
+    const parsed = await parseRecords(job.filePath, cfg, prepare);
+    const { errors, totalRows, sheetName, filteredCount } = parsed;
+    const validRecords = parsed.validRecords;
+
+    const createdAt = new Date();
+    const links     = dynamic
+        ? validRecords.map(r => ({ code: r.shortCode, batchId: job.batchId, row: r.row, target: r.target, createdAt }))
+        : [];
+
+    job.totalRows     = totalRows;
+    job.total         = validRecords.length;
+    job.skippedCount  = errors.length;
+    job.filteredCount = filteredCount;
+    job.rowErrors     = errors;
+
+    console.log(`[GEN] Sheet "${sheetName}": ${validRecords.length} valid / ${errors.length} skipped (parse: ${Date.now() - startOverall}ms)`);
+    logMemory('AFTER_PARSE');
+
+    // ── Monthly quota of the API key ──────────────────────────────────────────
+    await reserveCodes(job, validRecords.length);
+
+    // ── Design lint ───────────────────────────────────────────────────────────
+    // Sized for the longest payload — the densest symbol in the batch
+    const longest = validRecords.reduce((a, r) => (r.payload.length > a.length ? r.payload : a), '');
+    const lintOptions = { hasLogo: !!job.logoPath, hasBackground: !!job.backgroundPath, sampleValue: longest || undefined };
+    const design  = lintDesign(cfg, lintOptions);
+    if (variants) lintVariants(design, cfg, variants, lintOptions);
+    job.design    = design;
+    if (!design.ok && !(cfg.ignoreDesignErrors === 'true' || cfg.ignoreDesignErrors === true)) {
+        throw Object.assign(
+            new Error(`Design check failed: ${design.errors.map(e => e.message).join('; ')}`),
+            { status: 422, details: { design } });
+    }
+    if (design.metrics.errorCorrectionRaisedFrom) {
+        cfg.errorCorrectionLevel = design.errorCorrectionLevel;
+        console.log(`[GEN] EC level raised ${design.metrics.errorCorrectionRaisedFrom} → ${design.errorCorrectionLevel} to fit the logo`);
+    }
+
+    // ── Store the short codes before any of them is printed ──────────────────
+    if (links.length > 0) {
+        job.linkCount = links.length; // runBatch drops them again unless the batch completes
+        await linkStore.createMany(links);
+        console.log(`[LINK] ${links.length} short code(s) for batch ${job.batchId}`);
+    }
+
+    // ── Prepare logo once; the workers load font and background themselves ────
+    // Variants draw it at several sizes, so they share the high-res copy
+    const logoDataUri = job.logoPath && validRecords.length > 0
+        ? await prepareLogo(job.logoPath, cfg, !!sheetLayout || !!variants)
+        : null;
+    if (job.backgroundPath && validRecords.length > 0) {
+        try { await sharp(job.backgroundPath).metadata(); } catch (_) { throw badRequest('The background must be an image file'); }
+    }
+
+    // ── Create temp ZIP on disk (one file per part with zipPartSize) ─────────
+    if (zipLayout.folderSize) assignChunkFolders(validRecords, zipLayout.folderSize);
+    const zipBase = path.join(uploadDir, `zip_${Date.now()}_${Math.random().toString(36).slice(2)}`);
+    const zip     = createZipWriter(n => `${zipBase}_${n}.zip`, { maxBytes: zipLayout.partBytes, level: 1 }); // level 1 = fast, low CPU
+    job.zipParts  = zip.parts;
 
-            processed++;
-            if (processed % LOG_INTERVAL === 0) {
-                logMemory(`${processed}/${validRecords.length}`);
+    // ── Generate QRs on the render pool and stream each directly into ZIP ────
+    // RENDER_CONCURRENCY codes are in flight across the worker threads; each
+    // buffer is appended to archiver and freed immediately. New codes are held
+    // back while the ZIP lags behind or RSS is over its limit, so memory stays
+    // flat however fast the workers are.
+    const renderer     = renderPool.session({ cfg, logoDataUri, fontPath: job.fontPath, backgroundPath: job.backgroundPath });
+    const backpressure = createBackpressure({ bufferedBytes: zip.bufferedBytes, ...RENDER_LIMITS });
+    const render       = { throttle: backpressure.reason, held: { pauses: {}, pausedMs: 0 } };
+    const format       = cfg.format || 'jpeg';
+    const ext          = FORMAT_EXT[format] || 'jpg';
+    // Each variant gets a folder; a single output goes straight into the ZIP
+    const outputs      = variants || [{ name: '', format, ext, overrides: null }];
+    const nameCount    = new Map();
+    const LOG_INTERVAL = 500;
+    let sheetPdfPath   = null;
+
+    // ── Optional decode verification of every rendered code ───────────────────
+    // The render workers decode each output right after drawing it (see
+    // renderOutputs in lib/render.js); this only records their verdicts.
+    // False (and the row recorded) when an output does not decode; codes that
+    // only decoded scaled down are listed in `verifyWarnings`.
+    const unreadable     = [];
+    const verifyWarnings = [];
+    const verify         = cfg.verify === 'true' || cfg.verify === true;
+    const checkReadable  = verify
+        ? (record, checks) => {
+            for (let i = 0; i < checks.length; i++) {
+                if (!checks[i]) continue;
+                const variant = variants && outputs[i];
+                if (checks[i].warning)
+                    verifyWarnings.push({ row: record.row, error: `${variant ? `${variant.name}: ` : ''}${checks[i].warning}`, value: record.payload });
+                if (checks[i].error) {
+                    unreadable.push({ row: record.row, error: `Unreadable${variant ? ` (${variant.name})` : ''}: ${checks[i].error}`, value: record.payload });
+                    job.unreadableCount++;
+                    return false;
+                }
             }
-        });
+            return true;
+        }
+        : null;
+
+    job.render = {
+        threads:   renderPool.size, concurrency: RENDER_CONCURRENCY,
+        startedAt: Date.now(), finishedAt: null,
+        held:      render.held, peaks: backpressure.peaks,
+    };
+    try {
+        if (sheetLayout) {
+            sheetPdfPath = await appendLabelSheets(job, validRecords, cfg, renderer, render, zip, sheetLayout, checkReadable);
+        } else {
+            await withConcurrency(validRecords, RENDER_CONCURRENCY, async (record) => {
+                try {
+                    const { buffers: imgBufs, checks } = await renderer.renderOutputs(record.payload, record.caption,
+                        { variants: variants && variants.map(v => v.overrides), verify });
+                    if (checkReadable) checkReadable(record, checks);
+                    if (signal.aborted) return;
+
+                    // Deduplicate filenames per folder (Map access is sync, safe across coroutines)
+                    const folder  = record.folder ? `${record.folder}/` : '';
+                    const safeName = folder + safePathSegment(record.name, 'qrcode');
+                    let finalName = safeName;
+                    if (nameCount.has(safeName)) {
+                        const cnt = nameCount.get(safeName) + 1;
+                        nameCount.set(safeName, cnt);
+                        finalName = `${safeName}_${cnt}`;
+                    } else {
+                        nameCount.set(safeName, 1);
+                    }
+
+                    // The buffers drop out of scope → GC-eligible immediately.
+                    // A record's files go into one ZIP part, so `part` holds for all of them
+                    const files = outputs.map(o => `${o.name ? `${o.name}/` : ''}${finalName}.${o.ext}`);
+                    record.part = zip.appendGroup(files.map((name, i) => ({ source: imgBufs[i], name })));
+                    record.file = files.join('; ');
+                    job.successCount++;
+                } catch (err) {
+                    console.error(`[GEN] Error on "${record.payload}": ${err.message}`);
+                    record.error = err.message;
+                    job.errorCount++;
+                }
+
+                job.processed++;
+                if (job.processed % LOG_INTERVAL === 0) {
+                    logMemory(`${job.processed}/${validRecords.length}`);
+                }
+            }, { ...render, signal });
+        }
+    } finally {
+        renderer.close();
+        job.render.finishedAt = Date.now();
+    }
+    console.log(`[GEN] ${describeThroughput(job)}`);
+
+    // ── Cancelled: drop the partial archive ───────────────────────────────────
+    if (signal.aborted) {
+        zip.abort();
+        safeDelete(...zipPaths(job), sheetPdfPath);
+        job.status     = 'cancelled';
+        job.finishedAt = Date.now();
+        console.log(`[GEN] Cancelled after ${job.processed}/${validRecords.length} (${Date.now() - startOverall}ms)`);
+        return;
+    }
+
+    const failed = validRecords.filter(r => r.error).map(r => ({ row: r.row, error: `Failed: ${r.error}`, value: r.payload }));
+    if (unreadable.length > 0 || failed.length > 0) job.rowErrors = errors.concat(failed, unreadable).sort((a, b) => a.row - b.row);
+    console.log(`[GEN] Done — OK: ${job.successCount}, Errors: ${job.errorCount}` +
+        `${checkReadable ? `, Unreadable: ${unreadable.length}` : ''} (${Date.now() - startOverall}ms)`);
+    logMemory('AFTER_GENERATION');
+
+    if (unreadable.length > 0 && (cfg.failOnUnreadable === 'true' || cfg.failOnUnreadable === true)) {
+        zip.abort();
+        safeDelete(...zipPaths(job), sheetPdfPath);
+        const rows = unreadable.slice(0, 10).map(u => u.row).sort((a, b) => a - b).join(', ');
+        throw Object.assign(
+            new Error(`${unreadable.length} code(s) failed decode verification (rows ${rows}${unreadable.length > 10 ? ', …' : ''})`),
+            { status: 422 });
+    }
+
+
+    // ── Append report.txt ─────────────────────────────────────────────────────
+    let report = `Generation Report\n=================\n` +
+        `Total Records: ${validRecords.length}\n` +
+        `Skipped/Errors: ${errors.length}\n` +
+        (symbology !== 'qr' ? `Symbology: ${SYMBOLOGIES[symbology].label}\n` : '') +
+        (encoding.custom ? `QR Encoding: ${describeQrEncoding(encoding)}\n` : '') +
+        (variants ? `Variants: ${describeVariants(variants, cfg)}\n` : '') +
+        (links.length > 0 ? `Dynamic Links: ${links.length} (${job.baseUrl}/r/…)` +
+            `${linkStore.kind === 'memory' ? ' — kept in memory only, lost when the server restarts' : ''}\n` : '') +
+        (cfg.serialCount ? `Serials: ${cfg.serialPattern || '{n}'} × ${cfg.serialCount}\n` : '') +
+        (cfg.filter ? `Filtered Out: ${filteredCount}\n` : '') +
+        (failed.length > 0 ? `Render Failures: ${failed.length}\n` : '') +
+        (checkReadable ? `Unreadable: ${unreadable.length}\n` : '') +
+        (verifyWarnings.length > 0 ? `Decode Warnings: ${verifyWarnings.length}\n` : '') +
+        (manifestFormats.length > 0 ? `Manifest: ${manifestFormats.map(f => `manifest.${f}`).join(', ')}\n` : '') +
+        `Date: ${new Date().toISOString()}\n\n`;
+    if (validRecords.length === 0)
+        report += 'NOTICE: No valid QR records found in the selected column.\n\n';
+    if (errors.length > 0) {
+        report += 'Error Details:\n';
+        errors.slice(0, 100).forEach(e =>
+            report += `Row ${e.row}: ${e.error}${e.value ? ` (Value: "${e.value}")` : ''}\n`);
+        if (errors.length > 100) report += `...and ${errors.length - 100} more errors.\n`;
+    }
+    if (failed.length > 0) {
+        report += '\nRender Failures:\n';
+        failed.slice(0, 100).forEach(e => report += `Row ${e.row}: ${e.error} (Value: "${e.value}")\n`);
+        if (failed.length > 100) report += `...and ${failed.length - 100} more failures.\n`;
+    }
+    if (checkReadable) {
+        const verdict = unreadable.length > 0 ? `${unreadable.length} unreadable`
+            : verifyWarnings.length > 0 ? `all codes decoded, ${verifyWarnings.length} only when scaled down`
+            : 'all codes decoded correctly';
+        report += `\nDecode Verification: ${verdict}\n`;
+        unreadable.sort((a, b) => a.row - b.row).slice(0, 100).forEach(e =>
+            report += `Row ${e.row}: ${e.error} (Value: "${e.value}")\n`);
+        if (unreadable.length > 100) report += `...and ${unreadable.length - 100} more unreadable codes.\n`;
+        verifyWarnings.sort((a, b) => a.row - b.row).slice(0, 100).forEach(e =>
+            report += `Row ${e.row}: WARNING ${e.error} (Value: "${e.value}")\n`);
+        if (verifyWarnings.length > 100) report += `...and ${verifyWarnings.length - 100} more warnings.\n`;
+    }
+    const designIssues = [...design.errors, ...design.warnings];
+    if (designIssues.length > 0 || design.metrics.errorCorrectionRaisedFrom) {
+        report += `\nDesign Check:${design.metrics.errorCorrectionRaisedFrom
+            ? ` error correction raised ${design.metrics.errorCorrectionRaisedFrom} → ${design.errorCorrectionLevel} to fit the logo` : ''}\n`;
+        design.errors.forEach(e => report += `ERROR [${e.code}] ${e.message}\n`);
+        design.warnings.forEach(w => report += `WARNING [${w.code}] ${w.message}\n`);
+    }
+    zip.append(report, { name: 'report.txt' });
+
+    // ── Manifests and annotated data file ─────────────────────────────────────
+    const entries = manifestEntries(validRecords, errors, unreadable, parsed.filteredRows);
+    const meta    = { batchId: job.batchId, source: job.fileName, sheet: sheetName };
+    for (const format of manifestFormats)
+        zip.append(buildManifest(entries, format, meta), { name: `manifest.${format}` });
+    if (annotate) {
+        const { data, ext } = annotateWorkbook(parsed.input, entries, parsed.headerRow);
+        zip.append(data, { name: `${safePathSegment(path.parse(job.fileName).name, 'data')}_annotated.${ext}` });
+    }
+
+    // ── Finalize ZIP and wait for disk write ──────────────────────────────────
+    try {
+        await zip.finalize();
+    } finally {
+        safeDelete(sheetPdfPath);
+    }
+
+    job.zipSize    = job.zipParts.reduce((n, p) => n + p.size, 0);
+    job.status     = 'completed';
+    job.finishedAt = Date.now();
+    console.log(`[GEN] ZIP ready — ${(job.zipSize / 1024 / 1024).toFixed(2)} MB` +
+        `${job.zipParts.length > 1 ? ` in ${job.zipParts.length} parts` : ''} (${Date.now() - startOverall}ms total)`);
+    logMemory('ZIP_DONE');
+}
+
+// ─── Batch history records ────────────────────────────────────────────────────
+// Inputs are kept per batch under uploads/batches/<id> so a run can be
+// regenerated later; BATCH_INPUT_RETENTION_HOURS=0 turns that off.
+const batchInputDir      = path.join(uploadDir, 'batches');
+const BATCH_INPUT_TTL_MS = parseFloat(process.env.BATCH_INPUT_RETENTION_HOURS || '168') * 60 * 60 * 1000;
+const BATCH_ERROR_LIMIT  = 1000; // row errors stored per batch
+
+// Writes for one batch are chained so an update never overtakes its create
+function recordBatch(job, write) {
+    job.batchWrite = (job.batchWrite || Promise.resolve())
+        .then(write)
+        .catch(err => console.error(`[DB] Batch ${job.batchId}:`, err.message));
+}
+
+function keepBatchInputs(job) {
+    if (!(BATCH_INPUT_TTL_MS > 0)) return null;
+    try {
+        const dir      = path.join(batchInputDir, job.batchId);
+        const dataFile = `data${path.extname(job.fileName)}`;
+        const logoFile = job.logoPath ? `logo${path.extname(job.logoName || '')}` : undefined;
+        const fontFile = job.fontPath ? `font${path.extname(job.fontName || '')}` : undefined;
+        const backgroundFile = job.backgroundPath ? `background${path.extname(job.backgroundName || '')}` : undefined;
+        fs.mkdirSync(dir, { recursive: true });
+        fs.copyFileSync(job.filePath, path.join(dir, dataFile));
+        if (logoFile) fs.copyFileSync(job.logoPath, path.join(dir, logoFile));
+        if (fontFile) fs.copyFileSync(job.fontPath, path.join(dir, fontFile));
+        if (backgroundFile) fs.copyFileSync(job.backgroundPath, path.join(dir, backgroundFile));
+        return {
+            dataFile,
+            logoFile, logoName: job.logoName || undefined,
+            fontFile, fontName: job.fontName || undefined,
+            backgroundFile, backgroundName: job.backgroundName || undefined,
+        };
+    } catch (err) {
+        console.error(`[DB] Could not keep inputs of batch ${job.batchId}:`, err.message);
+        return null;
+    }
+}
+
+// Stored input paths of a batch, or null once they have expired
+function batchInputPaths(batch) {
+    if (!batch.input || !batch.input.dataFile) return null;
+    const dir      = path.join(batchInputDir, batch.id);
+    const dataPath = path.join(dir, batch.input.dataFile);
+    const logoPath = batch.input.logoFile ? path.join(dir, batch.input.logoFile) : null;
+    const fontPath = batch.input.fontFile ? path.join(dir, batch.input.fontFile) : null;
+    const backgroundPath = batch.input.backgroundFile ? path.join(dir, batch.input.backgroundFile) : null;
+    if ([dataPath, logoPath, fontPath, backgroundPath].some(p => p && !fs.existsSync(p))) return null;
+    return { dataPath, logoPath, fontPath, backgroundPath };
+}
+
+/**
+ * Count a keyed job's codes against its key's month before any is rendered,
+ * so concurrent batches cannot overrun the quota together; settleUsage gives
+ * back the ones that were not generated. 429 when the batch does not fit.
+ */
+async function reserveCodes(job, n) {
+    const key = job.apiKey;
+    if (!key || key.admin || n === 0) return;
+    const month = usageMonth();
+    if (key.monthlyQuota > 0) {
+        if (!(await keyStore.reserveCodes(key.id, month, n, key.monthlyQuota))) {
+            const { codes } = await keyStore.usage(key.id, month);
+            throw Object.assign(new Error(`Monthly quota reached: the batch has ${n} codes and the API key ` +
+                `${Math.max(0, key.monthlyQuota - codes)} of ${key.monthlyQuota} left for ${month}`), { status: 429 });
+        }
+    } else {
+        await keyStore.count(key.id, month, { codes: n });
+    }
+    job.codesReserved = { month, n };
+}
+
+// Once a keyed batch has run: count it, and the codes it actually generated.
+// Batches turned away before reserving codes (quota, bad input…) count for nothing.
+function settleUsage(job) {
+    const key = job.apiKey;
+    if (!key || key.admin || !job.codesReserved) return;
+    const { month, n } = job.codesReserved;
+    keyStore.count(key.id, month, { batches: 1, codes: job.successCount - n })
+        .catch(err => console.error(`[AUTH] Could not count the usage of batch ${job.batchId}:`, err.message));
+}
+
+/**
+ * runGeneration plus its batch record: written as Processing when the run
+ * starts, then updated with counts, row errors, timing and the final status.
+ */
+async function runBatch(job) {
+    const startedAt = new Date();
+    job.batchId     = newBatchId();
+    const { async: _async, ...config } = job.cfg; // how it was requested is not a setting
+    const input = keepBatchInputs(job);
 
-        console.log(`[GEN] Done — OK: ${successCount}, Errors: ${errorCount} (${Date.now() - startOverall}ms)`);
-        logMemory('AFTER_GENERATION');
+    recordBatch(job, () => batchStore.create({
+        _id:         job.batchId,
+        filename:    job.fileName,
+        recordCount: 0,
+        timestamp:   startedAt,
+        status:      'Processing',
+        config,
+        startedAt,
+        ...(input && { input }),
+        ...(job.regeneratedFrom && { regeneratedFrom: job.regeneratedFrom }),
+        ...(job.apiKey && { apiKeyId: job.apiKey.id }),
+        ...((config.dynamic === 'true' || config.dynamic === true) && { linkBaseUrl: job.baseUrl }),
+    }));
+
+    let failure = null;
+    try {
+        await runGeneration(job);
+    } catch (err) {
+        failure = err;
+        throw err;
+    } finally {
+        const finishedAt = new Date();
+        const patch = {
+            status:      failure ? 'Failed' : job.status === 'cancelled' ? 'Cancelled' : 'Completed',
+            recordCount: job.total,
+            counts: {
+                totalRows:  job.totalRows,
+                valid:      job.total,
+                success:    job.successCount,
+                failed:     job.errorCount,
+                skipped:    job.skippedCount,
+                filtered:   job.filteredCount,
+                unreadable: job.unreadableCount,
+                ...(job.linkCount > 0 && { links: job.linkCount }),
+            },
+            rowErrors:   (job.rowErrors || []).slice(0, BATCH_ERROR_LIMIT).map(e => ({
+                row: e.row, error: e.error, ...(e.value !== undefined && { value: String(e.value) }),
+            })),
+            zipSize:     job.zipSize,
+            finishedAt,
+            durationMs:  finishedAt - startedAt,
+        };
+        if (job.design) patch.design = job.design;
+        if (failure) patch.error = failure.status ? failure.message : 'Server error processing file.';
+        recordBatch(job, () => batchStore.update(job.batchId, patch));
+        console.log(`[DB] Batch ${job.batchId}: ${patch.status}`);
+        settleUsage(job);
+        // Short codes of a batch that never completed were never handed out
+        if (job.linkCount > 0 && patch.status !== 'Completed') {
+            linkStore.removeBatch(job.batchId)
+                .catch(err => console.error(`[LINK] Could not remove the links of batch ${job.batchId}:`, err.message));
+        }
+    }
+}
+
+/**
+ * Run a job for an HTTP request. By default the request is held open and the
+ * ZIP streamed when done; with `runAsync` it answers 202 with the job id
+ * straight away and generates in the background.
+ */
+async function startGeneration(job, res, runAsync) {
+    if (runAsync) {
+        jobs.set(job.id, job);
+        runBatch(job).catch((error) => {
+            if (!error.status) console.error(`[JOB] ${job.id} failed:`, error.message, error.stack);
+            safeDelete(...zipPaths(job));
+            job.status     = 'failed';
+            job.error      = error.status ? error.message : 'Server error processing file.';
+            job.finishedAt = Date.now();
+        }).finally(() => safeDelete(job.filePath, job.logoPath, job.fontPath, job.backgroundPath));
 
-        // ── Finalize ZIP and wait for disk write ──────────────────────────────
-        archive.finalize();
-        await zipDone;
+        return res.status(202).json({
+            jobId:       job.id,
+            batchId:     job.batchId,
+            statusUrl:   `/api/jobs/${job.id}`,
+            downloadUrl: `/api/jobs/${job.id}/download`,
+        });
+    }
 
-        const zipSize = fs.statSync(tempZipPath).size;
-        console.log(`[GEN] ZIP ready — ${(zipSize / 1024 / 1024).toFixed(2)} MB (${Date.now() - startOverall}ms total)`);
-        logMemory('ZIP_DONE');
+    try {
+        // A response carries one file; parts are fetched from the job one by one
+        if (job.cfg.zipPartSize !== undefined && job.cfg.zipPartSize !== '')
+            throw badRequest('zipPartSize splits the output into several ZIP files, so it needs async=true');
+        await runBatch(job);
 
         // ── Stream completed ZIP to client ────────────────────────────────────
-        res.set('Access-Control-Expose-Headers', 'X-Total-Count, X-Success-Count, X-Skipped-Count, Content-Disposition');
-        res.set('X-Total-Count',   String(range.e.r - range.s.r + 1));
-        res.set('X-Success-Count', String(successCount));
-        res.set('X-Skipped-Count', String(errors.length + errorCount));
+        setCountHeaders(res, job);
+        res.set('X-Batch-Id',          job.batchId);
         res.set('Content-Type',        'application/zip');
         res.set('Content-Disposition', `attachment; filename="qrcodes_${Date.now()}.zip"`);
-        res.set('Content-Length',      String(zipSize));
+        res.set('Content-Length',      String(job.zipSize));
 
-        const readStream = fs.createReadStream(tempZipPath);
+        const readStream = fs.createReadStream(job.zipParts[0].path);
         readStream.pipe(res);
 
         readStream.on('close', () => {
-            safeDelete(tempZipPath, filePath, logoPath);
+            safeDelete(...zipPaths(job), job.filePath, job.logoPath, job.fontPath, job.backgroundPath);
             console.log('[GEN] Cleanup done.');
             logMemory('CLEANUP');
         });
         readStream.on('error', (err) => {
             console.error('[GEN] Read stream error:', err.message);
-            safeDelete(tempZipPath, filePath, logoPath);
+            safeDelete(...zipPaths(job), job.filePath, job.logoPath, job.fontPath, job.backgroundPath);
             if (!res.headersSent) res.status(500).json({ error: 'Failed to stream ZIP.' });
         });
 
     } catch (error) {
+        safeDelete(...zipPaths(job), job.filePath, job.logoPath, job.fontPath, job.backgroundPath);
+        if (error.status) return res.status(error.status).json({ error: error.message, ...error.details });
         console.error('[GEN] Fatal error:', error.message, error.stack);
-        safeDelete(tempZipPath, filePath, logoPath);
         if (!res.headersSent) res.status(500).json({ error: 'Server error processing file.' });
     }
+}
+
+// ─── Design presets ───────────────────────────────────────────────────────────
+// `presetId` (and optionally `presetVersion`) on a generate, preview or
+// validate-design request fills in the saved design; fields sent with the
+// request override it. The resolved version is pinned in the batch config.
+const presetDir = path.join(uploadDir, 'presets');
+
+// Version `version` of a preset (latest when not given); 404 when missing
+function presetEntry(preset, version) {
+    if (version === undefined || version === '') return preset.versions[preset.versions.length - 1];
+    const n = Number(version);
+    if (!Number.isInteger(n) || n < 1) throw badRequest('presetVersion must be a version number (1, 2, …)');
+    const entry = preset.versions.find(v => v.version === n);
+    if (!entry) throw Object.assign(new Error(`Preset "${preset.name}" has no version ${n} (latest is ${preset.version})`), { status: 404 });
+    return entry;
+}
+
+// The preset `id` if the request's API key may use it (see canSee), else null
+async function findPreset(req, id) {
+    const preset = await presetStore.get(id);
+    return preset && canSee(req, preset.apiKeyId) ? preset : null;
+}
+
+/**
+ * Lay the request's fields over the preset named by `presetId`. Empty fields
+ * don't clear preset values. An uploaded logo wins over the preset's, and
+ * `presetLogo=false` leaves the preset logo out. Resolves to
+ * { cfg, logoPath, logoName }; a preset logo is handed over as a temp copy
+ * the caller deletes like an upload.
+ */
+async function applyPreset(req, body, logoFile) {
+    const own = { cfg: body, logoPath: logoFile ? logoFile.path : null, logoName: logoFile ? logoFile.originalname : null };
+    if (!body.presetId) return own;
+
+    const preset = await findPreset(req, String(body.presetId));
+    if (!preset) throw Object.assign(new Error(`Preset ${body.presetId} not found`), { status: 404 });
+    const entry = presetEntry(preset, body.presetVersion);
+
+    const cfg = { ...entry.config };
+    for (const [k, v] of Object.entries(body)) if (v !== undefined && v !== '') cfg[k] = v;
+    cfg.presetId      = preset.id;
+    cfg.presetVersion = String(entry.version);
+
+    if (own.logoPath || !entry.logoFile || body.presetLogo === 'false' || body.presetLogo === false) return { ...own, cfg };
+    const logoPath = path.join(uploadDir, `${Date.now()}-preset-logo${path.extname(entry.logoFile)}`);
+    fs.copyFileSync(path.join(presetDir, preset.id, entry.logoFile), logoPath);
+    return { cfg, logoPath, logoName: entry.logoName || null };
+}
+
+// ─── Serial generator mode ────────────────────────────────────────────────────
+// Instead of uploading a sheet, send serialCount (plus serialPattern,
+// serialStart, serialStep, checkDigit — see lib/serials.js). The serials are
+// written to a one-column sheet headed "Serial" that then goes through the
+// normal pipeline, so templates can use {Serial} and the batch can be
+// regenerated with the very same serials. manifest.xlsx joins the default csv/json.
+const isSerialRequest = body => ['serialCount', 'serialPattern'].some(k => body[k] !== undefined && body[k] !== '');
+
+function createSerialSheet(body) {
+    let serials;
+    try {
+        serials = generateSerials(body);
+    } catch (err) {
+        throw badRequest(err.message);
+    }
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet([['Serial'], ...serials.map(s => [s])]), 'Serials');
+    const fileName = 'serials.xlsx';
+    const filePath = path.join(uploadDir, `${Date.now()}-${fileName}`);
+    xlsx.writeFile(workbook, filePath);
+    console.log(`[GEN] Generated ${serials.length} serial(s): ${serials[0]}${serials.length > 1 ? ` … ${serials[serials.length - 1]}` : ''}`);
+
+    // The generated sheet's layout is fixed, so sheet and column choices are too
+    const { sheetName, sheetIndex, colIndex, delimiter, encoding, ...rest } = body;
+    return { fileName, filePath, cfg: { manifest: 'true', ...rest, headerRows: '1', column: 'Serial' } };
+}
+
+// Where this server is reached from outside, for the short URLs printed into
+// dynamic codes. Never taken from the request: a forged Host header (or a
+// proxy's plain-http hop) would be printed for good.
+const PUBLIC_BASE_URL = process.env.BASE_URL ? process.env.BASE_URL.replace(/\/+$/, '') : null;
+
+// ─── /api/generate ────────────────────────────────────────────────────────────
+// Default: hold the request open and stream the ZIP when done.
+// `async=true`: respond 202 with a job id straight away and generate in the
+// background; poll /api/jobs/:id and fetch /api/jobs/:id/download.
+app.post('/api/generate', uploadFields, async (req, res) => {
+    const dataFile = req.files && req.files['file'] ? req.files['file'][0] : null;
+    const logoFile = req.files && req.files['logo'] ? req.files['logo'][0] : null;
+    const fontFile = req.files && req.files['font'] ? req.files['font'][0] : null;
+    const bgFile   = req.files && req.files['background'] ? req.files['background'][0] : null;
+    const serials  = isSerialRequest(req.body);
+
+    if (dataFile && serials) {
+        safeDelete(dataFile.path, logoFile && logoFile.path, fontFile && fontFile.path, bgFile && bgFile.path);
+        return res.status(400).json({ error: 'Send either a data file or serialCount/serialPattern, not both' });
+    }
+    if (!dataFile && !serials) {
+        safeDelete(logoFile && logoFile.path, fontFile && fontFile.path, bgFile && bgFile.path);
+        return res.status(400).json({ error: 'No data file uploaded' });
+    }
+
+    let design, input;
+    try {
+        design = await applyPreset(req, req.body, logoFile);
+        input  = serials
+            ? createSerialSheet(design.cfg)
+            : { fileName: dataFile.originalname, filePath: dataFile.path, cfg: design.cfg };
+    } catch (err) {
+        safeDelete(dataFile && dataFile.path, logoFile && logoFile.path, fontFile && fontFile.path, bgFile && bgFile.path,
+            design && design.logoPath);
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('[GEN] Could not prepare the request:', err.message);
+        return res.status(500).json({ error: 'Server error processing file.' });
+    }
+
+    const job = createJob({
+        ...input,
+        logoPath: design.logoPath,
+        logoName: design.logoName,
+        fontPath: fontFile ? fontFile.path : null,
+        fontName: fontFile ? fontFile.originalname : null,
+        backgroundPath: bgFile ? bgFile.path : null,
+        backgroundName: bgFile ? bgFile.originalname : null,
+        baseUrl:  PUBLIC_BASE_URL,
+        apiKey:   req.apiKey,
+    });
+    return startGeneration(job, res, req.body.async === 'true' || req.body.async === true);
+});
+
+// ─── /api/batches ─────────────────────────────────────────────────────────────
+// History of generation runs, newest first. Filters: status, q (file name
+// contains), from/to (dates; a bare date `to` covers that whole day).
+// Paging: page (1-based) and limit (default 20, at most 100).
+function batchView(batch) {
+    const { input, ...rest } = batch;
+    return { ...rest, canRegenerate: !!batchInputPaths(batch) };
+}
+
+app.get('/api/batches', async (req, res) => {
+    try {
+        const page   = Math.max(1, parseInt(req.query.page) || 1);
+        const limit  = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+        const filter = {};
+        if (req.apiKey && !req.apiKey.admin) filter.apiKeyId = req.apiKey.id;
+        if (req.query.status) {
+            filter.status = normalizeStatus(req.query.status);
+            if (!filter.status) throw badRequest(`Unknown status "${req.query.status}". Use one of: ${STATUSES.join(', ')}`);
+        }
+        if (req.query.q) filter.q = String(req.query.q);
+        for (const key of ['from', 'to']) {
+            if (!req.query[key]) continue;
+            const date = new Date(req.query[key]);
+            if (Number.isNaN(date.getTime())) throw badRequest(`${key} must be a date`);
+            if (key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(req.query[key])) date.setUTCHours(23, 59, 59, 999);
+            filter[key] = date;
+        }
+
+        const { total, items } = await batchStore.list(filter, (page - 1) * limit, limit);
+        res.json({ page, limit, total, pages: Math.ceil(total / limit), batches: items.map(batchView) });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('[DB] Batch list failed:', err.message);
+        res.status(500).json({ error: 'Failed to load batch history' });
+    }
+});
+
+app.get('/api/batches/:id', async (req, res) => {
+    try {
+        const batch = await batchStore.get(req.params.id);
+        if (!batch || !canSee(req, batch.apiKeyId)) return res.status(404).json({ error: 'Batch not found' });
+        res.json(batchView(batch));
+    } catch (err) {
+        console.error('[DB] Batch lookup failed:', err.message);
+        res.status(500).json({ error: 'Failed to load batch' });
+    }
+});
+
+// Rerun a stored batch with its original settings and input files.
+// Takes `async=true` like /api/generate; responds the same way. A dynamic
+// batch gets new short codes; those of the original keep redirecting.
+app.post('/api/batches/:id/regenerate', async (req, res) => {
+    let batch;
+    try {
+        batch = await batchStore.get(req.params.id);
+    } catch (err) {
+        console.error('[DB] Batch lookup failed:', err.message);
+        return res.status(500).json({ error: 'Failed to load batch' });
+    }
+    if (!batch || !canSee(req, batch.apiKeyId)) return res.status(404).json({ error: 'Batch not found' });
+    const stored = batchInputPaths(batch);
+    if (!stored) return res.status(410).json({ error: 'The input files of this batch are no longer kept; upload them again' });
+
+    // The job deletes its inputs when done, so it gets copies
+    const stamp    = Date.now();
+    const filePath = path.join(uploadDir, `${stamp}-${path.basename(batch.filename)}`);
+    const logoPath = stored.logoPath ? path.join(uploadDir, `${stamp}-logo${path.extname(stored.logoPath)}`) : null;
+    const fontPath = stored.fontPath ? path.join(uploadDir, `${stamp}-font${path.extname(stored.fontPath)}`) : null;
+    const backgroundPath = stored.backgroundPath
+        ? path.join(uploadDir, `${stamp}-background${path.extname(stored.backgroundPath)}`) : null;
+    try {
+        fs.copyFileSync(stored.dataPath, filePath);
+        if (logoPath) fs.copyFileSync(stored.logoPath, logoPath);
+        if (fontPath) fs.copyFileSync(stored.fontPath, fontPath);
+        if (backgroundPath) fs.copyFileSync(stored.backgroundPath, backgroundPath);
+    } catch (err) {
+        safeDelete(filePath, logoPath, fontPath, backgroundPath);
+        console.error('[DB] Could not restore batch inputs:', err.message);
+        return res.status(500).json({ error: 'Failed to restore the batch input files' });
+    }
+
+    const job = createJob({
+        fileName: batch.filename,
+        filePath,
+        logoPath,
+        logoName: batch.input.logoName,
+        fontPath,
+        fontName: batch.input.fontName,
+        backgroundPath,
+        backgroundName: batch.input.backgroundName,
+        cfg:      { ...batch.config },
+        baseUrl:  PUBLIC_BASE_URL,
+        apiKey:   req.apiKey,
+        regeneratedFrom: batch.id,
+    });
+    console.log(`[GEN] Regenerating batch ${batch.id}`);
+    const body = req.body || {};
+    return startGeneration(job, res, body.async === 'true' || body.async === true);
+});
+
+// ─── Dynamic links ────────────────────────────────────────────────────────────
+// GET /r/:code sends a scanned dynamic code on to its current target and logs
+// the scan. A batch's links are listed as JSON, or with `format=xlsx` as a
+// sheet to edit; uploading it back (Code and Target columns) retargets them
+// in bulk. /api/batches/:id/stats sums up the scans.
+const LINK_CODE_RE = /^[A-Za-z0-9]{1,32}$/;
+
+app.get('/r/:code', async (req, res) => {
+    try {
+        const link = LINK_CODE_RE.test(req.params.code) ? await linkStore.get(req.params.code) : null;
+        if (!link) return res.status(404).type('text').send('Unknown code');
+        if (req.method === 'GET') { // HEAD checks by link scanners are no scans
+            linkStore.recordScan(link, scanOf(req))
+                .catch(err => console.error(`[LINK] Could not record a scan of ${link.code}:`, err.message));
+        }
+        res.set('Cache-Control', 'no-store'); // a new target applies from the next scan
+        res.redirect(302, link.target);
+    } catch (err) {
+        console.error('[LINK] Redirect failed:', err.message);
+        res.status(500).type('text').send('Could not look up this code');
+    }
+});
+
+// A batch of the request's key that was generated with dynamic=true; 404 otherwise
+async function dynamicBatch(req, id) {
+    const batch = await batchStore.get(id);
+    if (!batch || !canSee(req, batch.apiKeyId)) throw Object.assign(new Error('Batch not found'), { status: 404 });
+    if (!batch.linkBaseUrl) throw Object.assign(new Error('This batch was not generated with dynamic=true'), { status: 404 });
+    return batch;
+}
+
+function linkView(link, batch) {
+    return {
+        code:       link.code,
+        row:        link.row,
+        url:        `${batch.linkBaseUrl}/r/${link.code}`,
+        target:     link.target,
+        scans:      link.scanCount || 0,
+        lastScanAt: link.lastScanAt || null,
+        updatedAt:  link.updatedAt || null,
+    };
+}
+
+// Paging: page (1-based) and limit (default 100, at most 1000)
+app.get('/api/batches/:id/links', async (req, res) => {
+    try {
+        const batch = await dynamicBatch(req, req.params.id);
+        if (req.query.format === 'xlsx') {
+            const { items } = await linkStore.list(batch.id, 0, 0);
+            const rows  = items.map(l => linkView(l, batch))
+                .map(l => [l.code, l.row, l.url, l.target, l.scans, l.lastScanAt ? new Date(l.lastScanAt).toISOString() : '']);
+            const sheet = xlsx.utils.aoa_to_sheet([['Code', 'Row', 'Short URL', 'Target', 'Scans', 'Last Scan'], ...rows]);
+            sheet['!cols'] = [{ wch: 10 }, { wch: 6 }, { wch: 40 }, { wch: 60 }, { wch: 8 }, { wch: 24 }];
+            const workbook = xlsx.utils.book_new();
+            xlsx.utils.book_append_sheet(workbook, sheet, 'Links');
+            res.set('Content-Disposition', `attachment; filename="links_${batch.id}.xlsx"`);
+            return res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+                .send(xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+        }
+        const page  = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit) || 100));
+        const { total, items } = await linkStore.list(batch.id, (page - 1) * limit, limit);
+        res.json({ page, limit, total, pages: Math.ceil(total / limit), links: items.map(l => linkView(l, batch)) });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('[LINK] Link list failed:', err.message);
+        res.status(500).json({ error: 'Failed to load links' });
+    }
+});
+
+// New targets from a sheet: `codeColumn` (default "Code"; a short URL works
+// too) and `targetColumn` (default "Target") under a header row. Rows that
+// cannot be applied are listed in `errors`; the rest are applied.
+app.put('/api/batches/:id/links', uploadFields, async (req, res) => {
+    const uploads = Object.values(req.files || {}).flat().map(f => f.path);
+    const t0      = Date.now();
+    try {
+        const batch = await dynamicBatch(req, req.params.id);
+        if (!req.files || !req.files['file']) throw badRequest('No data file uploaded');
+
+        const { sheet } = loadSheet(req.files['file'][0].path, req.body);
+        const range     = xlsx.utils.decode_range(sheet['!ref'] || 'A1');
+        const cellText  = (r, c) => {
+            const cell = sheet[xlsx.utils.encode_cell({ r, c })];
+            return cell && cell.v !== undefined && cell.v !== null ? String(cell.v).trim() : '';
+        };
+        const headers   = [];
+        for (let c = 0; c <= range.e.c; c++) headers.push(cellText(range.s.r, c));
+        const codeCol   = findColumn(headers, req.body.codeColumn || 'Code', 'codeColumn');
+        const targetCol = findColumn(headers, req.body.targetColumn || 'Target', 'targetColumn');
+
+        const errors  = [];
+        const wanted  = new Map(); // code → { row, target }
+        for (let r = range.s.r + 1; r <= range.e.r; r++) {
+            const code   = cellText(r, codeCol).replace(/^.*\/r\//, '');
+            const target = cellText(r, targetCol);
+            if (!code && !target) continue;
+            if (!code) errors.push({ row: r + 1, error: 'No code' });
+            else if (!isRedirectTarget(target)) errors.push({ row: r + 1, error: 'The target must be an http(s) URL', value: target });
+            else if (wanted.has(code)) errors.push({ row: r + 1, error: `Code ${code} is listed twice`, value: code });
+            else wanted.set(code, { row: r + 1, target });
+        }
+
+        const existing = new Map((await linkStore.getMany(batch.id, [...wanted.keys()])).map(l => [l.code, l]));
+        const changes  = [];
+        let unchanged  = 0;
+        for (const [code, { row, target }] of wanted) {
+            const link = existing.get(code);
+            if (!link) errors.push({ row, error: `Code ${code} is not a link of this batch`, value: code });
+            else if (link.target !== target) changes.push({ code, target });
+            else unchanged++;
+        }
+        await linkStore.setTargets(batch.id, changes, new Date());
+
+        console.log(`[LINK] Batch ${batch.id}: ${changes.length} target(s) updated, ${errors.length} row error(s) in ${Date.now() - t0}ms`);
+        errors.sort((a, b) => a.row - b.row);
+        res.json({ updated: changes.length, unchanged, errors });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('[LINK] Link update failed:', err.message);
+        res.status(500).json({ error: 'Failed to update links' });
+    } finally {
+        safeDelete(...uploads);
+    }
+});
+
+app.get('/api/batches/:id/stats', async (req, res) => {
+    try {
+        const batch = await dynamicBatch(req, req.params.id);
+        res.json({ batchId: batch.id, ...summarizeStats(await linkStore.stats(batch.id)) });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('[LINK] Stats failed:', err.message);
+        res.status(500).json({ error: 'Failed to load scan statistics' });
+    }
+});
+
+// ─── /api/presets ─────────────────────────────────────────────────────────────
+// Saved designs. Create and update take the design either as `config` (JSON)
+// or as the same form fields /api/generate takes, plus an optional `logo`.
+// Changing the design or logo adds a version; name and description don't.
+const PRESET_NAME_MAX = 100;
+
+function presetView(preset) {
+    const latest = preset.versions[preset.versions.length - 1];
+    return {
+        id:          preset.id,
+        name:        preset.name,
+        description: preset.description,
+        version:     preset.version,
+        config:      latest.config,
+        logoName:    latest.logoName || null,
+        logoUrl:     latest.logoFile ? `/api/presets/${preset.id}/logo?version=${latest.version}` : null,
+        versions:    preset.versions.map(v => ({ version: v.version, hasLogo: !!v.logoFile, createdAt: v.createdAt })),
+        createdAt:   preset.createdAt,
+        updatedAt:   preset.updatedAt,
+    };
+}
+
+function presetInput(body) {
+    const { name, description, config, removeLogo, ...fields } = body || {};
+    const hasFields = Object.keys(fields).length > 0;
+    if (config !== undefined && hasFields)
+        throw badRequest('Send the design either as config or as separate fields, not both');
+    let design = null;
+    try {
+        if (config !== undefined) design = presetConfig(config);
+        else if (hasFields) design = presetConfig(fields);
+    } catch (err) {
+        throw badRequest(err.message);
+    }
+    return { name, description, config: design, removeLogo: removeLogo === 'true' || removeLogo === true };
+}
+
+// Trimmed, length-checked name that no other preset of the same API key
+// uses (case-insensitive)
+async function checkPresetName(name, apiKeyId, ownId) {
+    const trimmed = String(name === undefined ? '' : name).trim();
+    if (!trimmed) throw badRequest('A preset needs a name');
+    if (trimmed.length > PRESET_NAME_MAX) throw badRequest(`The preset name must be at most ${PRESET_NAME_MAX} characters`);
+    const existing = await presetStore.findByName(trimmed, apiKeyId);
+    if (existing && existing.id !== ownId)
+        throw Object.assign(new Error(`A preset named "${existing.name}" already exists`), { status: 409 });
+    return trimmed;
+}
+
+// Moves an uploaded logo into the preset's folder; returns the stored name
+function storePresetLogo(presetId, version, logoFile) {
+    const dir      = path.join(presetDir, presetId);
+    const logoName = `logo-v${version}-${crypto.randomBytes(4).toString('hex')}${path.extname(logoFile.originalname || '').toLowerCase()}`;
+    fs.mkdirSync(dir, { recursive: true });
+    fs.copyFileSync(logoFile.path, path.join(dir, logoName));
+    return logoName;
+}
+
+const sameConfig = (a, b) => {
+    const sorted = o => JSON.stringify(Object.keys(o).sort().map(k => [k, o[k]]));
+    return sorted(a) === sorted(b);
+};
+
+function sendPresetError(res, err, action) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(`[PRESET] Failed to ${action}:`, err.message);
+    res.status(500).json({ error: `Failed to ${action}` });
+}
+
+app.get('/api/presets', async (req, res) => {
+    try {
+        const presets = await presetStore.list({ apiKeyId: req.apiKey && !req.apiKey.admin ? req.apiKey.id : undefined });
+        res.json({ presets });
+    } catch (err) {
+        sendPresetError(res, err, 'list presets');
+    }
+});
+
+app.post('/api/presets', uploadFields, async (req, res) => {
+    const logoFile = req.files && req.files['logo'] ? req.files['logo'][0] : null;
+    const dataFile = req.files && req.files['file'] ? req.files['file'][0] : null;
+    const fontFile = req.files && req.files['font'] ? req.files['font'][0] : null; // not part of a preset
+    const bgFile   = req.files && req.files['background'] ? req.files['background'][0] : null; // nor is this
+    const id       = newPresetId();
+    try {
+        const input = presetInput(req.body);
+        const owner = req.apiKey ? req.apiKey.id : undefined;
+        const name  = await checkPresetName(input.name, owner);
+        const now   = new Date();
+        const entry = { version: 1, config: input.config || {}, createdAt: now };
+        if (logoFile) {
+            entry.logoFile = storePresetLogo(id, 1, logoFile);
+            entry.logoName = logoFile.originalname;
+        }
+        await presetStore.create({
+            _id:         id,
+            name,
+            description: input.description ? String(input.description) : '',
+            ...(owner && { apiKeyId: owner }),
+            version:     1,
+            versions:    [entry],
+            createdAt:   now,
+            updatedAt:   now,
+        });
+        console.log(`[PRESET] Created "${name}" (${id})`);
+        res.status(201).json(presetView(await presetStore.get(id)));
+    } catch (err) {
+        fs.rmSync(path.join(presetDir, id), { recursive: true, force: true });
+        sendPresetError(res, err, 'save preset');
+    } finally {
+        safeDelete(logoFile && logoFile.path, dataFile && dataFile.path, fontFile && fontFile.path, bgFile && bgFile.path);
+    }
+});
+
+app.get('/api/presets/:id', async (req, res) => {
+    try {
+        const preset = await findPreset(req, req.params.id);
+        if (!preset) return res.status(404).json({ error: 'Preset not found' });
+        res.json(presetView(preset));
+    } catch (err) {
+        sendPresetError(res, err, 'load preset');
+    }
+});
+
+app.get('/api/presets/:id/versions/:version', async (req, res) => {
+    try {
+        const preset = await findPreset(req, req.params.id);
+        if (!preset) return res.status(404).json({ error: 'Preset not found' });
+        const entry = presetEntry(preset, req.params.version);
+        res.json({
+            id:        preset.id,
+            name:      preset.name,
+            version:   entry.version,
+            config:    entry.config,
+            logoName:  entry.logoName || null,
+            logoUrl:   entry.logoFile ? `/api/presets/${preset.id}/logo?version=${entry.version}` : null,
+            createdAt: entry.createdAt,
+        });
+    } catch (err) {
+        sendPresetError(res, err, 'load preset');
+    }
+});
+
+app.get('/api/presets/:id/logo', async (req, res) => {
+    try {
+        const preset = await findPreset(req, req.params.id);
+        if (!preset) return res.status(404).json({ error: 'Preset not found' });
+        const entry = presetEntry(preset, req.query.version);
+        if (!entry.logoFile) return res.status(404).json({ error: `Version ${entry.version} has no logo` });
+        res.sendFile(path.resolve(presetDir, preset.id, entry.logoFile));
+    } catch (err) {
+        sendPresetError(res, err, 'load preset logo');
+    }
+});
+
+// Replaces the design and/or logo (a new version) and/or renames the preset.
+// Without a new logo the current one carries over unless removeLogo=true.
+app.put('/api/presets/:id', uploadFields, async (req, res) => {
+    const logoFile = req.files && req.files['logo'] ? req.files['logo'][0] : null;
+    const dataFile = req.files && req.files['file'] ? req.files['file'][0] : null;
+    const fontFile = req.files && req.files['font'] ? req.files['font'][0] : null;
+    const bgFile   = req.files && req.files['background'] ? req.files['background'][0] : null;
+    let storedLogo = null;
+    try {
+        const preset = await findPreset(req, req.params.id);
+        if (!preset) return res.status(404).json({ error: 'Preset not found' });
+        const input = presetInput(req.body);
+        if (logoFile && input.removeLogo) throw badRequest('Send either a new logo or removeLogo=true, not both');
+
+        const now   = new Date();
+        const patch = { updatedAt: now };
+        if (input.name !== undefined) patch.name = await checkPresetName(input.name, preset.apiKeyId, preset.id);
+        if (input.description !== undefined) patch.description = String(input.description);
+
+        const latest  = preset.versions[preset.versions.length - 1];
+        const changed = logoFile || (input.removeLogo && latest.logoFile) ||
+            (input.config && !sameConfig(input.config, latest.config));
+        if (changed) {
+            const entry = { version: preset.version + 1, config: input.config || latest.config, createdAt: now };
+            if (logoFile) {
+                entry.logoFile = storedLogo = storePresetLogo(preset.id, entry.version, logoFile);
+                entry.logoName = logoFile.originalname;
+            } else if (!input.removeLogo && latest.logoFile) {
+                entry.logoFile = latest.logoFile;
+                entry.logoName = latest.logoName;
+            }
+            if (!(await presetStore.addVersion(preset.id, preset.version, entry, patch)))
+                throw Object.assign(new Error('The preset was changed by another request; reload it and try again'), { status: 409 });
+            storedLogo = null;
+            console.log(`[PRESET] "${patch.name || preset.name}" is now version ${entry.version}`);
+        } else {
+            await presetStore.update(preset.id, patch);
+        }
+        res.json(presetView(await presetStore.get(preset.id)));
+    } catch (err) {
+        if (storedLogo) safeDelete(path.join(presetDir, req.params.id, storedLogo));
+        sendPresetError(res, err, 'update preset');
+    } finally {
+        safeDelete(logoFile && logoFile.path, dataFile && dataFile.path, fontFile && fontFile.path, bgFile && bgFile.path);
+    }
+});
+
+// Batches made with a deleted preset keep their own copy of its design
+app.delete('/api/presets/:id', async (req, res) => {
+    try {
+        const preset = await findPreset(req, req.params.id);
+        if (!preset) return res.status(404).json({ error: 'Preset not found' });
+        await presetStore.remove(preset.id);
+        fs.rmSync(path.join(presetDir, preset.id), { recursive: true, force: true });
+        console.log(`[PRESET] Deleted "${preset.name}" (${preset.id})`);
+        res.status(204).end();
+    } catch (err) {
+        sendPresetError(res, err, 'delete preset');
+    }
+});
+
+// ─── /api/keys ────────────────────────────────────────────────────────────────
+// Key management for the admin key; any key can read its own limits and
+// usage at /api/keys/me. The plain key is only returned when it is created.
+function keyView(key, usage) {
+    const limits = keyLimits(key);
+    return {
+        id:           key.id,
+        name:         key.name,
+        prefix:       key.prefix,
+        rateLimit:    typeof key.rateLimit === 'number' ? key.rateLimit : null,
+        monthlyQuota: typeof key.monthlyQuota === 'number' ? key.monthlyQuota : null,
+        limits,
+        usage:        usage && {
+            ...usage,
+            codesLeft: limits.monthlyQuota > 0 ? Math.max(0, limits.monthlyQuota - usage.codes) : null,
+        },
+        createdAt:    key.createdAt,
+        updatedAt:    key.updatedAt || null,
+        revokedAt:    key.revokedAt || null,
+    };
+}
+
+function sendKeyError(res, err, action) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error(`[AUTH] Failed to ${action}:`, err.message);
+    res.status(500).json({ error: `Failed to ${action}` });
+}
+
+async function keyWithHistory(key) {
+    const history = await keyStore.usageHistory(key.id);
+    const month   = usageMonth();
+    return { ...keyView(key, history.find(u => u.month === month) || { month, requests: 0, batches: 0, codes: 0 }), history };
+}
+
+app.get('/api/keys/me', async (req, res) => {
+    if (!req.apiKey) return res.status(401).json({ error: 'No API key was sent' });
+    if (req.apiKey.admin) return res.json({ id: ADMIN_KEY.id, name: ADMIN_KEY.name, admin: true });
+    try {
+        const key = await keyStore.get(req.apiKey.id);
+        res.json(await keyWithHistory(key));
+    } catch (err) {
+        sendKeyError(res, err, 'load API key');
+    }
+});
+
+app.get('/api/keys', requireAdmin, async (req, res) => {
+    try {
+        const month = usageMonth();
+        const keys  = await keyStore.list();
+        res.json({ keys: await Promise.all(keys.map(async k => keyView(k, await keyStore.usage(k.id, month)))) });
+    } catch (err) {
+        sendKeyError(res, err, 'list API keys');
+    }
+});
+
+app.post('/api/keys', requireAdmin, async (req, res) => {
+    try {
+        let fields;
+        try {
+            fields = keyFields(req.body || {}, { requireName: true });
+        } catch (err) {
+            throw badRequest(err.message);
+        }
+        const { key, doc } = issueKey(fields);
+        await keyStore.create(doc);
+        console.log(`[AUTH] Created API key "${doc.name}" (${doc._id})`);
+        res.status(201).json({ ...keyView(await keyStore.get(doc._id), null), key });
+    } catch (err) {
+        sendKeyError(res, err, 'create API key');
+    }
+});
+
+app.get('/api/keys/:id', requireAdmin, async (req, res) => {
+    try {
+        const key = await keyStore.get(req.params.id);
+        if (!key) return res.status(404).json({ error: 'API key not found' });
+        res.json(await keyWithHistory(key));
+    } catch (err) {
+        sendKeyError(res, err, 'load API key');
+    }
+});
+
+// Name and limits; a limit of null goes back to the server default
+app.put('/api/keys/:id', requireAdmin, async (req, res) => {
+    try {
+        const key = await keyStore.get(req.params.id);
+        if (!key) return res.status(404).json({ error: 'API key not found' });
+        let fields;
+        try {
+            fields = keyFields(req.body || {});
+        } catch (err) {
+            throw badRequest(err.message);
+        }
+        await keyStore.update(key.id, { ...fields, updatedAt: new Date() });
+        res.json(keyView(await keyStore.get(key.id), await keyStore.usage(key.id, usageMonth())));
+    } catch (err) {
+        sendKeyError(res, err, 'update API key');
+    }
+});
+
+// Revoked keys are kept, with their usage, and answered with 401
+app.delete('/api/keys/:id', requireAdmin, async (req, res) => {
+    try {
+        const key = await keyStore.get(req.params.id);
+        if (!key) return res.status(404).json({ error: 'API key not found' });
+        if (!key.revokedAt) {
+            await keyStore.update(key.id, { revokedAt: new Date() });
+            console.log(`[AUTH] Revoked API key "${key.name}" (${key.id})`);
+        }
+        res.json(keyView(await keyStore.get(key.id), await keyStore.usage(key.id, usageMonth())));
+    } catch (err) {
+        sendKeyError(res, err, 'revoke API key');
+    }
+});
+
+// ─── /api/jobs ────────────────────────────────────────────────────────────────
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job || !canSee(req, job.apiKey && job.apiKey.id)) return res.status(404).json({ error: 'Job not found' });
+    res.json(jobSummary(job));
+});
+
+// Range requests are answered by res.download (206 / 416 handled by `send`),
+// so interrupted downloads can resume. A split output is fetched part by part
+// with ?part=N (default 1). The job is discarded once a response reaching the
+// last byte has been delivered in full for every part.
+app.get('/api/jobs/:id/download', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job || !canSee(req, job.apiKey && job.apiKey.id)) return res.status(404).json({ error: 'Job not found' });
+    if (job.status !== 'completed')
+        return res.status(409).json({ error: `Job is ${job.status}`, status: job.status });
+    const partNo = req.query.part === undefined ? 1 : Number(req.query.part);
+    const part   = job.zipParts[partNo - 1];
+    if (!Number.isInteger(partNo) || !part)
+        return res.status(404).json({ error: `No part ${req.query.part}; the output has ${job.zipParts.length} part(s)` });
+
+    const ranges     = req.range(part.size);
+    const reachesEnd = !Array.isArray(ranges) || ranges.some(r => r.end === part.size - 1);
+    const fileName   = job.zipParts.length > 1 ? `qrcodes_${job.id}.part${partNo}.zip` : `qrcodes_${job.id}.zip`;
+
+    setCountHeaders(res, job);
+    res.download(part.path, fileName, (err) => {
+        if (err) {
+            if (err.code !== 'ECONNABORTED') console.error(`[JOB] ${job.id} download error:`, err.message);
+            return;
+        }
+        if (!reachesEnd) return;
+        job.downloadedParts.add(partNo);
+        if (job.downloadedParts.size === job.zipParts.length) {
+            discardJob(job);
+            console.log(`[JOB] ${job.id} downloaded — cleanup done.`);
+        }
+    });
+});
+
+app.delete('/api/jobs/:id', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job || !canSee(req, job.apiKey && job.apiKey.id)) return res.status(404).json({ error: 'Job not found' });
+
+    if (job.status === 'queued' || job.status === 'processing') {
+        // runGeneration notices the aborted signal, drops the partial ZIP
+        // and marks the job 'cancelled'; keep it around so polling sees that.
+        job.abort.abort();
+        return res.json({ id: job.id, status: 'cancelling' });
+    }
+
+    discardJob(job);
+    res.json({ id: job.id, status: 'deleted' });
+});
+
+// ─── /api/render/stats ────────────────────────────────────────────────────────
+// Render pool counters since startup, the backpressure limits, and the
+// throughput of every async job rendering right now.
+app.get('/api/render/stats', (req, res) => {
+    const m  = process.memoryUsage();
+    const mb = bytes => Math.round(bytes / 1024 / 1024 * 10) / 10;
+    res.json({
+        pool:   renderPool.stats(),
+        limits: {
+            concurrency: RENDER_CONCURRENCY,
+            maxBufferMb: mb(RENDER_LIMITS.maxBufferedBytes),
+            maxRssMb:    mb(RENDER_LIMITS.maxRssBytes),
+        },
+        memory: { rssMb: mb(m.rss), heapUsedMb: mb(m.heapUsed) },
+        jobs:   [...jobs.values()]
+            .filter(job => job.status === 'processing' && job.render && canSee(req, job.apiKey && job.apiKey.id))
+            .map(job => ({ id: job.id, fileName: job.fileName, total: job.total, ...jobThroughput(job) })),
+    });
+});
+
+// ─── /api/validate-design ─────────────────────────────────────────────────────
+// The pre-generation design lint on its own. Takes the same fields as
+// /api/generate as JSON or multipart; an uploaded `logo` (or hasLogo=true)
+// enables the logo checks, a `background` (or hasBackground=true) the frame
+// background ones, and `sampleValue` is the payload to size for.
+app.post('/api/validate-design', uploadFields, async (req, res) => {
+    const logoFile = req.files && req.files['logo'] ? req.files['logo'][0] : null;
+    const filePath = req.files && req.files['file'] ? req.files['file'][0].path : null;
+    const fontPath = req.files && req.files['font'] ? req.files['font'][0].path : null;
+    const bgPath   = req.files && req.files['background'] ? req.files['background'][0].path : null;
+    safeDelete(filePath, fontPath, bgPath); // only the presence of a background matters here
+
+    let design;
+    try {
+        design = await applyPreset(req, req.body || {}, logoFile);
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('[DESIGN] Preset lookup failed:', err.message);
+        return res.status(500).json({ error: 'Failed to load preset' });
+    } finally {
+        safeDelete(logoFile && logoFile.path, design && design.logoPath); // only the presence of a logo matters
+    }
+
+    const cfg     = design.cfg;
+    const hasLogo = !!design.logoPath || cfg.hasLogo === 'true' || cfg.hasLogo === true;
+    const hasBackground = !!bgPath || cfg.hasBackground === 'true' || cfg.hasBackground === true;
+    const options = { hasLogo, hasBackground, sampleValue: cfg.sampleValue };
+    const result  = lintDesign(cfg, options);
+    try {
+        const variants = resolveVariants(cfg);
+        if (variants) lintVariants(result, cfg, variants, options);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    console.log(`[DESIGN] ${result.errors.length} error(s), ${result.warnings.length} warning(s)`);
+    res.json(result);
+});
+
+// ─── /api/preview ─────────────────────────────────────────────────────────────
+// One code rendered with the same fields as /api/generate, for live design
+// previews. The value is `sampleValue` (plus optional `caption`), or sheet row
+// `row` of an uploaded data file resolved exactly as generation would.
+// `variant` names one of the `variants` to preview that output.
+// Responds with the image inline, or base64 JSON with `response=json`.
+const PREVIEW_MIME = { png: 'image/png', jpeg: 'image/jpeg', svg: 'image/svg+xml', pdf: 'application/pdf', eps: 'application/postscript' };
+
+// Fields that pick the input or the response shape, not the look of the code
+const PREVIEW_INPUT_FIELDS = new Set(['sampleValue', 'caption', 'row', 'response', 'async']);
+
+/**
+ * Tiny LRU: a Map iterates in insertion order, so re-inserting on every hit
+ * keeps the least recently used entry first. Bounded by count and bytes.
+ */
+function createLruCache(maxEntries, maxBytes) {
+    const entries = new Map(); // key → { value, bytes }
+    let total = 0;
+    return {
+        get(key) {
+            const hit = entries.get(key);
+            if (!hit) return undefined;
+            entries.delete(key);
+            entries.set(key, hit);
+            return hit.value;
+        },
+        set(key, value, bytes) {
+            if (bytes > maxBytes) return;
+            if (entries.has(key)) total -= entries.get(key).bytes;
+            entries.delete(key);
+            entries.set(key, { value, bytes });
+            total += bytes;
+            for (const [k, e] of entries) {
+                if (entries.size <= maxEntries && total <= maxBytes) break;
+                entries.delete(k);
+                total -= e.bytes;
+            }
+        },
+    };
+}
+
+const previewCache = createLruCache(
+    parseInt(process.env.PREVIEW_CACHE_ENTRIES || '200'),
+    parseInt(process.env.PREVIEW_CACHE_MB || '32') * 1024 * 1024);
+
+app.post('/api/preview', uploadFields, async (req, res) => {
+    const filePath = req.files && req.files['file'] ? req.files['file'][0].path : null;
+    const logoFile = req.files && req.files['logo'] ? req.files['logo'][0] : null;
+    const fontPath = req.files && req.files['font'] ? req.files['font'][0].path : null;
+    const bgPath   = req.files && req.files['background'] ? req.files['background'][0].path : null;
+    const t0       = Date.now();
+    let logoPath   = logoFile ? logoFile.path : null;
+    try {
+        const design = await applyPreset(req, req.body, logoFile);
+        logoPath     = design.logoPath;
+        const cfg    = { ...design.cfg };
+        if (cfg.variant !== undefined && cfg.variant !== '') {
+            let variants;
+            try { variants = resolveVariants(cfg); } catch (err) { throw badRequest(err.message); }
+            if (!variants) throw badRequest('variant picks one of the outputs listed in variants');
+            const chosen = variants.find(v => v.name.toLowerCase() === String(cfg.variant).toLowerCase());
+            if (!chosen) throw badRequest(`No variant named "${cfg.variant}". Use one of: ${variants.map(v => v.name).join(', ')}`);
+            Object.assign(cfg, chosen.overrides);
+        }
+        const format = cfg.format || 'jpeg';
+        try { resolveSizing(cfg); resolveStyle(cfg); resolveCaption(cfg); resolveFrame(cfg); resolveQrEncoding(cfg, resolveSymbology(cfg)); resolveBarHeight(cfg); } catch (err) { throw badRequest(err.message); }
+        const fontBuf = fontPath ? fs.readFileSync(fontPath) : null;
+        let font = null;
+        if (fontBuf) {
+            try { font = loadFont(fontBuf); } catch (err) { throw badRequest(err.message); }
+        }
+
+        let payload, caption;
+        if (filePath) {
+            const { validRecords, errors } = await parseRecords(filePath, cfg);
+            const rowNo  = cfg.row !== undefined && cfg.row !== '' ? parseInt(cfg.row) : null;
+            if (rowNo !== null && !(rowNo >= 1)) throw badRequest('row must be a sheet row number (1-based)');
+            const record = rowNo === null ? validRecords[0] : validRecords.find(r => r.row === rowNo);
+            if (!record) {
+                const rowError = errors.find(e => e.row === rowNo);
+                throw badRequest(rowNo === null ? 'The sheet has no rows to encode'
+                    : rowError ? `Row ${rowNo}: ${rowError.error}`
+                    : `Row ${rowNo} has no value to encode, or is a header row or outside the row range/filter`);
+            }
+            ({ payload, caption } = record);
+        } else {
+            if (cfg.sampleValue === undefined || cfg.sampleValue === '')
+                throw badRequest('Send a sampleValue, or a data file and the row to preview');
+            payload = String(cfg.sampleValue);
+            caption = cfg.caption !== undefined ? String(cfg.caption) : payload;
+        }
+
+        // Key on everything that changes the pixels: look, value and uploaded files
+        const hash = crypto.createHash('sha1');
+        for (const k of Object.keys(cfg).sort()) {
+            if (!PREVIEW_INPUT_FIELDS.has(k)) hash.update(`${k}=${cfg[k]}\n`);
+        }
+        hash.update(`\0${payload}\0${caption}\0`);
+        if (logoPath) hash.update(fs.readFileSync(logoPath));
+        if (fontBuf) hash.update('\0font\0').update(fontBuf);
+        if (bgPath) hash.update('\0background\0').update(fs.readFileSync(bgPath));
+        const key = hash.digest('hex');
+
+        let entry    = previewCache.get(key);
+        const cached = !!entry;
+        if (!entry) {
+            const design = lintDesign(cfg, { hasLogo: !!logoPath, hasBackground: !!bgPath, sampleValue: payload });
+            // Inputs no code can be drawn from fail the preview; the other
+            // findings only go out in the X-Design-* headers
+            const fatal = design.errors.find(e => e.code === 'payload-too-long' || e.code === 'invalid-color');
+            if (fatal) throw badRequest(fatal.message);
+            if (design.metrics.errorCorrectionRaisedFrom) cfg.errorCorrectionLevel = design.errorCorrectionLevel;
+            try { encodeSymbol(payload, cfg); } catch (err) { throw badRequest(err.message); } // e.g. an EAN-13 check digit
+
+            const logoDataUri = logoPath ? await prepareLogo(logoPath, cfg) : null;
+            let background = null;
+            if (bgPath) {
+                try { background = await prepareBackground(bgPath); } catch (_) { throw badRequest('The background must be an image file'); }
+            }
+            const buf = await generateQRBuffer(payload, cfg, logoDataUri, caption, { font, background });
+            entry = { buf, design };
+            previewCache.set(key, entry, buf.length);
+        }
+
+        const mimeType = PREVIEW_MIME[format] || 'image/jpeg';
+        console.log(`[PREVIEW] ${format} ${cached ? 'cache hit' : 'rendered'} in ${Date.now() - t0}ms`);
+        res.set('X-Preview-Cache', cached ? 'HIT' : 'MISS');
+        if (cfg.response === 'json') {
+            return res.json({
+                format, mimeType, payload, caption, cached,
+                design: entry.design,
+                data:   entry.buf.toString('base64'),
+            });
+        }
+        exposeHeaders(res, ['X-Preview-Cache', 'X-Design-Errors', 'X-Design-Warnings']);
+        res.set('X-Design-Errors',   String(entry.design.errors.length));
+        res.set('X-Design-Warnings', String(entry.design.warnings.length));
+        res.set('Content-Disposition', `inline; filename="preview.${FORMAT_EXT[format] || 'jpg'}"`);
+        res.type(mimeType).send(entry.buf);
+
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('[PREVIEW] Error:', err.message);
+        res.status(500).json({ error: 'Failed to render preview' });
+    } finally {
+        safeDelete(filePath, logoFile && logoFile.path, logoPath, fontPath, bgPath);
+    }
 });
 
 // ─── /api/analyze ─────────────────────────────────────────────────────────────
+// Previews the selected sheet (sheetName/sheetIndex, default the first),
+// lists every sheet in the file with its size, and gives per-column stats
+// for the rows below `headerRows` (default 1) to help pick the serial column.
 app.post('/api/analyze', uploadFields, (req, res) => {
     let filePath = null;
     const t0     = Date.now();
@@ -433,8 +2269,7 @@ app.post('/api/analyze', uploadFields, (req, res) => {
             return res.status(400).json({ error: 'No data file uploaded' });
 
         filePath = req.files['file'][0].path;
-        const workbook  = xlsx.readFile(filePath, { cellFormula: false, cellHTML: false, cellText: false });
-        const sheet     = workbook.Sheets[workbook.SheetNames[0]];
+        const { workbook, info, sheet, name } = loadSheet(filePath, req.body);
         const range     = xlsx.utils.decode_range(sheet['!ref'] || 'A1');
         const totalRows = range.e.r - range.s.r + 1;
 
@@ -449,34 +2284,67 @@ app.post('/api/analyze', uploadFields, (req, res) => {
             preview.push(row);
         }
 
-        const headers = preview.length > 0 ? preview[0] : [];
+        const headerRows = req.body.headerRows !== undefined && req.body.headerRows !== '' ? Number(req.body.headerRows) : 1;
+        if (!Number.isInteger(headerRows) || headerRows < 0) throw badRequest('headerRows must be a whole number, 0 or more');
+
+        const columns = columnStats(sheet, headerRows);
+        const headers = headerRows === 0 ? [] : preview[headerRows - 1] || columns.map(col => col.header);
+        const sheets  = workbook.SheetNames.map((sheetName, index) =>
+            ({ name: sheetName, index, ...sheetDimensions(workbook.Sheets[sheetName]) }));
         safeDelete(filePath);
 
-        console.log(`[ANALYZE] ${totalRows} rows in ${Date.now() - t0}ms`);
-        res.json({ totalRows, preview, headers, analysisTime: Date.now() - t0 });
+        console.log(`[ANALYZE] ${info.format} "${name}": ${totalRows} rows in ${Date.now() - t0}ms`);
+        res.json({ totalRows, preview, headers, columns, sheetName: name, sheets, input: info, analysisTime: Date.now() - t0 });
 
     } catch (err) {
-        console.error('[ANALYZE] Error:', err.message);
         safeDelete(filePath);
-        res.status(500).json({ error: 'Failed to parse Excel file' });
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('[ANALYZE] Error:', err.message);
+        res.status(500).json({ error: 'Failed to parse data file' });
     }
 });
 
 // ─── Periodic stale file cleanup (safety net for crashed requests) ─────────────
+// Finished jobs that were never downloaded expire on the same schedule.
+const STALE_AGE_MS = 30 * 60 * 1000;
+
 setInterval(() => {
     try {
+        const now = Date.now();
+        for (const job of jobs.values()) {
+            if (job.finishedAt && now - job.finishedAt > STALE_AGE_MS) {
+                discardJob(job);
+                console.log(`[CLEANUP] Expired job: ${job.id} (${job.status})`);
+            }
+        }
+
         const files = fs.readdirSync(uploadDir);
-        const now   = Date.now();
         for (const f of files) {
             const fp   = path.join(uploadDir, f);
             const stat = fs.statSync(fp);
+            if (!stat.isFile()) continue; // uploads/batches has its own retention
             // Delete any file older than 30 minutes
-            if (now - stat.mtimeMs > 30 * 60 * 1000) {
+            if (now - stat.mtimeMs > STALE_AGE_MS) {
                 fs.unlinkSync(fp);
                 console.log(`[CLEANUP] Removed stale file: ${f}`);
             }
         }
     } catch (_) {}
+
+    // Kept batch inputs expire after BATCH_INPUT_RETENTION_HOURS
+    try {
+        if (fs.existsSync(batchInputDir)) {
+            for (const id of fs.readdirSync(batchInputDir)) {
+                const dir = path.join(batchInputDir, id);
+                if (Date.now() - fs.statSync(dir).mtimeMs > BATCH_INPUT_TTL_MS) {
+                    fs.rmSync(dir, { recursive: true, force: true });
+                    console.log(`[CLEANUP] Removed inputs of batch ${id}`);
+                }
+            }
+        }
+    } catch (_) {}
+
+    rateLimiter.prune();
 }, 10 * 60 * 1000); // Run every 10 minutes
 
 // ─── Start ────────────────────────────────────────────────────────────────────
@@ -0,0 +1,269 @@
+'use strict';
+
+// ─── API keys ─────────────────────────────────────────────────────────────────
+// Partner access to /api. A key is sent as `Authorization: Bearer <key>` or
+// `X-API-Key: <key>`; only its SHA-256 is stored, with a short prefix to tell
+// keys apart in listings. Each key may override the default rate limit
+// (requests per minute) and monthly quota (generated codes per calendar
+// month, UTC); 0 means no limit. Usage is counted per key and month:
+// requests, batches and codes.
+//
+// Keys and usage live in MongoDB (ApiKey / ApiKeyUsage), or without it in a
+// local JSON file. That file may be written by hand — a key entry can give
+// the plain `key`, which is replaced by its hash when the file is loaded.
+
+const crypto   = require('crypto');
+const fs       = require('fs');
+const mongoose = require('mongoose');
+
+const KEY_PREFIX     = 'qrk_';
+const SHOWN_PREFIX   = 12;   // characters of a key kept for listings
+const SAVE_DELAY_MS  = 5000; // usage counts reach the JSON file this often
+const IDLE_BUCKET_MS = 10 * 60 * 1000;
+
+const ApiKey = mongoose.model('ApiKey', new mongoose.Schema({
+    _id:          String,
+    name:         String,
+    hash:         { type: String, unique: true },
+    prefix:       String,
+    rateLimit:    Number, // null: the server default
+    monthlyQuota: Number, // null: the server default
+    createdAt:    Date,
+    updatedAt:    Date,
+    revokedAt:    Date,
+}));
+
+const ApiKeyUsage = mongoose.model('ApiKeyUsage', new mongoose.Schema({
+    keyId:    String,
+    month:    String, // YYYY-MM
+    requests: { type: Number, default: 0 },
+    batches:  { type: Number, default: 0 },
+    codes:    { type: Number, default: 0 },
+}).index({ keyId: 1, month: 1 }, { unique: true }));
+
+const hashKey    = key => crypto.createHash('sha256').update(String(key)).digest('hex');
+const newApiKey  = () => KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+const newKeyId   = () => crypto.randomBytes(6).toString('hex');
+const usageMonth = (date = new Date()) => date.toISOString().slice(0, 7);
+const emptyUsage = month => ({ month, requests: 0, batches: 0, codes: 0 });
+
+// A new key: the plain key, shown once, and the record to store for it
+function issueKey(fields) {
+    const key = newApiKey();
+    return {
+        key,
+        doc: { _id: newKeyId(), ...fields, hash: hashKey(key), prefix: key.slice(0, SHOWN_PREFIX), createdAt: new Date() },
+    };
+}
+
+// The key sent with a request, if any
+function apiKeyOf(req) {
+    const auth = req.get('authorization');
+    if (auth && /^bearer\s+/i.test(auth)) return auth.replace(/^bearer\s+/i, '').trim() || null;
+    return req.get('x-api-key') || null;
+}
+
+// Whether `key` is `secret`, without leaking where they differ
+function sameKey(key, secret) {
+    return crypto.timingSafeEqual(Buffer.from(hashKey(key), 'hex'), Buffer.from(hashKey(secret), 'hex'));
+}
+
+/**
+ * The name and limits of a key as sent to the API; throws on bad values.
+ * Limits left out (or '') are not returned, null resets one to the default.
+ */
+function keyFields(body, { requireName = false } = {}) {
+    const fields = {};
+    if (body.name !== undefined || requireName) {
+        const name = String(body.name || '').trim();
+        if (!name) throw new Error('An API key needs a name');
+        if (name.length > 100) throw new Error('The key name must be at most 100 characters');
+        fields.name = name;
+    }
+    for (const key of ['rateLimit', 'monthlyQuota']) {
+        if (body[key] === undefined || body[key] === '') continue;
+        if (body[key] === null) { fields[key] = null; continue; }
+        const n = Number(body[key]);
+        if (!Number.isInteger(n) || n < 0) throw new Error(`${key} must be a whole number, 0 for no limit`);
+        fields[key] = n;
+    }
+    return fields;
+}
+
+function toKey(doc) {
+    if (!doc) return null;
+    const { _id, __v, ...rest } = doc;
+    return { id: String(_id), ...rest };
+}
+
+function mongoStore() {
+    const toUsage = (doc, month) => (doc ? { month, requests: doc.requests, batches: doc.batches, codes: doc.codes } : emptyUsage(month));
+    return {
+        kind: 'mongodb',
+        async create(doc) {
+            await ApiKey.create(doc);
+        },
+        async update(id, patch) {
+            await ApiKey.updateOne({ _id: id }, { $set: patch });
+        },
+        async get(id) {
+            return toKey(await ApiKey.findById(String(id)).lean());
+        },
+        async findByKey(key) {
+            return toKey(await ApiKey.findOne({ hash: hashKey(key) }).lean());
+        },
+        async list() {
+            return (await ApiKey.find().sort({ createdAt: 1 }).lean()).map(toKey);
+        },
+        async usage(keyId, month) {
+            return toUsage(await ApiKeyUsage.findOne({ keyId, month }).lean(), month);
+        },
+        async usageHistory(keyId) {
+            return (await ApiKeyUsage.find({ keyId }).sort({ month: -1 }).lean()).map(d => toUsage(d, d.month));
+        },
+        async count(keyId, month, inc) {
+            await ApiKeyUsage.updateOne({ keyId, month }, { $inc: inc }, { upsert: true });
+        },
+        async reserveCodes(keyId, month, n, quota) {
+            if (n > quota) return false;
+            // Only a month with room matches; without one the upsert collides on the unique index
+            for (let attempt = 0; attempt < 2; attempt++) {
+                try {
+                    await ApiKeyUsage.updateOne({ keyId, month, codes: { $lte: quota - n } }, { $inc: { codes: n } }, { upsert: true });
+                    return true;
+                } catch (err) {
+                    if (err.code !== 11000) throw err;
+                }
+            }
+            return false;
+        },
+    };
+}
+
+// Same interface, loaded from and saved to `file` (dates as ISO strings)
+function fileStore(file) {
+    let data = { keys: [], usage: {} };
+    if (fs.existsSync(file)) {
+        try {
+            data = { keys: [], usage: {}, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+        } catch (err) {
+            throw new Error(`Could not read the API key file ${file}: ${err.message}`);
+        }
+    }
+    let timer = null;
+    const flush = () => {
+        clearTimeout(timer);
+        timer = null;
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+        fs.renameSync(tmp, file);
+    };
+    const saveSoon = () => {
+        if (!timer) timer = setTimeout(flush, SAVE_DELAY_MS).unref();
+    };
+
+    // Hand-written entries: plain keys become hashes, ids are filled in
+    let changed = false;
+    for (const k of data.keys) {
+        if (k.key) {
+            Object.assign(k, { hash: hashKey(k.key), prefix: String(k.key).slice(0, SHOWN_PREFIX) });
+            delete k.key;
+            changed = true;
+        }
+        if (!k.id) { k.id = newKeyId(); changed = true; }
+        if (!k.createdAt) { k.createdAt = new Date().toISOString(); changed = true; }
+    }
+    if (changed) flush();
+
+    const byId     = id => data.keys.find(k => k.id === String(id));
+    const monthsOf = keyId => data.usage[keyId] || (data.usage[keyId] = {});
+    const usageOf  = (keyId, month) => monthsOf(keyId)[month] || (monthsOf(keyId)[month] = { requests: 0, batches: 0, codes: 0 });
+
+    return {
+        kind: 'file',
+        async create(doc) {
+            const { _id, ...rest } = doc;
+            data.keys.push(JSON.parse(JSON.stringify({ id: _id, ...rest })));
+            flush();
+        },
+        async update(id, patch) {
+            const k = byId(id);
+            if (k) Object.assign(k, JSON.parse(JSON.stringify(patch)));
+            flush();
+        },
+        async get(id) {
+            const k = byId(id);
+            return k ? structuredClone(k) : null;
+        },
+        async findByKey(key) {
+            const hash = hashKey(key);
+            const k = data.keys.find(e => e.hash === hash);
+            return k ? structuredClone(k) : null;
+        },
+        async list() {
+            return data.keys.map(k => structuredClone(k));
+        },
+        async usage(keyId, month) {
+            const u = (data.usage[keyId] || {})[month];
+            return u ? { month, ...u } : emptyUsage(month);
+        },
+        async usageHistory(keyId) {
+            return Object.entries(data.usage[keyId] || {})
+                .sort(([a], [b]) => b.localeCompare(a))
+                .map(([month, u]) => ({ month, ...u }));
+        },
+        async count(keyId, month, inc) {
+            const u = usageOf(keyId, month);
+            for (const [field, n] of Object.entries(inc)) u[field] += n;
+            saveSoon();
+        },
+        async reserveCodes(keyId, month, n, quota) {
+            const u = usageOf(keyId, month);
+            if (u.codes + n > quota) return false;
+            u.codes += n;
+            saveSoon();
+            return true;
+        },
+    };
+}
+
+/**
+ * Pick the MongoDB store when `useMongo`, else the JSON file at `file`.
+ * `findByKey(key)` looks a key up by its hash, revoked ones included;
+ * `reserveCodes(keyId, month, n, quota)` adds `n` codes to the month unless
+ * that would go over `quota`, and says whether it did.
+ */
+function createKeyStore(useMongo, file) {
+    return useMongo ? mongoStore() : fileStore(file);
+}
+
+/**
+ * Per-key token buckets: `perMinute` requests, refilled evenly over the
+ * minute. take() spends one and returns { ok, remaining, retryAfter }
+ * (seconds until the next request is allowed when not ok). Kept in memory,
+ * so the limit applies per server process.
+ */
+function createRateLimiter() {
+    const buckets = new Map(); // key id → { tokens, at }
+    return {
+        take(id, perMinute) {
+            const now    = Date.now();
+            const bucket = buckets.get(id) || { tokens: perMinute, at: now };
+            bucket.tokens = Math.min(perMinute, bucket.tokens + (now - bucket.at) * perMinute / 60000);
+            bucket.at     = now;
+            buckets.set(id, bucket);
+            if (bucket.tokens < 1) {
+                return { ok: false, remaining: 0, retryAfter: Math.ceil((1 - bucket.tokens) * 60 / perMinute) };
+            }
+            bucket.tokens -= 1;
+            return { ok: true, remaining: Math.floor(bucket.tokens) };
+        },
+        // Forget keys that have not been seen for a while
+        prune() {
+            const now = Date.now();
+            for (const [id, bucket] of buckets) if (now - bucket.at > IDLE_BUCKET_MS) buckets.delete(id);
+        },
+    };
+}
+
+module.exports = { createKeyStore, createRateLimiter, apiKeyOf, sameKey, keyFields, issueKey, usageMonth };
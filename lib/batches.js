@@ -0,0 +1,125 @@
+'use strict';
+
+// ─── Batch history ────────────────────────────────────────────────────────────
+// Every generation run is recorded as an UploadLog document: the settings it
+// ran with, counts, timing, row errors and the final status. With MongoDB
+// configured the history is persistent; without it an in-memory store with
+// the same interface keeps recent batches for the life of the process.
+
+const mongoose = require('mongoose');
+
+const STATUSES           = ['Processing', 'Completed', 'Failed', 'Cancelled'];
+const MAX_MEMORY_BATCHES = 500;
+
+const UploadLog = mongoose.model('UploadLog', new mongoose.Schema({
+    filename:        String,
+    recordCount:     Number,
+    timestamp:       { type: Date, default: Date.now, index: true },
+    status:          { type: String, index: true },
+    config:          mongoose.Schema.Types.Mixed,
+    counts:          mongoose.Schema.Types.Mixed,
+    design:          mongoose.Schema.Types.Mixed,
+    rowErrors:       [{ _id: false, row: Number, error: String, value: String }],
+    error:           String,
+    zipSize:         Number,
+    startedAt:       Date,
+    finishedAt:      Date,
+    durationMs:      Number,
+    input:           {
+        dataFile: String, logoFile: String, logoName: String, fontFile: String, fontName: String,
+        backgroundFile: String, backgroundName: String,
+    },
+    regeneratedFrom: String,
+    linkBaseUrl:     String, // dynamic batches: short URLs are <linkBaseUrl>/r/<code>
+    apiKeyId:        { type: String, index: true }, // the API key that started it
+}));
+
+// Plain object with `id` instead of `_id`, as the API returns it
+function toBatch(doc) {
+    if (!doc) return null;
+    const { _id, __v, ...rest } = doc;
+    return { id: String(_id), ...rest };
+}
+
+// Case-insensitive status name → stored spelling, or null when unknown
+function normalizeStatus(status) {
+    return STATUSES.find(s => s.toLowerCase() === String(status).toLowerCase()) || null;
+}
+
+function mongoStore() {
+    const toQuery = ({ status, q, from, to, apiKeyId }) => {
+        const query = {};
+        if (status) query.status = status;
+        if (apiKeyId) query.apiKeyId = apiKeyId;
+        if (q) query.filename = { $regex: q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+        if (from || to) query.timestamp = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+        return query;
+    };
+    return {
+        kind: 'mongodb',
+        async create(doc) {
+            await UploadLog.create(doc);
+        },
+        async update(id, patch) {
+            await UploadLog.updateOne({ _id: id }, { $set: patch });
+        },
+        async get(id) {
+            if (!mongoose.isValidObjectId(id)) return null;
+            return toBatch(await UploadLog.findById(id).lean());
+        },
+        async list(filter, skip, limit) {
+            const query = toQuery(filter);
+            const [total, docs] = await Promise.all([
+                UploadLog.countDocuments(query),
+                UploadLog.find(query, { rowErrors: 0 }).sort({ timestamp: -1 }).skip(skip).limit(limit).lean(),
+            ]);
+            return { total, items: docs.map(toBatch) };
+        },
+    };
+}
+
+// Same interface, kept in a Map in insertion (= timestamp) order
+function memoryStore() {
+    const docs = new Map();
+    return {
+        kind: 'memory',
+        async create(doc) {
+            docs.set(String(doc._id), structuredClone(doc));
+            if (docs.size > MAX_MEMORY_BATCHES) docs.delete(docs.keys().next().value);
+        },
+        async update(id, patch) {
+            const doc = docs.get(String(id));
+            if (doc) Object.assign(doc, structuredClone(patch));
+        },
+        async get(id) {
+            const doc = docs.get(String(id));
+            return doc ? toBatch(structuredClone(doc)) : null;
+        },
+        async list({ status, q, from, to, apiKeyId }, skip, limit) {
+            const needle  = q ? q.toLowerCase() : null;
+            const matches = [...docs.values()].reverse().filter(d =>
+                (!status || d.status === status) &&
+                (!apiKeyId || d.apiKeyId === apiKeyId) &&
+                (!needle || String(d.filename).toLowerCase().includes(needle)) &&
+                (!from || d.timestamp >= from) &&
+                (!to || d.timestamp <= to));
+            return {
+                total: matches.length,
+                items: matches.slice(skip, skip + limit).map(({ rowErrors, ...d }) => toBatch(structuredClone(d))),
+            };
+        },
+    };
+}
+
+/**
+ * Pick the MongoDB store when `useMongo`, else the in-memory stand-in.
+ * All methods are async; `list(filter, skip, limit)` is newest first and
+ * leaves out `rowErrors`, which only `get(id)` returns.
+ */
+function createBatchStore(useMongo) {
+    return useMongo ? mongoStore() : memoryStore();
+}
+
+const newBatchId = () => new mongoose.Types.ObjectId().toString();
+
+module.exports = { STATUSES, createBatchStore, newBatchId, normalizeStatus };
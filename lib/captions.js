@@ -0,0 +1,130 @@
+'use strict';
+
+// ─── Captions ─────────────────────────────────────────────────────────────────
+// Lays out the text block drawn below (or above) the code: up to three lines
+// split on line breaks in the caption, aligned to the symbol's edges or
+// centred, each line shrunk to fit the symbol's width when it is too long.
+// With an uploaded TTF/OTF font the glyphs are converted to SVG paths, so
+// every renderer and format shows that font without it being installed.
+//
+//   textPosition  below | above       textAlign   left | center | right
+//   textWeight    bold | normal       textFit     shrink long lines (default true)
+//   textColor     default: colorDark
+
+const fontkit     = require('fontkit');
+const PDFDocument = require('pdfkit');
+
+const { escapeXml } = require('./vector');
+
+const MAX_LINES   = 3;
+const LINE_HEIGHT = 1.25; // × font size from one baseline to the next
+const POSITIONS   = ['below', 'above'];
+const ALIGNS      = ['left', 'center', 'right'];
+const WEIGHTS     = ['bold', 'normal'];
+const HEX_RE      = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+// Rasterising on the server substitutes whatever sans is installed for Arial;
+// DejaVu Sans Bold runs up to ~25% wider than Helvetica, so leave room for it
+const RASTER_SLACK = 1.27;
+
+// Helvetica metrics, as pdfkit ships them, stand in for the Arial we ask for
+const metricsDoc = new PDFDocument({ autoFirstPage: false });
+
+/**
+ * Validate the caption fields of a render config; throws naming the bad one.
+ */
+function resolveCaption(cfg) {
+    const given = key => cfg[key] !== undefined && cfg[key] !== '';
+    const pick  = (key, allowed, fallback) => {
+        const value = given(key) ? String(cfg[key]) : fallback;
+        if (!allowed.includes(value)) throw new Error(`Unknown ${key} "${value}". Use one of: ${allowed.join(', ')}`);
+        return value;
+    };
+    if (given('textColor') && !HEX_RE.test(String(cfg.textColor).trim()))
+        throw new Error(`textColor "${cfg.textColor}" is not a hex colour (#rgb, #rrggbb or #rrggbbaa)`);
+    return {
+        position: pick('textPosition', POSITIONS, 'below'),
+        align:    pick('textAlign', ALIGNS, 'center'),
+        weight:   pick('textWeight', WEIGHTS, 'bold'),
+        fit:      !(cfg.textFit === 'false' || cfg.textFit === false),
+        color:    given('textColor') ? String(cfg.textColor).trim() : null,
+    };
+}
+
+// Caption text → at most MAX_LINES lines; a typed "\n" counts as a break too
+function captionLines(caption) {
+    const lines = String(caption).split(/\r\n|\r|\n|\\n/);
+    if (lines.length > MAX_LINES) lines.splice(MAX_LINES - 1, Infinity, lines.slice(MAX_LINES - 1).join(' '));
+    return lines;
+}
+
+/**
+ * Parse an uploaded font file (TTF, OTF, WOFF/WOFF2; the first face of a
+ * collection). Throws when it is not a font fontkit can lay out.
+ */
+function loadFont(buf) {
+    let font;
+    try {
+        font = fontkit.create(buf);
+    } catch (_) {
+        throw new Error('The font must be a TrueType or OpenType file');
+    }
+    if (font && font.fonts) font = font.fonts[0];
+    if (!font || typeof font.layout !== 'function' || !font.unitsPerEm)
+        throw new Error('The font must be a TrueType or OpenType file');
+    return font;
+}
+
+function textWidth(text, size, font, weight) {
+    if (font) return font.layout(text).advanceWidth * size / font.unitsPerEm;
+    metricsDoc.font(weight === 'bold' ? 'Helvetica-Bold' : 'Helvetica').fontSize(size);
+    let width = 0;
+    for (const ch of text) {
+        // Outside Latin-1 the AFM has no widths; assume an average glyph
+        width += ch.codePointAt(0) > 0xff ? size * 0.6 : metricsDoc.widthOfString(ch);
+    }
+    return width;
+}
+
+const n = v => String(Math.round(v * 1000) / 1000);
+
+/**
+ * SVG for the caption lines, in the caller's user units. The block is
+ * vertically centred on `centerY`; lines align within [x0, x1] (shifted by
+ * `offsetX`) and are shrunk to that width when `style.fit` is on. `raster`
+ * marks output rasterised here, where the default font's width is a guess.
+ */
+function captionSvg(lines, { fontSize, centerY, x0, x1, offsetX = 0, style, color, font, raster = false }) {
+    const span    = (x1 - x0) / (raster && !font ? RASTER_SLACK : 1);
+    const step    = fontSize * LINE_HEIGHT;
+    const anchorX = (style.align === 'left' ? x0 : style.align === 'right' ? x1 : (x0 + x1) / 2) + offsetX;
+    const anchor  = { left: 'start', center: 'middle', right: 'end' }[style.align];
+    const out     = [];
+    let glyphPath = '';
+
+    lines.forEach((line, i) => {
+        if (!line.trim()) return;
+        const midY  = centerY + (i - (lines.length - 1) / 2) * step;
+        const width = textWidth(line, fontSize, font, style.weight);
+        const size  = style.fit && width > span ? fontSize * span / width : fontSize;
+
+        if (!font) {
+            out.push(`<text x="${n(anchorX)}" y="${n(midY)}" font-family="Arial, Helvetica, sans-serif" font-size="${n(size)}" fill="${escapeXml(color)}" ` +
+                `text-anchor="${anchor}" dominant-baseline="middle"${style.weight === 'bold' ? ' font-weight="bold"' : ''}>${escapeXml(line)}</text>`);
+            return;
+        }
+        // Outlines: font units are y-up, so flip them onto the baseline
+        const scale    = size / font.unitsPerEm;
+        const run      = font.layout(line);
+        const baseline = midY + (font.capHeight || font.ascent * 0.7) * scale / 2;
+        let x = anchorX - run.advanceWidth * scale * { start: 0, middle: 0.5, end: 1 }[anchor];
+        run.glyphs.forEach((glyph, g) => {
+            const pos = run.positions[g];
+            glyphPath += glyph.path.scale(scale, -scale).translate(x + pos.xOffset * scale, baseline - pos.yOffset * scale).toSVG();
+            x += pos.xAdvance * scale;
+        });
+    });
+    if (glyphPath) out.push(`<path d="${glyphPath}" fill="${escapeXml(color)}" shape-rendering="geometricPrecision"/>`);
+    return out.join('');
+}
+
+module.exports = { LINE_HEIGHT, MAX_LINES, resolveCaption, captionLines, loadFont, captionSvg };
@@ -0,0 +1,326 @@
+'use strict';
+
+// ─── Design lint ──────────────────────────────────────────────────────────────
+// Static checks on a render configuration: colour contrast, inverted colours,
+// the quiet zone, and how much of the symbol a centred logo wipes out compared
+// with what the error correction level can recover. Nothing is rendered, so
+// it is cheap enough to run before every generation. The logo measurement is
+// QR-only; other symbologies get the colour, quiet zone and capacity checks.
+
+const ECCode = require('qrcode/lib/core/error-correction-code');
+const { getSymbolTotalCodewords } = require('qrcode/lib/core/utils');
+const { resolveStyle } = require('./styles');
+const { resolveFrame } = require('./frames');
+const { SYMBOLOGIES, resolveSymbology, symbolMargins, resolveBarHeight, encodeSymbol } = require('./symbologies');
+const { resolveQrEncoding, createQR } = require('./qrencode');
+
+const EC_LEVELS  = ['L', 'M', 'Q', 'H'];
+const EC_ALIASES = { l: 'L', low: 'L', m: 'M', medium: 'M', q: 'Q', quartile: 'Q', h: 'H', high: 'H' };
+
+const MIN_CONTRAST    = 2.5;  // below this most phone cameras give up
+const GOOD_CONTRAST   = 4;
+const LOGO_WARN_RATIO = 0.7;  // share of a block's correction budget a logo may use before we warn
+const LOGO_PADDING    = 0.2;  // modules of background drawn around the logo (see generateQRBuffer)
+const DEFAULT_SAMPLE  = 'https://example.com/0123456789';
+const MODE_SAMPLES    = { numeric: '012345678901234567890123456789', alphanumeric: 'HTTPS://EXAMPLE.COM/0123456789', kanji: '漢字漢字漢字漢字漢字' }; // for a forced qrMode
+
+// Versions 1–3 reserve a few EC codewords for misdecode protection (ISO/IEC 18004 Table 9)
+const MISDECODE_CODEWORDS = { '1L': 3, '1M': 2, '1Q': 1, '2L': 2, '3L': 1 };
+
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+
+function parseHex(value) {
+    const m = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(String(value).trim());
+    if (!m) return null;
+    let c = m[1];
+    if (c.length === 3) c = c.split('').map(x => x + x).join('');
+    return {
+        r: parseInt(c.slice(0, 2), 16),
+        g: parseInt(c.slice(2, 4), 16),
+        b: parseInt(c.slice(4, 6), 16),
+        a: c.length === 8 ? parseInt(c.slice(6, 8), 16) / 255 : 1,
+    };
+}
+
+const over = (fg, bg) => ({
+    r: fg.r * fg.a + bg.r * (1 - fg.a),
+    g: fg.g * fg.a + bg.g * (1 - fg.a),
+    b: fg.b * fg.a + bg.b * (1 - fg.a),
+    a: 1,
+});
+
+// WCAG 2.x relative luminance
+function luminance({ r, g, b }) {
+    const lin = v => (v /= 255) <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    return 0.2126 * lin(r) + 0.7152 * lin(g) + 0.0722 * lin(b);
+}
+
+const round = (v, digits = 1) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+/**
+ * Map every data module to the index of the codeword it carries, following
+ * the same zigzag placement as qrcode's setupData (-1 for function patterns).
+ */
+function codewordMap(modules) {
+    const size = modules.size;
+    const map  = new Int32Array(size * size).fill(-1);
+    let bit = 0, row = size - 1, inc = -1;
+
+    for (let col = size - 1; col > 0; col -= 2) {
+        if (col === 6) col--;
+        for (;;) {
+            for (let c = 0; c < 2; c++) {
+                if (!modules.isReserved(row, col - c)) map[row * size + col - c] = bit++ >> 3;
+            }
+            row += inc;
+            if (row < 0 || row >= size) { row -= inc; inc = -inc; break; }
+        }
+    }
+    return map;
+}
+
+// Reed-Solomon block layout of a symbol, mirroring qrcode's createCodewords
+function blockLayout(version, ecLevel, ecName) {
+    const total      = getSymbolTotalCodewords(version);
+    const dataTotal  = total - ECCode.getTotalCodewordsCount(version, ecLevel);
+    const blocks     = ECCode.getBlocksCount(version, ecLevel);
+    const group1     = blocks - (total % blocks);
+    const dataShort  = Math.floor(dataTotal / blocks);
+    const ecCount    = Math.floor(total / blocks) - dataShort;
+    const misdecode  = MISDECODE_CODEWORDS[`${version}${ecName}`] || 0;
+
+    // Codewords are interleaved block by block: data first, then EC
+    const blockOf = (i) => {
+        if (i < dataShort * blocks) return i % blocks;
+        if (i < dataTotal) return group1 + (i - dataShort * blocks);
+        return (i - dataTotal) % blocks;
+    };
+    return { total, blocks, blockOf, correctable: Math.floor((ecCount - misdecode) / 2) };
+}
+
+/**
+ * Work out what a centred logo of `logoSize` % does to the symbol for
+ * `sample` at `ecName` (with the QR encoding options of `cfg`): the share of modules hidden, and the worst share of
+ * any block's correction budget spent on the codewords it damages.
+ * The logo sits on the light colour, so a hidden bit only flips when it was
+ * dark; after masking that is a coin toss, and a codeword with k hidden bits
+ * is counted as damaged with probability 1 - 2^-k.
+ */
+function measureLogo(sample, cfg, ecName, logoSize) {
+    const qr      = createQR(sample, cfg, ecName);
+    const modules = qr.modules;
+    const size    = modules.size;
+    const layout  = blockLayout(qr.version, qr.errorCorrectionLevel, ecName);
+    const map     = codewordMap(modules);
+
+    const side  = (logoSize / 100) * size;
+    const start = (size - side) / 2 - LOGO_PADDING;
+    const end   = (size + side) / 2 + LOGO_PADDING;
+    const inLogo = v => v + 0.5 > start && v + 0.5 < end;
+
+    let hidden = 0, coversFinder = false;
+    const hiddenBits = new Map(); // codeword → bits under the logo
+    for (let r = 0; r < size; r++) {
+        if (!inLogo(r)) continue;
+        for (let c = 0; c < size; c++) {
+            if (!inLogo(c)) continue;
+            hidden++;
+            // Separators are light like the logo's backing, only the finders matter
+            if ((r < 7 || r >= size - 7) && (c < 7 || (r < 7 && c >= size - 7))) coversFinder = true;
+            const cw = map[r * size + c];
+            if (cw >= 0 && cw < layout.total) hiddenBits.set(cw, (hiddenBits.get(cw) || 0) + 1);
+        }
+    }
+
+    const perBlock = new Array(layout.blocks).fill(0);
+    for (const [cw, bits] of hiddenBits) perBlock[layout.blockOf(cw)] += 1 - 2 ** -bits;
+    const worst = Math.max(...perBlock);
+
+    return {
+        version:  qr.version,
+        coverage: hidden / (size * size),
+        damage:   layout.correctable > 0 ? worst / layout.correctable : (worst > 0 ? Infinity : 0),
+        coversFinder,
+    };
+}
+
+/**
+ * Lint a render configuration (the same fields /api/generate takes).
+ * `hasLogo` enables the logo checks, `hasBackground` the frame background
+ * ones; `sampleValue` is the payload the symbol is sized for — use the
+ * longest one in the batch.
+ * With `cfg.autoErrorCorrection` the EC level is raised until the logo fits;
+ * the level to render with is returned as `errorCorrectionLevel`.
+ */
+function lintDesign(cfg, { hasLogo = false, hasBackground = false, sampleValue } = {}) {
+    const errors   = [];
+    const warnings = [];
+    const metrics  = {};
+    const issue    = (list, code, message) => list.push({ code, message });
+
+    // ── Symbology ─────────────────────────────────────────────────────────────
+    let symbology = 'qr';
+    try {
+        symbology = resolveSymbology(cfg);
+        resolveBarHeight(cfg);
+    } catch (err) {
+        issue(errors, 'invalid-symbology', err.message);
+    }
+    const info = SYMBOLOGIES[symbology];
+    metrics.symbology = symbology;
+
+    let encoding = null;
+    try {
+        encoding = resolveQrEncoding(cfg, symbology);
+    } catch (err) {
+        issue(errors, 'invalid-encoding', err.message);
+    }
+
+    // ── Colours ───────────────────────────────────────────────────────────────
+    // Every colour that draws dark modules (gradient end, eye colours) must
+    // stand out from the background; the weakest one sets the contrast.
+    const colorDark  = cfg.colorDark || '#000000';
+    const colorLight = cfg.colorLight || '#ffffff';
+    const dark  = parseHex(colorDark);
+    const light = colorLight === 'transparent' ? WHITE : parseHex(colorLight);
+    if (!dark)  issue(errors, 'invalid-color', `colorDark "${colorDark}" is not a hex colour (#rgb, #rrggbb or #rrggbbaa)`);
+    if (!light) issue(errors, 'invalid-color', `colorLight "${colorLight}" is not a hex colour, or "transparent"`);
+
+    // Bad colorDark/colorLight are reported just above, not again as a style error
+    let style = null;
+    try {
+        style = resolveStyle({ ...cfg, colorDark: dark ? cfg.colorDark : undefined, colorLight: light ? cfg.colorLight : undefined });
+    } catch (err) {
+        issue(errors, 'invalid-style', err.message);
+    }
+    const darkColors = [['colorDark', dark]];
+    if (style && style.gradientColor) darkColors.push(['gradientColor', parseHex(style.gradientColor)]);
+    if (style && style.eyeFrameColor) darkColors.push(['eyeFrameColor', parseHex(style.eyeFrameColor)]);
+    if (style && style.eyeBallColor)  darkColors.push(['eyeBallColor', parseHex(style.eyeBallColor)]);
+
+    if (dark && light) {
+        // Translucent colours are judged as printed on white paper
+        const bg       = over(light, WHITE);
+        const lightLum = luminance(bg);
+        let weakest    = null;
+        for (const [name, color] of darkColors) {
+            const darkLum = luminance(over(color, bg));
+            const ratio   = (Math.max(lightLum, darkLum) + 0.05) / (Math.min(lightLum, darkLum) + 0.05);
+            if (!weakest || ratio < weakest.ratio) weakest = { name, ratio, inverted: darkLum > lightLum };
+        }
+        metrics.contrastRatio = round(weakest.ratio, 2);
+        metrics.inverted      = weakest.inverted;
+
+        if (weakest.ratio < MIN_CONTRAST)
+            issue(errors, 'low-contrast', `Contrast ratio ${metrics.contrastRatio}:1 between ${weakest.name} and colorLight is too low to scan (minimum ${MIN_CONTRAST}:1)`);
+        else if (weakest.ratio < GOOD_CONTRAST)
+            issue(warnings, 'low-contrast', `Contrast ratio ${metrics.contrastRatio}:1${weakest.name !== 'colorDark' ? ` (${weakest.name})` : ''} is marginal; ${GOOD_CONTRAST}:1 or more scans reliably`);
+        if (metrics.inverted)
+            issue(warnings, 'inverted-colors', `${weakest.name} is lighter than colorLight; many scanners cannot read inverted codes`);
+    }
+
+    // Gaps between modules or an altered finder centre trip some scanners
+    const GAPPED = ['dots', 'diamond', 'star'];
+    if (style && info.linear && (style.moduleStyle !== 'square' || style.eyeStyle !== 'square' || style.eyeBallStyle !== 'square'))
+        issue(warnings, 'style-ignored', `${info.label} bars are always drawn square; moduleStyle and the eye styles only apply to 2D codes`);
+    else if (style && (GAPPED.includes(style.moduleStyle) || style.eyeBallStyle === 'diamond'))
+        issue(warnings, 'decorative-style', `${GAPPED.includes(style.moduleStyle) ? `moduleStyle=${style.moduleStyle}` : 'eyeBallStyle=diamond'} is harder to scan than solid modules; test-scan a sample or use verify=true`);
+
+    // ── Frame ─────────────────────────────────────────────────────────────────
+    try {
+        resolveFrame(cfg, { hasBackground });
+        if (hasBackground && colorLight === 'transparent')
+            issue(warnings, 'busy-background', 'With colorLight=transparent the background image shows through the code; a solid colorLight keeps it scannable');
+    } catch (err) {
+        issue(errors, 'invalid-frame', err.message);
+    }
+
+    // ── Quiet zone ────────────────────────────────────────────────────────────
+    // Linear codes only need it left and right of the bars
+    const { x: marginX, y: marginY } = symbolMargins(cfg, symbology);
+    metrics.quietZone = { x: marginX, y: marginY };
+    const quiet = info.linear ? marginX : Math.min(marginX, marginY);
+    if (!(marginX >= 0 && marginY >= 0))
+        issue(errors, 'invalid-margin', 'margin, marginX and marginY must be whole numbers of modules, 0 or more');
+    else if (quiet < info.quietZone)
+        issue(warnings, 'quiet-zone', `Quiet zone of ${quiet} module(s) is below the ${info.quietZone} the ${info.label} specification asks for; keep the surroundings light when printing`);
+
+    if (symbology !== 'qr') {
+        // ── Other symbologies: no logo measurement ────────────────────────────
+        if (hasLogo)
+            issue(errors, 'logo-unsupported', `Logos can only be placed on QR codes; a logo would hide part of the ${info.label} symbol`);
+        let level = String(cfg.errorCorrectionLevel || 'M');
+        if (info.ecLevels) {
+            level = EC_ALIASES[level.toLowerCase()];
+            if (!level || !info.ecLevels.includes(level))
+                issue(errors, 'invalid-ec-level', `errorCorrectionLevel "${cfg.errorCorrectionLevel}" must be one of ${info.ecLevels.join(', ')} for ${info.label}`);
+        }
+        // Capacity is checked against the batch's payload; linear ones are
+        // checked row by row (check digits, character set)
+        if (sampleValue && !info.linear && errors.every(e => e.code !== 'invalid-ec-level' && e.code !== 'invalid-encoding')) {
+            try {
+                metrics.version = encodeSymbol(String(sampleValue), { ...cfg, errorCorrectionLevel: level }).version;
+            } catch (err) {
+                issue(errors, 'payload-too-long', err.message);
+            }
+        }
+        return { ok: errors.length === 0, errorCorrectionLevel: level, errors, warnings, metrics };
+    }
+
+    // ── Error correction vs. logo ─────────────────────────────────────────────
+    let level = EC_ALIASES[String(cfg.errorCorrectionLevel || 'M').toLowerCase()];
+    if (!level) {
+        issue(errors, 'invalid-ec-level', `errorCorrectionLevel "${cfg.errorCorrectionLevel}" must be one of ${EC_LEVELS.join(', ')}`);
+        return { ok: false, errorCorrectionLevel: cfg.errorCorrectionLevel, errors, warnings, metrics };
+    }
+    if (!encoding) return { ok: false, errorCorrectionLevel: level, errors, warnings, metrics };
+    const sample    = String(sampleValue || MODE_SAMPLES[encoding.mode] || DEFAULT_SAMPLE);
+    const logoSize  = cfg.logoSize !== undefined && cfg.logoSize !== '' ? parseFloat(cfg.logoSize) : 20;
+    const autoLevel = cfg.autoErrorCorrection === 'true' || cfg.autoErrorCorrection === true;
+
+    // A forced qrMode rules out characters at any level or version
+    if (encoding.mode !== 'auto') {
+        try {
+            createQR(sample, { qrMode: encoding.mode }, 'L');
+        } catch (err) {
+            issue(errors, 'payload-mode', err.message);
+            return { ok: false, errorCorrectionLevel: level, errors, warnings, metrics };
+        }
+    }
+
+    try {
+        if (hasLogo && !(logoSize > 0 && logoSize <= 100)) {
+            issue(errors, 'invalid-logo-size', 'logoSize must be a percentage between 0 and 100');
+        } else if (hasLogo) {
+            let logo = measureLogo(sample, cfg, level, logoSize);
+            if (autoLevel) {
+                const requested = level;
+                while (logo.damage > LOGO_WARN_RATIO && level !== 'H') {
+                    level = EC_LEVELS[EC_LEVELS.indexOf(level) + 1];
+                    logo  = measureLogo(sample, cfg, level, logoSize);
+                }
+                if (level !== requested) metrics.errorCorrectionRaisedFrom = requested;
+            }
+            metrics.version      = logo.version;
+            metrics.logoCoverage = round(logo.coverage * 100);
+            metrics.logoDamage   = round(Math.min(logo.damage, 9.99) * 100);
+
+            const detail = `logo hides ${metrics.logoCoverage}% of the modules and uses ${metrics.logoDamage}% of the error correction budget at level ${level}`;
+            if (logo.coversFinder)
+                issue(errors, 'logo-covers-finder', `Logo overlaps the finder patterns; reduce logoSize (now ${logoSize}%)`);
+            else if (logo.damage > 1)
+                issue(errors, 'logo-too-large', `Logo too large to scan: ${detail}. Use a smaller logo${level !== 'H' ? ', a higher errorCorrectionLevel or autoErrorCorrection=true' : ''}`);
+            else if (logo.damage > LOGO_WARN_RATIO)
+                issue(warnings, 'logo-near-limit', `Little margin for print defects: ${detail}`);
+        } else {
+            metrics.version = createQR(sample, cfg, level).version;
+        }
+    } catch (err) {
+        // Too long for version 40 or the pinned qrVersion
+        issue(errors, 'payload-too-long', `${err.message} at error correction level ${level}`);
+    }
+
+    return { ok: errors.length === 0, errorCorrectionLevel: level, errors, warnings, metrics };
+}
+
+module.exports = { lintDesign };
@@ -0,0 +1,162 @@
+'use strict';
+
+// ─── Frames ───────────────────────────────────────────────────────────────────
+// "Scan me" framing around the code and its caption, drawn as layers of the
+// SVG generateQRBuffer assembles, bottom to top:
+//
+//   card     frameColor (default colorLight), or frameGradient linear | radial
+//            from it to frameGradientColor (frameGradientAngle for linear)
+//   image    the uploaded `background` image, covering the card
+//   code     symbol and caption on colorLight, framePadding in from the edge
+//   banner   frameText call to action on a frameBannerColor bar (default the
+//            border colour), frameTextPosition top | bottom, frameTextColor
+//   border   frameBorderWidth in frameBorderColor (default colorDark)
+//
+// frameRadius rounds the corners of every layer alike. Sizes are pixels, or
+// follow `unit` like textSpace (frameTextSize like textFontSize). Shapes are
+// placed by coordinates — no groups, transforms or clip paths — so the EPS
+// converter in lib/vector.js draws frames like any other element.
+
+const { roundedRect, gradientDef } = require('./styles');
+const { captionSvg }               = require('./captions');
+const { escapeXml }                = require('./vector');
+
+const GRADIENTS = ['none', 'linear', 'radial'];
+const POSITIONS = ['top', 'bottom'];
+const HEX_RE    = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+/**
+ * Validate the frame fields of a render config; throws naming the bad one.
+ * `active` is false when nothing is framed, so the code renders as before.
+ */
+function resolveFrame(cfg, { hasBackground = false } = {}) {
+    const given = key => cfg[key] !== undefined && cfg[key] !== '';
+    const pick  = (key, allowed, fallback) => {
+        const value = given(key) ? String(cfg[key]) : fallback;
+        if (!allowed.includes(value)) throw new Error(`Unknown ${key} "${value}". Use one of: ${allowed.join(', ')}`);
+        return value;
+    };
+    const color = (key) => {
+        if (!given(key)) return null;
+        if (!HEX_RE.test(String(cfg[key]).trim())) throw new Error(`${key} "${cfg[key]}" is not a hex colour (#rgb, #rrggbb or #rrggbbaa)`);
+        return String(cfg[key]).trim();
+    };
+    const size = (key) => {
+        if (!given(key)) return 0;
+        const v = parseFloat(cfg[key]);
+        if (!(v >= 0)) throw new Error(`${key} must be a number, 0 or more`);
+        return v;
+    };
+
+    const gradient = pick('frameGradient', GRADIENTS, 'none');
+    let gradientColor = null, gradientAngle = 0;
+    if (gradient !== 'none') {
+        gradientColor = color('frameGradientColor');
+        if (!gradientColor) throw new Error(`frameGradient=${gradient} needs a frameGradientColor to blend frameColor into`);
+        gradientAngle = given('frameGradientAngle') ? parseFloat(cfg.frameGradientAngle) : 0;
+        if (!Number.isFinite(gradientAngle)) throw new Error('frameGradientAngle must be a number of degrees');
+    }
+
+    const frame = {
+        padding:      size('framePadding'),
+        borderWidth:  size('frameBorderWidth'),
+        borderColor:  color('frameBorderColor'),
+        radius:       size('frameRadius'),
+        color:        color('frameColor'),
+        gradient, gradientColor, gradientAngle,
+        text:         given('frameText') ? String(cfg.frameText).replace(/\s+/g, ' ').trim() : '',
+        textPosition: pick('frameTextPosition', POSITIONS, 'bottom'),
+        textSize:     size('frameTextSize'),
+        textColor:    color('frameTextColor'),
+        bannerColor:  color('frameBannerColor'),
+        background:   hasBackground,
+    };
+    frame.active = frame.padding > 0 || frame.borderWidth > 0 || !!frame.text || !!frame.color ||
+        gradient !== 'none' || hasBackground;
+    return frame;
+}
+
+/**
+ * Where things go once the code's content box (`width` × `height`, symbol
+ * plus caption) is framed. Sizes are in the caller's user units:
+ * { padding, border, radius, banner } with `banner` the bar height (0: none).
+ * Returns the outer size, the content offset and the boxes of each layer.
+ */
+function frameGeometry(frame, { width, height, padding, border, radius, banner }) {
+    const W   = width + 2 * (border + padding);
+    const H   = height + 2 * (border + padding) + banner;
+    const top = frame.textPosition === 'top';
+    const fit = (r, w, h) => Math.max(0, Math.min(r, w / 2, h / 2));
+
+    const inside = { x: border, y: border, w: W - 2 * border, h: H - 2 * border };
+    inside.r = fit(radius - border, inside.w, inside.h);
+
+    let bar = null;
+    if (banner > 0) {
+        bar = { x: inside.x, y: top ? inside.y : H - border - banner, w: inside.w, h: banner };
+        const r = fit(inside.r, bar.w, bar.h);
+        bar.radii = top ? [r, r, 0, 0] : [0, 0, r, r];
+    }
+    return {
+        width:   W,
+        height:  H,
+        offsetX: border + padding,
+        offsetY: border + padding + (top ? banner : 0),
+        card:    { x: 0, y: 0, w: W, h: H, r: fit(radius, W, H) },
+        inside,
+        banner:  bar,
+        border,
+    };
+}
+
+/**
+ * SVG for the layers of a framed code: `under` goes before the code's own
+ * background, `over` after the caption, `defs` into its <defs>.
+ * `imageHref` is the background image already cut to `geometry.inside`.
+ */
+function frameSvg(frame, geometry, { imageHref, colorLight, colorDark, fontSize, font, raster }) {
+    const { card, inside, banner, border } = geometry;
+    const smooth = r => (r > 0 ? ' shape-rendering="geometricPrecision"' : '');
+    const under  = [], over = [];
+    let defs = '';
+
+    const cardColor = frame.color || (colorLight === 'transparent' ? null : colorLight);
+    let cardFill    = cardColor;
+    if (frame.gradient !== 'none') {
+        const g = gradientDef(frame.gradient, cardColor || '#ffffff', frame.gradientColor, frame.gradientAngle, card.x, card.y, card.w, card.h);
+        defs     = g.def;
+        cardFill = `url(#${g.id})`;
+    }
+    if (cardFill) {
+        const r = card.r;
+        under.push(`<path d="${roundedRect(card.x, card.y, card.w, card.h, [r, r, r, r])}" fill="${escapeXml(cardFill)}"${smooth(r)}/>`);
+    }
+    if (imageHref) {
+        under.push(`<image x="${inside.x}" y="${inside.y}" width="${inside.w}" height="${inside.h}" preserveAspectRatio="none" href="${imageHref}" xlink:href="${imageHref}"/>`);
+    }
+
+    const borderColor = frame.borderColor || colorDark;
+    if (banner) {
+        over.push(`<path d="${roundedRect(banner.x, banner.y, banner.w, banner.h, banner.radii)}" fill="${escapeXml(frame.bannerColor || borderColor)}"${smooth(Math.max(...banner.radii))}/>`);
+        const inset = banner.h * 0.3;
+        over.push(captionSvg([frame.text], {
+            fontSize,
+            centerY: banner.y + banner.h / 2,
+            x0:      banner.x + inset,
+            x1:      banner.x + banner.w - inset,
+            style:   { align: 'center', weight: 'bold', fit: true },
+            color:   frame.textColor || '#ffffff',
+            font,
+            raster,
+        }));
+    }
+    if (border > 0) {
+        // Stroke centred inside the card edge
+        const r = Math.max(0, card.r - border / 2);
+        over.push(`<path d="${roundedRect(border / 2, border / 2, card.w - border, card.h - border, [r, r, r, r])}" fill="none" ` +
+            `stroke="${escapeXml(borderColor)}" stroke-width="${border}"${smooth(r)}/>`);
+    }
+    return { defs, under: under.join(''), over: over.join('') };
+}
+
+module.exports = { resolveFrame, frameGeometry, frameSvg };
@@ -0,0 +1,296 @@
+'use strict';
+
+// ─── Data file input ──────────────────────────────────────────────────────────
+// Turns any supported upload into a SheetJS workbook so the rest of the
+// pipeline only ever deals with sheets and cells: Excel and ODS go straight
+// through SheetJS; CSV/TSV and JSON are parsed here. Delimited text keeps
+// every value as a string, so serials like 000123 survive intact.
+
+const fs   = require('fs');
+const path = require('path');
+const xlsx = require('xlsx');
+
+const SPREADSHEET_EXT = new Set(['xlsx', 'xlsm', 'xlsb', 'xls', 'ods', 'fods']);
+const DELIMITED_EXT   = new Set(['csv', 'txt', 'tsv', 'tab']);
+const DATA_MIME       = /excel|spreadsheetml|opendocument\.spreadsheet|^text\/(csv|plain|tab-separated-values)$|^application\/(csv|json)$/;
+
+const DELIMITERS  = [',', ';', '\t', '|'];
+const SNIFF_LINES = 20;
+
+/** True when an upload looks like a data file we can read. */
+function isDataFile(originalName, mimetype) {
+    const ext = path.extname(originalName || '').slice(1).toLowerCase();
+    return SPREADSHEET_EXT.has(ext) || DELIMITED_EXT.has(ext) || ext === 'json' || DATA_MIME.test(mimetype || '');
+}
+
+// Node's TextDecoder reads windows-1252 as ISO-8859-1, turning € and the
+// curly quotes in 0x80–0x9F into C1 control characters; map them back
+const CP1252_HIGH = '\u20AC\u0081\u201A\u0192\u201E\u2026\u2020\u2021\u02C6\u2030\u0160\u2039\u0152\u008D\u017D\u008F' +
+                    '\u0090\u2018\u2019\u201C\u201D\u2022\u2013\u2014\u02DC\u2122\u0161\u203A\u0153\u009D\u017E\u0178';
+const decodeCp1252 = buf => new TextDecoder('windows-1252').decode(buf)
+    .replace(/[\x80-\x9F]/g, ch => CP1252_HIGH[ch.charCodeAt(0) - 0x80]);
+
+/**
+ * Decode text bytes. An explicit `encoding` (any WHATWG label, e.g.
+ * windows-1252, shift_jis) wins; otherwise a BOM decides, then strict UTF-8,
+ * falling back to Windows-1252 — what Excel on Windows writes as "CSV".
+ */
+function decodeText(buf, encoding) {
+    if (encoding) {
+        const decoder = new TextDecoder(encoding);
+        return { text: decoder.encoding === 'windows-1252' ? decodeCp1252(buf) : decoder.decode(buf), encoding: decoder.encoding };
+    }
+
+    if (buf[0] === 0xEF && buf[1] === 0xBB && buf[2] === 0xBF) return { text: new TextDecoder('utf-8').decode(buf), encoding: 'utf-8' };
+    if (buf[0] === 0xFF && buf[1] === 0xFE) return { text: new TextDecoder('utf-16le').decode(buf), encoding: 'utf-16le' };
+    if (buf[0] === 0xFE && buf[1] === 0xFF) return { text: new TextDecoder('utf-16be').decode(buf), encoding: 'utf-16be' };
+
+    // BOM-less UTF-16: ASCII text leaves every other byte NUL
+    const sample = buf.subarray(0, 1000);
+    let evenNul = 0, oddNul = 0;
+    for (let i = 0; i < sample.length; i++) if (sample[i] === 0) (i % 2 ? oddNul++ : evenNul++);
+    if (oddNul > sample.length / 4) return { text: new TextDecoder('utf-16le').decode(buf), encoding: 'utf-16le' };
+    if (evenNul > sample.length / 4) return { text: new TextDecoder('utf-16be').decode(buf), encoding: 'utf-16be' };
+
+    try {
+        return { text: new TextDecoder('utf-8', { fatal: true }).decode(buf), encoding: 'utf-8' };
+    } catch (_) {
+        return { text: decodeCp1252(buf), encoding: 'windows-1252' };
+    }
+}
+
+// Count delimiter candidates per line (outside quotes) over the first lines;
+// the one that splits the most lines into the same number of fields wins.
+function detectDelimiter(text) {
+    const lines = [];
+    let line = '', quoted = false;
+    for (let i = 0; i < text.length && lines.length < SNIFF_LINES; i++) {
+        const ch = text[i];
+        if (ch === '"') quoted = !quoted;
+        if (!quoted && (ch === '\n' || ch === '\r')) {
+            if (line !== '') lines.push(line);
+            line = '';
+        } else if (!quoted) {
+            line += ch;
+        }
+    }
+    if (line !== '' && lines.length < SNIFF_LINES) lines.push(line);
+
+    let best = ',', bestScore = 0, bestCount = 0;
+    for (const d of DELIMITERS) {
+        const counts = lines.map(l => l.split(d).length - 1);
+        const first  = counts[0] || 0;
+        if (first === 0) continue;
+        const score = counts.filter(c => c === first).length;
+        if (score > bestScore || (score === bestScore && first > bestCount)) {
+            best = d; bestScore = score; bestCount = first;
+        }
+    }
+    return best;
+}
+
+// RFC 4180 with any single-character delimiter; rows keep their raw strings
+function parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [], field = '', quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch !== '"') field += ch;
+            else if (text[i + 1] === '"') { field += '"'; i++; }
+            else quoted = false;
+        } else if (ch === '"' && field === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\r' || ch === '\n') {
+            row.push(field);
+            rows.push(row);
+            row = []; field = '';
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) { row.push(field); rows.push(row); }
+    return rows;
+}
+
+// Empty values become holes so blank CSV/JSON cells behave like blank Excel cells
+const cellValue = v => (v === null || v === undefined || v === '' ? null
+    : typeof v === 'object' ? JSON.stringify(v) : v);
+
+function jsonRowsToAoa(name, rows) {
+    if (!Array.isArray(rows))
+        throw new Error(`JSON input must be an array of rows or an object of named arrays ("${name}" is not an array)`);
+    const isRecord = r => r !== null && typeof r === 'object' && !Array.isArray(r);
+
+    if (rows.every(isRecord)) {
+        const headers = [];
+        const seen    = new Set();
+        for (const r of rows) for (const k of Object.keys(r)) if (!seen.has(k)) { seen.add(k); headers.push(k); }
+        return [headers, ...rows.map(r => headers.map(h => cellValue(r[h])))];
+    }
+    if (rows.every(Array.isArray)) return rows.map(r => r.map(cellValue));
+    if (rows.every(r => r === null || typeof r !== 'object')) return rows.map(r => [cellValue(r)]);
+    throw new Error(`JSON rows in "${name}" mix objects, arrays and plain values`);
+}
+
+// Built by hand rather than book_append_sheet so any JSON key can name a sheet
+function workbookFrom(sheets) {
+    const workbook = { SheetNames: [], Sheets: {} };
+    for (const [name, aoa] of sheets) {
+        workbook.SheetNames.push(name);
+        workbook.Sheets[name] = xlsx.utils.aoa_to_sheet(aoa);
+    }
+    return workbook;
+}
+
+function detectFormat(filePath, head) {
+    const ext = path.extname(filePath).slice(1).toLowerCase();
+    if (SPREADSHEET_EXT.has(ext)) return ext;
+    if (ext === 'json') return 'json';
+    if (ext === 'tsv' || ext === 'tab') return 'tsv';
+    if (DELIMITED_EXT.has(ext)) return 'csv';
+
+    // No telling extension: zip (xlsx/ods) and OLE (xls) containers by magic
+    if ((head[0] === 0x50 && head[1] === 0x4B) || (head[0] === 0xD0 && head[1] === 0xCF)) return 'workbook';
+    const start = head.toString('latin1').replace(/\0/g, '').replace(/^(\xEF\xBB\xBF|\xFF\xFE|\xFE\xFF)/, '').trimStart()[0];
+    return start === '[' || start === '{' ? 'json' : 'csv';
+}
+
+/**
+ * Read a data file into a workbook.
+ * `opts.delimiter` / `opts.encoding` override detection for delimited text.
+ * Returns { workbook, info: { format, encoding?, delimiter? } }.
+ * Throws an Error describing why the file could not be read.
+ */
+function readWorkbook(filePath, opts = {}) {
+    const fd   = fs.openSync(filePath, 'r');
+    const head = Buffer.alloc(64);
+    try { fs.readSync(fd, head, 0, head.length, 0); } finally { fs.closeSync(fd); }
+    const format = detectFormat(filePath, head);
+
+    if (format === 'csv' || format === 'tsv') {
+        const { text, encoding } = decodeText(fs.readFileSync(filePath), opts.encoding);
+        let delimiter = opts.delimiter === 'tab' || opts.delimiter === '\\t' ? '\t' : opts.delimiter;
+        if (delimiter && delimiter.length !== 1) throw new Error('delimiter must be a single character (or "tab")');
+        if (!delimiter) delimiter = format === 'tsv' ? '\t' : detectDelimiter(text);
+
+        const aoa = parseDelimited(text, delimiter).map(r => r.map(cellValue));
+        return { workbook: workbookFrom([['Sheet1', aoa]]), info: { format, encoding, delimiter } };
+    }
+
+    if (format === 'json') {
+        const { text, encoding } = decodeText(fs.readFileSync(filePath), opts.encoding);
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new Error(`Invalid JSON: ${err.message}`);
+        }
+        const sheets = Array.isArray(data) ? { Sheet1: data } : data;
+        if (!sheets || typeof sheets !== 'object' || Object.keys(sheets).length === 0)
+            throw new Error('JSON input must be an array of rows or an object of named arrays');
+        const workbook = workbookFrom(Object.entries(sheets).map(([name, rows]) => [name, jsonRowsToAoa(name, rows)]));
+        return { workbook, info: { format, encoding } };
+    }
+
+    // cellNF keeps number formats so date cells can be told from plain numbers
+    const workbook = xlsx.readFile(filePath, { cellFormula: false, cellHTML: false, cellText: false, cellNF: true });
+    return { workbook, info: { format } };
+}
+
+/**
+ * Pick the sheet named by `sheetName` (exact, then case-insensitive) or at
+ * 0-based `sheetIndex`; the first sheet by default.
+ * Returns { name, index, sheet } or throws listing the available sheets.
+ */
+function selectSheet(workbook, { sheetName, sheetIndex } = {}) {
+    const names = workbook.SheetNames;
+    const list  = () => names.map(n => `"${n}"`).join(', ');
+    let index   = 0;
+    if (names.length === 0) throw new Error('The file contains no sheets');
+
+    if (sheetName !== undefined && sheetName !== '') {
+        index = names.indexOf(String(sheetName));
+        if (index < 0) index = names.findIndex(n => n.toLowerCase() === String(sheetName).toLowerCase());
+        if (index < 0) throw new Error(`Sheet "${sheetName}" not found. Sheets: ${list()}`);
+    } else if (sheetIndex !== undefined && sheetIndex !== '') {
+        index = Number(sheetIndex);
+        if (!Number.isInteger(index) || index < 0 || index >= names.length)
+            throw new Error(`sheetIndex ${sheetIndex} is out of range; the file has ${names.length} sheet(s): ${list()}`);
+    }
+
+    const name = names[index];
+    return { name, index, sheet: workbook.Sheets[name] || {} };
+}
+
+// Rows/columns covered by a sheet's used range
+function sheetDimensions(sheet) {
+    if (!sheet || !sheet['!ref']) return { rows: 0, columns: 0 };
+    const range = xlsx.utils.decode_range(sheet['!ref']);
+    return { rows: range.e.r - range.s.r + 1, columns: range.e.c - range.s.c + 1 };
+}
+
+// Best guess at what a single cell holds, for column stats
+function valueType(cell) {
+    if (cell.t === 'b') return 'boolean';
+    if (cell.t === 'd') return 'date';
+    if (cell.t === 'n') return cell.z && xlsx.SSF.is_date(cell.z) ? 'date' : Number.isInteger(cell.v) ? 'integer' : 'number';
+
+    const s = String(cell.v).trim();
+    if (/^-?(0|[1-9]\d*)$/.test(s)) return 'integer'; // leading zeros make it an identifier → text
+    if (/^-?\d+\.\d+$/.test(s)) return 'number';
+    if (/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(s)) return 'date';
+    if (/^(true|false)$/i.test(s)) return 'boolean';
+    if (/^https?:\/\/\S+$/i.test(s)) return 'url';
+    if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s)) return 'email';
+    return 'text';
+}
+
+/**
+ * Per-column stats over the data rows (after `headerRows`), to help pick the
+ * serial column: non-empty/empty counts, distinct values, how many rows
+ * repeat an earlier value, longest value and the detected type
+ * (integer, number, date, boolean, url, email, text, mixed or empty).
+ */
+function columnStats(sheet, headerRows) {
+    if (!sheet || !sheet['!ref']) return [];
+    const range = xlsx.utils.decode_range(sheet['!ref']);
+    const headerRow = range.s.r + headerRows - 1;
+    const columns = [];
+
+    for (let c = range.s.c; c <= range.e.c; c++) {
+        const header = headerRows > 0 ? sheet[xlsx.utils.encode_cell({ r: headerRow, c })] : null;
+        const values = new Set();
+        const types  = new Set();
+        let nonEmpty = 0, empty = 0, maxLength = 0;
+
+        for (let r = range.s.r + headerRows; r <= range.e.r; r++) {
+            const cell = sheet[xlsx.utils.encode_cell({ r, c })];
+            const text = cell && cell.v !== undefined && cell.v !== null ? String(cell.v).trim() : '';
+            if (text === '') { empty++; continue; }
+            nonEmpty++;
+            values.add(text);
+            types.add(valueType(cell));
+            if (text.length > maxLength) maxLength = text.length;
+        }
+
+        if (types.has('integer') && types.has('number')) types.delete('integer');
+        columns.push({
+            index:      c,
+            header:     header && header.v !== undefined && header.v !== null ? String(header.v).trim() : '',
+            nonEmpty,
+            empty,
+            unique:     values.size,
+            duplicates: nonEmpty - values.size,
+            maxLength,
+            type:       types.size === 0 ? 'empty' : types.size === 1 ? [...types][0] : 'mixed',
+        });
+    }
+    return columns;
+}
+
+module.exports = { isDataFile, readWorkbook, selectSheet, sheetDimensions, columnStats };
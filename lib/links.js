@@ -0,0 +1,265 @@
+'use strict';
+
+// ─── Dynamic links ────────────────────────────────────────────────────────────
+// A dynamic batch encodes BASE_URL/r/<code> instead of each row's URL; the
+// code resolves to a target that can be changed after printing. Links and
+// their scans are stored next to UploadLog (batchId ties them to a batch),
+// or in memory for the life of the process without MongoDB.
+
+const crypto   = require('crypto');
+const mongoose = require('mongoose');
+
+const CODE_LENGTH      = 8;
+const CODE_ALPHABET    = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const MAX_MEMORY_SCANS = 100000;
+const MAX_FIELD_LENGTH = 500; // user-agent / referrer as stored
+const TOP_N            = 10;
+
+const DynamicLink = mongoose.model('DynamicLink', new mongoose.Schema({
+    code:       { type: String, unique: true },
+    batchId:    { type: String, index: true },
+    row:        Number,
+    target:     String,
+    scanCount:  { type: Number, default: 0 },
+    lastScanAt: Date,
+    createdAt:  Date,
+    updatedAt:  Date,
+}));
+
+const LinkScan = mongoose.model('LinkScan', new mongoose.Schema({
+    code:      { type: String, index: true },
+    batchId:   String,
+    timestamp: Date,
+    userAgent: String,
+    referrer:  String,
+    device:    String,
+}).index({ batchId: 1, timestamp: 1 }));
+
+// Random base62 short code; 62^8 leaves collisions to chance alone
+function newShortCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH * 2);
+    let code = '';
+    for (let i = 0; i < bytes.length && code.length < CODE_LENGTH; i++) {
+        if (bytes[i] < 248) code += CODE_ALPHABET[bytes[i] % 62]; // 248 = 4 × 62, keeps it unbiased
+    }
+    return code.length === CODE_LENGTH ? code : newShortCode();
+}
+
+// Only web URLs are redirected to — never javascript:, data: and the like
+const isRedirectTarget = value => /^https?:\/\/[^\s/?#]+\S*$/i.test(String(value));
+
+// Rough device class of a scanner's user agent, for the stats
+function deviceOf(userAgent) {
+    const ua = String(userAgent || '');
+    if (!ua) return 'unknown';
+    if (/bot|crawl|spider|preview|fetch|curl|wget/i.test(ua)) return 'bot';
+    if (/iphone|ipad|ipod/i.test(ua)) return 'ios';
+    if (/android/i.test(ua)) return 'android';
+    if (/windows|macintosh|x11|linux|cros/i.test(ua)) return 'desktop';
+    return 'other';
+}
+
+function toLink(doc) {
+    if (!doc) return null;
+    const { _id, __v, ...rest } = doc;
+    return rest;
+}
+
+// The TOP_N entries of a count list, most scans first
+const top = (entries, key) => entries
+    .sort((a, b) => b.scans - a.scans || String(a[key]).localeCompare(String(b[key])))
+    .slice(0, TOP_N);
+
+function mongoStore() {
+    const countBy = async (batchId, field) => (await LinkScan.aggregate([
+        { $match: { batchId } },
+        { $group: { _id: field, scans: { $sum: 1 } } },
+    ])).map(g => ({ key: g._id, scans: g.scans }));
+
+    return {
+        kind: 'mongodb',
+        async createMany(links) {
+            await DynamicLink.insertMany(links, { ordered: true });
+        },
+        async get(code) {
+            return toLink(await DynamicLink.findOne({ code }).lean());
+        },
+        async getMany(batchId, codes) {
+            const docs = await DynamicLink.find({ batchId, code: { $in: codes } }).lean();
+            return docs.map(toLink);
+        },
+        async list(batchId, skip, limit) {
+            const [total, docs] = await Promise.all([
+                DynamicLink.countDocuments({ batchId }),
+                DynamicLink.find({ batchId }).sort({ row: 1 }).skip(skip).limit(limit).lean(), // limit 0: all
+            ]);
+            return { total, items: docs.map(toLink) };
+        },
+        async setTargets(batchId, changes, updatedAt) {
+            if (changes.length === 0) return;
+            await DynamicLink.bulkWrite(changes.map(({ code, target }) => ({
+                updateOne: { filter: { batchId, code }, update: { $set: { target, updatedAt } } },
+            })), { ordered: false });
+        },
+        async recordScan(link, scan) {
+            await Promise.all([
+                DynamicLink.updateOne({ code: link.code }, { $inc: { scanCount: 1 }, $set: { lastScanAt: scan.timestamp } }),
+                LinkScan.create({ ...scan, code: link.code, batchId: link.batchId }),
+            ]);
+        },
+        async removeBatch(batchId) {
+            await Promise.all([DynamicLink.deleteMany({ batchId }), LinkScan.deleteMany({ batchId })]);
+        },
+        async stats(batchId) {
+            const [links, scannedLinks, topLinks, [range], days, referrers, devices] = await Promise.all([
+                DynamicLink.countDocuments({ batchId }),
+                DynamicLink.countDocuments({ batchId, scanCount: { $gt: 0 } }),
+                DynamicLink.find({ batchId, scanCount: { $gt: 0 } }).sort({ scanCount: -1, row: 1 }).limit(TOP_N).lean(),
+                LinkScan.aggregate([
+                    { $match: { batchId } },
+                    { $group: { _id: null, scans: { $sum: 1 }, first: { $min: '$timestamp' }, last: { $max: '$timestamp' } } },
+                ]),
+                countBy(batchId, { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } }),
+                countBy(batchId, '$referrer'),
+                countBy(batchId, '$device'),
+            ]);
+            return {
+                links, scannedLinks,
+                scans:       range ? range.scans : 0,
+                firstScanAt: range ? range.first : null,
+                lastScanAt:  range ? range.last : null,
+                topLinks:    topLinks.map(toLink),
+                days, referrers, devices,
+            };
+        },
+    };
+}
+
+// Fixed-size scan log: once full, each push overwrites the oldest entry
+function scanRing(capacity) {
+    let items = [];
+    let start = 0; // index of the oldest entry once full
+    return {
+        push(item) {
+            if (items.length < capacity) items.push(item);
+            else {
+                items[start] = item;
+                start = (start + 1) % capacity;
+            }
+        },
+        // Oldest first
+        *[Symbol.iterator]() {
+            for (let i = 0; i < items.length; i++) yield items[(start + i) % items.length];
+        },
+        remove(test) {
+            items = [...this].filter(s => !test(s));
+            start = 0;
+        },
+    };
+}
+
+// Same interface, kept in memory: every short code is lost on restart.
+// Scans beyond MAX_MEMORY_SCANS drop the oldest (counts stay)
+function memoryStore() {
+    const links = new Map();
+    const scans = scanRing(MAX_MEMORY_SCANS);
+    const countBy = (batchId, keyOf) => {
+        const counts = new Map();
+        for (const s of scans) {
+            if (s.batchId !== batchId) continue;
+            const key = keyOf(s);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+        return [...counts].map(([key, n]) => ({ key, scans: n }));
+    };
+
+    return {
+        kind: 'memory',
+        async createMany(docs) {
+            if (docs.some(d => links.has(d.code))) throw new Error('Short code already in use');
+            for (const d of docs) links.set(d.code, { scanCount: 0, ...structuredClone(d) });
+        },
+        async get(code) {
+            const doc = links.get(String(code));
+            return doc ? structuredClone(doc) : null;
+        },
+        async getMany(batchId, codes) {
+            return codes.map(c => links.get(String(c))).filter(d => d && d.batchId === batchId).map(d => structuredClone(d));
+        },
+        async list(batchId, skip, limit) {
+            const matches = [...links.values()].filter(d => d.batchId === batchId).sort((a, b) => a.row - b.row);
+            return { total: matches.length, items: matches.slice(skip, limit ? skip + limit : undefined).map(d => structuredClone(d)) };
+        },
+        async setTargets(batchId, changes, updatedAt) {
+            for (const { code, target } of changes) {
+                const doc = links.get(code);
+                if (doc && doc.batchId === batchId) Object.assign(doc, { target, updatedAt });
+            }
+        },
+        async recordScan(link, scan) {
+            const doc = links.get(link.code);
+            if (doc) Object.assign(doc, { scanCount: doc.scanCount + 1, lastScanAt: scan.timestamp });
+            scans.push({ ...scan, code: link.code, batchId: link.batchId });
+        },
+        async removeBatch(batchId) {
+            for (const [code, doc] of links) if (doc.batchId === batchId) links.delete(code);
+            scans.remove(s => s.batchId === batchId);
+        },
+        async stats(batchId) {
+            const mine  = [...links.values()].filter(d => d.batchId === batchId);
+            const times = [...scans].filter(s => s.batchId === batchId).map(s => s.timestamp);
+            return {
+                links:        mine.length,
+                scannedLinks: mine.filter(d => d.scanCount > 0).length,
+                scans:        times.length,
+                firstScanAt:  times.length ? times[0] : null,
+                lastScanAt:   times.length ? times[times.length - 1] : null,
+                topLinks:     mine.filter(d => d.scanCount > 0)
+                    .sort((a, b) => b.scanCount - a.scanCount || a.row - b.row).slice(0, TOP_N).map(d => structuredClone(d)),
+                days:         countBy(batchId, s => s.timestamp.toISOString().slice(0, 10)),
+                referrers:    countBy(batchId, s => s.referrer),
+                devices:      countBy(batchId, s => s.device),
+            };
+        },
+    };
+}
+
+/**
+ * Pick the MongoDB store when `useMongo`, else the in-memory stand-in.
+ * `list(batchId, skip, limit)` is in row order, all of it with limit 0;
+ * `stats(batchId)` returns raw counts; summarizeStats shapes them for the API.
+ */
+function createLinkStore(useMongo) {
+    return useMongo ? mongoStore() : memoryStore();
+}
+
+/**
+ * Scan statistics of a batch as the API returns them: totals, scans per
+ * day (UTC, oldest first), and the top links, referrers and device classes.
+ */
+function summarizeStats(raw) {
+    return {
+        links:        raw.links,
+        scannedLinks: raw.scannedLinks,
+        scans:        raw.scans,
+        firstScanAt:  raw.firstScanAt,
+        lastScanAt:   raw.lastScanAt,
+        perDay:       raw.days.map(d => ({ date: d.key, scans: d.scans })).sort((a, b) => a.date.localeCompare(b.date)),
+        topLinks:     raw.topLinks.map(l => ({ code: l.code, row: l.row, target: l.target, scans: l.scanCount, lastScanAt: l.lastScanAt })),
+        referrers:    top(raw.referrers.map(r => ({ referrer: r.key || '(direct)', scans: r.scans })), 'referrer'),
+        devices:      top(raw.devices.map(d => ({ device: d.key || 'unknown', scans: d.scans })), 'device'),
+    };
+}
+
+// Scan details as stored: trimmed so a hostile client cannot bloat the log
+function scanOf(req) {
+    const userAgent = String(req.get('user-agent') || '').slice(0, MAX_FIELD_LENGTH);
+    return {
+        timestamp: new Date(),
+        userAgent,
+        referrer:  String(req.get('referer') || '').slice(0, MAX_FIELD_LENGTH),
+        device:    deviceOf(userAgent),
+    };
+}
+
+module.exports = { createLinkStore, newShortCode, isRedirectTarget, summarizeStats, scanOf };
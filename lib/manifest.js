@@ -0,0 +1,141 @@
+'use strict';
+
+// ─── Batch manifest ───────────────────────────────────────────────────────────
+// One entry per source row a batch read: what was encoded, the file it went
+// into (with any _2 dedupe suffix) and what became of it. Written into the
+// ZIP as manifest.csv / manifest.json / manifest.xlsx, and on request as
+// status columns appended to a copy of the uploaded workbook.
+//
+//   manifest   csv,json (default) | any list of csv, json, xlsx |
+//              true (all three) | false
+//   annotate   true: add <upload>_annotated.<ext> with the status columns
+
+const xlsx = require('xlsx');
+
+const FORMATS         = ['csv', 'json', 'xlsx'];
+const DEFAULT_FORMATS = ['csv', 'json'];
+
+// Entry statuses as written to csv/json; the spreadsheets use the labels
+const STATUS_LABELS = {
+    'generated':     'Generated',
+    'unreadable':    'Unreadable',
+    'failed':        'Failed',
+    'skipped':       'Skipped',
+    'filtered':      'Filtered',
+    'not-generated': 'Not generated',
+};
+
+// Annotated copies keep the upload's format where SheetJS can write it
+const BOOK_TYPES         = { xlsx: 'xlsx', xlsm: 'xlsm', xlsb: 'xlsb', xls: 'biff8', ods: 'ods', fods: 'fods' };
+const ANNOTATION_HEADERS = ['QR Status', 'QR File', 'QR Error'];
+
+// Manifest formats a render config asks for; throws on unknown ones
+function resolveManifestFormats(cfg) {
+    const value = cfg.manifest === undefined || cfg.manifest === '' ? null : String(cfg.manifest).toLowerCase();
+    if (value === null) return DEFAULT_FORMATS;
+    if (value === 'true') return FORMATS;
+    if (value === 'false' || value === 'none') return [];
+    const formats = [...new Set(value.split(',').map(f => f.trim()).filter(Boolean))];
+    const unknown = formats.find(f => !FORMATS.includes(f));
+    if (unknown) throw new Error(`Unknown manifest format "${unknown}". Use true, false or a list of: ${FORMATS.join(', ')}`);
+    return formats;
+}
+
+/**
+ * Manifest entries in row order. Rendering marks `records` with `file` (all
+ * of a row's files, joined by "; ", in a batch with variants) or `error`;
+ * `errors` are the rows skipped before rendering, `unreadable` the ones that
+ * failed decode verification and `filteredRows` the sheet rows the filter
+ * left out. Dynamic records carry the `target` of their short URL,
+ * records of a split ZIP the `part` their files went into (a row's files
+ * always share one).
+ */
+function manifestEntries(records, errors, unreadable, filteredRows = []) {
+    const unreadableByRow = new Map(unreadable.map(u => [u.row, u.error]));
+    const entry = (r, status, file, error) => ({
+        row:     r.row,
+        payload: r.payload || '',
+        target:  r.target || '',
+        caption: r.caption || '',
+        file,
+        part:    file ? r.part || 1 : null,
+        status, error,
+    });
+    return [
+        ...records.map((r) => {
+            if (r.error) return entry(r, 'failed', '', r.error);
+            if (unreadableByRow.has(r.row)) return entry(r, 'unreadable', r.file || '', unreadableByRow.get(r.row));
+            if (r.file) return entry(r, 'generated', r.file, '');
+            return entry(r, 'not-generated', '', '');
+        }),
+        ...errors.map(e => entry({ row: e.row, payload: e.value }, 'skipped', '', e.error)),
+        ...filteredRows.map(row => entry({ row }, 'filtered', '', '')),
+    ].sort((a, b) => a.row - b.row);
+}
+
+// Entries per status, every status listed
+function countStatuses(entries) {
+    const counts = Object.fromEntries(Object.keys(STATUS_LABELS).map(s => [s, 0]));
+    for (const e of entries) counts[e.status]++;
+    return counts;
+}
+
+/**
+ * manifest.<format> for `entries` (see manifestEntries). The Target column
+ * only appears for dynamic batches, Part only for split ZIPs. `meta`
+ * ({ batchId, source, sheet }) heads the JSON document, next to the
+ * per-status counts.
+ */
+function buildManifest(entries, format, meta = {}) {
+    const dynamic = entries.some(e => e.target);
+    const split   = entries.some(e => e.part > 1);
+    if (format === 'json') {
+        const rows = entries.map(({ target, part, ...e }) => ({ ...e, ...(dynamic && { target }), ...(split && { part }) }));
+        return JSON.stringify({ ...meta, generatedAt: new Date().toISOString(), counts: countStatuses(entries), rows }, null, 2);
+    }
+
+    const spreadsheet = format === 'xlsx';
+    const header = ['Row', 'Payload', ...(dynamic ? ['Target'] : []), 'Caption', 'File', ...(split ? ['Part'] : []), 'Status', 'Error'];
+    const lines  = entries.map(e => [e.row, e.payload, ...(dynamic ? [e.target] : []), e.caption, e.file, ...(split ? [e.part || ''] : []),
+        spreadsheet ? STATUS_LABELS[e.status] : e.status, e.error]);
+    const sheet  = xlsx.utils.aoa_to_sheet([spreadsheet ? header : header.map(h => h.toLowerCase()), ...lines]);
+    // BOM so Excel opens the CSV as UTF-8
+    if (!spreadsheet) return `\ufeff${xlsx.utils.sheet_to_csv(sheet)}\n`;
+
+    sheet['!cols'] = [{ wch: 6 }, { wch: 32 }, ...(dynamic ? [{ wch: 40 }] : []), { wch: 32 }, { wch: 32 }, ...(split ? [{ wch: 6 }] : []), { wch: 12 }, { wch: 40 }];
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, sheet, 'Manifest');
+    return xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+/**
+ * Append QR Status / QR File / QR Error columns to the sheet a batch was read
+ * from. `input` is what loadSheet returns ({ workbook, info, name }),
+ * `headerRow` the 0-based row to put the column names on (-1: none).
+ * Returns { data, ext }: delimited text stays delimited text, workbooks keep
+ * their type when SheetJS can write it and become xlsx otherwise.
+ */
+function annotateWorkbook(input, entries, headerRow) {
+    const sheet = input.workbook.Sheets[input.name];
+    const range = xlsx.utils.decode_range(sheet['!ref'] || 'A1');
+    const first = range.e.c + 1;
+    const put   = (r, values) => values.forEach((v, i) => {
+        if (v !== '') sheet[xlsx.utils.encode_cell({ r, c: first + i })] = { t: 's', v: String(v) };
+    });
+
+    if (headerRow >= 0) put(headerRow, ANNOTATION_HEADERS);
+    for (const e of entries) put(e.row - 1, [STATUS_LABELS[e.status], e.file, e.error]);
+    range.e.c = first + ANNOTATION_HEADERS.length - 1;
+    sheet['!ref'] = xlsx.utils.encode_range(range);
+
+    const { format, delimiter } = input.info;
+    if (format === 'csv' || format === 'tsv')
+        return { data: `\ufeff${xlsx.utils.sheet_to_csv(sheet, { FS: delimiter })}\n`, ext: format };
+    const bookType = BOOK_TYPES[format] || 'xlsx';
+    return {
+        data: xlsx.write(input.workbook, { type: 'buffer', bookType }),
+        ext:  bookType === 'biff8' ? 'xls' : bookType,
+    };
+}
+
+module.exports = { resolveManifestFormats, manifestEntries, buildManifest, annotateWorkbook };
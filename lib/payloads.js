@@ -0,0 +1,212 @@
+'use strict';
+
+// ─── Structured QR payloads ───────────────────────────────────────────────────
+// Builders for the de-facto standard payload formats that phone scanners
+// recognise. Each type lists the fields a spreadsheet column can be mapped to,
+// which of them are required, and a `build(f)` that returns the encoded string
+// or throws an Error whose message is reported against the row.
+
+const xlsxSSF = require('xlsx').SSF;
+
+const TRUTHY = new Set(['true', 'yes', 'y', '1', 'x']);
+
+// MECARD / WIFI: backslash-escape the reserved separator characters
+const escapeMecard = v => v.replace(/([\\;,:])/g, '\\$1');
+const escapeWifi   = v => v.replace(/([\\;,:"])/g, '\\$1');
+
+// vCard 3.0 / iCalendar TEXT values (RFC 2426 §4, RFC 5545 §3.3.11)
+const escapeText = v => v.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+function requireEmail(label, v) {
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v)) throw new Error(`${label} "${v}" is not a valid email address`);
+    return v;
+}
+
+function normalizePhone(label, v) {
+    if (!/^\+?[0-9 ()\-.]{3,}$/.test(v)) throw new Error(`${label} "${v}" is not a valid phone number`);
+    return v.replace(/[ ()\-.]/g, '');
+}
+
+function parseNumber(label, v, min, max) {
+    const n = Number(v);
+    if (v === '' || !Number.isFinite(n)) throw new Error(`${label} "${v}" is not a number`);
+    if (n < min || n > max) throw new Error(`${label} ${n} is outside ${min}..${max}`);
+    return n;
+}
+
+const pad = (n, w = 2) => String(n).padStart(w, '0');
+
+/**
+ * Parse a spreadsheet date into iCalendar form.
+ * Excel serial numbers carry no timezone and become floating local times;
+ * `YYYY-MM-DD` becomes an all-day DATE; other strings go through Date.parse
+ * and are emitted in UTC.
+ */
+function parseICalDate(label, v) {
+    if (/^\d+(\.\d+)?$/.test(v)) {
+        const d = xlsxSSF.parse_date_code(Number(v));
+        if (!d) throw new Error(`${label} "${v}" is not a valid date`);
+        return { value: `${d.y}${pad(d.m)}${pad(d.d)}T${pad(d.H)}${pad(d.M)}${pad(Math.floor(d.S))}`, allDay: false };
+    }
+    const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(v);
+    if (dateOnly) return { value: `${dateOnly[1]}${dateOnly[2]}${dateOnly[3]}`, allDay: true };
+
+    const t = Date.parse(v);
+    if (Number.isNaN(t)) throw new Error(`${label} "${v}" is not a valid date`);
+    return { value: new Date(t).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, ''), allDay: false };
+}
+
+function parseBirthday(v) {
+    const d = parseICalDate('Birthday', v);
+    return d.value.slice(0, 8);
+}
+
+const PAYLOAD_TYPES = {
+    mecard: {
+        fields:   ['firstName', 'lastName', 'phone', 'email', 'url', 'address', 'note', 'birthday'],
+        required: [],
+        label:    f => [f.firstName, f.lastName].filter(Boolean).join(' '),
+        build(f) {
+            if (!f.firstName && !f.lastName) throw new Error('firstName or lastName is required');
+            const parts = [`N:${[f.lastName, f.firstName].filter(Boolean).map(escapeMecard).join(',')}`];
+            if (f.phone)    parts.push(`TEL:${normalizePhone('Phone', f.phone)}`);
+            if (f.email)    parts.push(`EMAIL:${escapeMecard(requireEmail('Email', f.email))}`);
+            if (f.url)      parts.push(`URL:${escapeMecard(f.url)}`);
+            if (f.address)  parts.push(`ADR:${escapeMecard(f.address)}`);
+            if (f.note)     parts.push(`NOTE:${escapeMecard(f.note)}`);
+            if (f.birthday) parts.push(`BDAY:${parseBirthday(f.birthday)}`);
+            return `MECARD:${parts.join(';')};;`;
+        },
+    },
+
+    vcard: {
+        fields:   ['firstName', 'lastName', 'org', 'title', 'phone', 'mobile', 'email', 'url', 'street', 'city', 'region', 'postcode', 'country', 'note', 'birthday'],
+        required: [],
+        label:    f => [f.firstName, f.lastName].filter(Boolean).join(' ') || f.org,
+        build(f) {
+            if (!f.firstName && !f.lastName && !f.org) throw new Error('firstName, lastName or org is required');
+            const fullName = [f.firstName, f.lastName].filter(Boolean).join(' ') || f.org;
+            const lines = [
+                'BEGIN:VCARD',
+                'VERSION:3.0',
+                `N:${escapeText(f.lastName || '')};${escapeText(f.firstName || '')};;;`,
+                `FN:${escapeText(fullName)}`,
+            ];
+            if (f.org)      lines.push(`ORG:${escapeText(f.org)}`);
+            if (f.title)    lines.push(`TITLE:${escapeText(f.title)}`);
+            if (f.phone)    lines.push(`TEL;TYPE=WORK,VOICE:${normalizePhone('Phone', f.phone)}`);
+            if (f.mobile)   lines.push(`TEL;TYPE=CELL:${normalizePhone('Mobile', f.mobile)}`);
+            if (f.email)    lines.push(`EMAIL;TYPE=INTERNET:${requireEmail('Email', f.email)}`);
+            if (f.url)      lines.push(`URL:${f.url}`);
+            if (f.street || f.city || f.region || f.postcode || f.country) {
+                const adr = [f.street, f.city, f.region, f.postcode, f.country].map(v => escapeText(v || ''));
+                lines.push(`ADR;TYPE=WORK:;;${adr.join(';')}`);
+            }
+            if (f.note)     lines.push(`NOTE:${escapeText(f.note)}`);
+            if (f.birthday) lines.push(`BDAY:${parseBirthday(f.birthday)}`);
+            lines.push('END:VCARD');
+            return lines.join('\r\n');
+        },
+    },
+
+    wifi: {
+        fields:   ['ssid', 'password', 'encryption', 'hidden'],
+        required: ['ssid'],
+        label:    f => f.ssid,
+        build(f) {
+            const enc = (f.encryption || (f.password ? 'WPA' : 'nopass')).toUpperCase();
+            const T   = { WPA: 'WPA', WPA2: 'WPA', WPA3: 'SAE', SAE: 'SAE', WEP: 'WEP', NOPASS: 'nopass', NONE: 'nopass', OPEN: 'nopass' }[enc];
+            if (!T) throw new Error(`Unknown encryption "${f.encryption}" (use WPA, WPA3, WEP or nopass)`);
+
+            if (T === 'nopass' && f.password) throw new Error('Password given for an open network');
+            if (T !== 'nopass' && !f.password) throw new Error(`Password is required for ${enc}`);
+            if ((T === 'WPA' || T === 'SAE') && (f.password.length < 8 || f.password.length > 63))
+                throw new Error('WPA passwords must be 8–63 characters');
+            if (T === 'WEP' && !/^(.{5}|.{13}|[0-9A-Fa-f]{10}|[0-9A-Fa-f]{26})$/.test(f.password))
+                throw new Error('WEP keys must be 5/13 characters or 10/26 hex digits');
+
+            // An all-hex SSID/password is ambiguous to readers — quote it
+            const quoteHex = v => /^[0-9A-Fa-f]+$/.test(v) && v.length % 2 === 0 ? `"${v}"` : escapeWifi(v);
+            let out = `WIFI:T:${T};S:${quoteHex(f.ssid)};`;
+            if (T !== 'nopass') out += `P:${quoteHex(f.password)};`;
+            if (f.hidden && TRUTHY.has(f.hidden.toLowerCase())) out += 'H:true;';
+            return `${out};`;
+        },
+    },
+
+    email: {
+        fields:   ['to', 'cc', 'bcc', 'subject', 'body'],
+        required: ['to'],
+        label:    f => f.to,
+        build(f) {
+            requireEmail('To', f.to);
+            const query = [];
+            for (const key of ['cc', 'bcc']) {
+                if (!f[key]) continue;
+                const list = f[key].split(/[;,]/).map(x => x.trim()).filter(Boolean);
+                list.forEach(a => requireEmail(key.toUpperCase(), a));
+                query.push(`${key}=${list.join(',')}`);
+            }
+            if (f.subject) query.push(`subject=${encodeURIComponent(f.subject)}`);
+            if (f.body)    query.push(`body=${encodeURIComponent(f.body)}`);
+            return `mailto:${f.to}${query.length ? `?${query.join('&')}` : ''}`;
+        },
+    },
+
+    sms: {
+        fields:   ['phone', 'message'],
+        required: ['phone'],
+        label:    f => f.phone,
+        build(f) {
+            return `SMSTO:${normalizePhone('Phone', f.phone)}:${f.message || ''}`;
+        },
+    },
+
+    geo: {
+        fields:   ['latitude', 'longitude', 'altitude', 'query'],
+        required: ['latitude', 'longitude'],
+        label:    f => `${f.latitude},${f.longitude}`,
+        build(f) {
+            const lat = parseNumber('Latitude', f.latitude, -90, 90);
+            const lng = parseNumber('Longitude', f.longitude, -180, 180);
+            let out = `geo:${lat},${lng}`;
+            if (f.altitude) out += `,${parseNumber('Altitude', f.altitude, -11000, 100000)}`;
+            if (f.query)    out += `?q=${encodeURIComponent(f.query)}`;
+            return out;
+        },
+    },
+
+    event: {
+        fields:   ['summary', 'start', 'end', 'location', 'description'],
+        required: ['summary', 'start'],
+        label:    f => f.summary,
+        build(f) {
+            const start = parseICalDate('Start', f.start);
+            const end   = f.end ? parseICalDate('End', f.end) : null;
+            if (end && end.allDay !== start.allDay) throw new Error('Start and end must both be dates or both be date-times');
+            if (end && end.value < start.value) throw new Error('End is before start');
+
+            const prop  = (name, d) => d.allDay ? `${name};VALUE=DATE:${d.value}` : `${name}:${d.value}`;
+            const lines = ['BEGIN:VEVENT', `SUMMARY:${escapeText(f.summary)}`, prop('DTSTART', start)];
+            if (end)           lines.push(prop('DTEND', end));
+            if (f.location)    lines.push(`LOCATION:${escapeText(f.location)}`);
+            if (f.description) lines.push(`DESCRIPTION:${escapeText(f.description)}`);
+            lines.push('END:VEVENT');
+            return lines.join('\r\n');
+        },
+    },
+};
+
+/**
+ * Build the payload for one row.
+ * `fields` maps field names to trimmed cell text ('' when empty).
+ * Throws with a row-level message when a required field is missing or invalid.
+ */
+function buildPayload(type, fields) {
+    const spec = PAYLOAD_TYPES[type];
+    const missing = spec.required.filter(k => !fields[k]);
+    if (missing.length > 0) throw new Error(`Missing required field${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+    return spec.build(fields);
+}
+
+module.exports = { PAYLOAD_TYPES, buildPayload };
@@ -0,0 +1,156 @@
+'use strict';
+
+// ─── Design presets ───────────────────────────────────────────────────────────
+// A preset is a named set of design fields (colours, sizes, caption settings…)
+// plus an optional logo, referenced by `presetId` instead of re-sending them.
+// Every change to the design or logo adds a version; old versions are kept so
+// a batch made with version N can be reproduced after the preset moved on.
+// Same store pattern as lib/batches.js: MongoDB when configured, else memory.
+
+const mongoose = require('mongoose');
+
+const MAX_FIELDS       = 100;
+const MAX_VALUE_LENGTH = 4000;
+
+// Per-run inputs and request controls — never part of a saved design
+const RUN_FIELDS = new Set([
+    'async', 'dynamic', 'presetId', 'presetVersion', 'presetLogo', 'hasLogo', 'hasBackground',
+    'sheetName', 'sheetIndex', 'colIndex', 'column', 'headerRows', 'filter', 'rowStart', 'rowEnd',
+    'delimiter', 'encoding', 'serialCount', 'serialPattern', 'serialStart', 'serialStep', 'checkDigit',
+    'row', 'sampleValue', 'caption', 'response', 'variant',
+]);
+
+const Preset = mongoose.model('Preset', new mongoose.Schema({
+    name:        { type: String, index: true },
+    nameKey:     { type: String, index: true }, // lower-cased name for uniqueness checks
+    description: String,
+    apiKeyId:    { type: String, index: true }, // the API key that owns it
+    version:     Number,
+    versions:    [{
+        _id:       false,
+        version:   Number,
+        config:    mongoose.Schema.Types.Mixed,
+        logoFile:  String,
+        logoName:  String,
+        createdAt: Date,
+    }],
+    createdAt:   Date,
+    updatedAt:   Date,
+}));
+
+/**
+ * Clean a design config for saving: keeps scalar fields, drops per-run ones
+ * (RUN_FIELDS). Accepts an object or its JSON text; throws on anything else.
+ */
+function presetConfig(input) {
+    let obj = input;
+    if (typeof obj === 'string') {
+        try { obj = JSON.parse(obj); } catch (_) { throw new Error('config must be a JSON object'); }
+    }
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) throw new Error('config must be a JSON object');
+
+    const config = {};
+    for (const [key, value] of Object.entries(obj)) {
+        if (RUN_FIELDS.has(key) || value === undefined || value === null || value === '') continue;
+        if (!['string', 'number', 'boolean'].includes(typeof value))
+            throw new Error(`config.${key} must be a string, number or boolean`);
+        if (String(value).length > MAX_VALUE_LENGTH) throw new Error(`config.${key} is too long`);
+        config[key] = value;
+    }
+    if (Object.keys(config).length > MAX_FIELDS) throw new Error(`A preset holds at most ${MAX_FIELDS} fields`);
+    return config;
+}
+
+const nameKey = name => String(name).trim().toLowerCase();
+
+function toPreset(doc) {
+    if (!doc) return null;
+    const { _id, __v, nameKey: _key, ...rest } = doc;
+    return { id: String(_id), ...rest };
+}
+
+function mongoStore() {
+    return {
+        kind: 'mongodb',
+        async create(doc) {
+            await Preset.create({ ...doc, nameKey: nameKey(doc.name) });
+        },
+        async get(id) {
+            if (!mongoose.isValidObjectId(id)) return null;
+            return toPreset(await Preset.findById(id).lean());
+        },
+        async findByName(name, apiKeyId) {
+            return toPreset(await Preset.findOne({ nameKey: nameKey(name), apiKeyId: apiKeyId || null }).lean());
+        },
+        async list({ apiKeyId } = {}) {
+            const docs = await Preset.find(apiKeyId ? { apiKeyId } : {}, { versions: 0 }).sort({ nameKey: 1 }).lean();
+            return docs.map(toPreset);
+        },
+        async update(id, patch) {
+            await Preset.updateOne({ _id: id }, { $set: { ...patch, ...(patch.name && { nameKey: nameKey(patch.name) }) } });
+        },
+        async addVersion(id, fromVersion, entry, patch) {
+            const { matchedCount } = await Preset.updateOne(
+                { _id: id, version: fromVersion },
+                { $set: { ...patch, ...(patch.name && { nameKey: nameKey(patch.name) }), version: entry.version }, $push: { versions: entry } });
+            return matchedCount === 1;
+        },
+        async remove(id) {
+            await Preset.deleteOne({ _id: id });
+        },
+    };
+}
+
+function memoryStore() {
+    const docs = new Map();
+    return {
+        kind: 'memory',
+        async create(doc) {
+            docs.set(String(doc._id), structuredClone(doc));
+        },
+        async get(id) {
+            const doc = docs.get(String(id));
+            return doc ? toPreset(structuredClone(doc)) : null;
+        },
+        async findByName(name, apiKeyId) {
+            const doc = [...docs.values()].find(d => nameKey(d.name) === nameKey(name) && (d.apiKeyId || null) === (apiKeyId || null));
+            return doc ? toPreset(structuredClone(doc)) : null;
+        },
+        async list({ apiKeyId } = {}) {
+            return [...docs.values()]
+                .filter(d => !apiKeyId || d.apiKeyId === apiKeyId)
+                .sort((a, b) => nameKey(a.name).localeCompare(nameKey(b.name)))
+                .map(({ versions, ...d }) => toPreset(structuredClone(d)));
+        },
+        async update(id, patch) {
+            const doc = docs.get(String(id));
+            if (doc) Object.assign(doc, structuredClone(patch));
+        },
+        async addVersion(id, fromVersion, entry, patch) {
+            const doc = docs.get(String(id));
+            if (!doc || doc.version !== fromVersion) return false;
+            Object.assign(doc, structuredClone(patch), { version: entry.version });
+            doc.versions.push(structuredClone(entry));
+            return true;
+        },
+        async remove(id) {
+            docs.delete(String(id));
+        },
+    };
+}
+
+/**
+ * Pick the MongoDB store when `useMongo`, else the in-memory stand-in.
+ * Names are unique per owning API key: `findByName(name, apiKeyId)` only
+ * looks among that key's presets (those made without a key share one
+ * namespace). `list({ apiKeyId })` leaves out `versions` and, given a key,
+ * other keys' presets; `addVersion(id, fromVersion, entry, patch)` resolves
+ * to false when another change got in first.
+ */
+function createPresetStore(useMongo) {
+    return useMongo ? mongoStore() : memoryStore();
+}
+
+const newPresetId = () => new mongoose.Types.ObjectId().toString();
+
+module.exports = { RUN_FIELDS, createPresetStore, newPresetId, presetConfig };
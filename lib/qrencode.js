@@ -0,0 +1,244 @@
+'use strict';
+
+// ─── QR encoding options ──────────────────────────────────────────────────────
+// How a payload becomes a QR symbol, beyond the error correction level:
+//
+//   qrVersion     pin the version 1–40, so every code of a batch is one size;
+//                 rows that need a larger one are reported as errors
+//   qrMinVersion  smallest version to use; longer payloads still grow
+//   qrMask        mask pattern 0–7 (default: the lowest-penalty one)
+//   qrMode        auto (optimal mix of segments) | numeric | alphanumeric |
+//                 byte | kanji — one segment in that mode
+//   qrEci         none | utf8: lead with an ECI designator for UTF-8 (ECI 26)
+//
+// The qrcode package does all of it except ECI and Kanji mode (which it only
+// enables through a process-wide Shift JIS hook). Those symbols are put
+// together here: the bit stream and codewords follow qrcode's createData and
+// createCodewords, and the function patterns are taken from a qrcode symbol
+// of the same version, level and mask. Those are qrcode internals, so its
+// version is pinned in package.json and test/qrencode.test.js reads these
+// symbols back with jsQR.
+
+const QRCode    = require('qrcode');
+const BitBuffer = require('qrcode/lib/core/bit-buffer');
+const BitMatrix = require('qrcode/lib/core/bit-matrix');
+const ECCode    = require('qrcode/lib/core/error-correction-code');
+const ECLevel   = require('qrcode/lib/core/error-correction-level');
+const Mask      = require('qrcode/lib/core/mask-pattern');
+const Mode      = require('qrcode/lib/core/mode');
+const RSEncoder = require('qrcode/lib/core/reed-solomon-encoder');
+const Segments  = require('qrcode/lib/core/segments');
+const Utils     = require('qrcode/lib/core/utils');
+const Version   = require('qrcode/lib/core/version');
+const toSJIS    = require('qrcode/helper/to-sjis');
+
+const MODES     = ['auto', 'numeric', 'alphanumeric', 'byte', 'kanji'];
+const ECIS      = ['none', 'utf8'];
+const ECI_UTF8  = 26;
+const MODE_TEST = {
+    numeric:      /^[0-9]+$/,
+    alphanumeric: /^[0-9A-Z $%*+\-./:]+$/,
+};
+
+/**
+ * Validate the QR encoding fields of a render config; throws naming the bad
+ * one, or when they are set for a `symbology` other than qr. `custom` is
+ * false when none is set and qrcode's defaults apply.
+ */
+function resolveQrEncoding(cfg, symbology = 'qr') {
+    const given = key => cfg[key] !== undefined && cfg[key] !== '';
+    const int   = (key, min, max) => {
+        if (!given(key)) return null;
+        const v = Number(cfg[key]);
+        if (!Number.isInteger(v) || v < min || v > max) throw new Error(`${key} must be a whole number from ${min} to ${max}`);
+        return v;
+    };
+    const pick = (key, allowed) => {
+        const value = given(key) ? String(cfg[key]).toLowerCase() : allowed[0];
+        if (!allowed.includes(value)) throw new Error(`Unknown ${key} "${cfg[key]}". Use one of: ${allowed.join(', ')}`);
+        return value;
+    };
+
+    const encoding = {
+        version:    int('qrVersion', 1, 40),
+        minVersion: int('qrMinVersion', 1, 40),
+        mask:       int('qrMask', 0, 7),
+        mode:       pick('qrMode', MODES),
+        eci:        pick('qrEci', ECIS),
+    };
+    if (encoding.version && encoding.minVersion) throw new Error('Use qrVersion or qrMinVersion, not both');
+    encoding.custom = encoding.version !== null || encoding.minVersion !== null || encoding.mask !== null ||
+        encoding.mode !== 'auto' || encoding.eci !== 'none';
+    if (encoding.custom && symbology !== 'qr')
+        throw new Error(`qrVersion, qrMinVersion, qrMask, qrMode and qrEci only apply to QR codes (symbology=${symbology})`);
+    // Rows can fail on these, so they are checked one by one before rendering
+    encoding.strict = encoding.version !== null || encoding.mode !== 'auto';
+    return encoding;
+}
+
+// The options of resolveQrEncoding in words, for report.txt
+function describeQrEncoding(encoding) {
+    return [
+        encoding.version ? `version ${encoding.version}` : encoding.minVersion ? `version ${encoding.minVersion}+` : 'auto version',
+        encoding.mask !== null ? `mask ${encoding.mask}` : 'auto mask',
+        encoding.mode === 'auto' ? 'optimal segments' : `${encoding.mode} mode`,
+        ...(encoding.eci === 'utf8' ? ['UTF-8 ECI'] : []),
+    ].join(', ');
+}
+
+// One Kanji-mode segment, in the shape qrcode's segments have
+function kanjiSegment(value) {
+    const chars  = [...value];
+    const values = chars.map((ch) => {
+        const sjis = toSJIS(ch);
+        if (sjis >= 0x8140 && sjis <= 0x9ffc) return sjis - 0x8140;
+        if (sjis >= 0xe040 && sjis <= 0xebbf) return sjis - 0xc140;
+        throw new Error(`"${ch}" is not a Shift JIS Kanji character, so qrMode=kanji cannot encode it`);
+    });
+    return {
+        mode:          Mode.KANJI,
+        getLength:     () => chars.length,
+        getBitsLength: () => chars.length * 13,
+        write:         (buffer) => {
+            for (const v of values) buffer.put(((v >>> 8) & 0xff) * 0xc0 + (v & 0xff), 13);
+        },
+    };
+}
+
+// Data bits → interleaved data and EC codewords (qrcode's createData + createCodewords)
+function createCodewords(segments, eci, version, ecl) {
+    const buffer = new BitBuffer();
+    if (eci) {
+        buffer.put(0b0111, 4);
+        buffer.put(ECI_UTF8, 8);
+    }
+    for (const seg of segments) {
+        buffer.put(seg.mode.bit, 4);
+        buffer.put(seg.getLength(), Mode.getCharCountIndicator(seg.mode, version));
+        seg.write(buffer);
+    }
+
+    const total     = Utils.getSymbolTotalCodewords(version);
+    const dataTotal = total - ECCode.getTotalCodewordsCount(version, ecl);
+    if (buffer.getLengthInBits() + 4 <= dataTotal * 8) buffer.put(0, 4);
+    while (buffer.getLengthInBits() % 8 !== 0) buffer.putBit(0);
+    for (let i = 0; buffer.getLengthInBits() < dataTotal * 8; i++) buffer.put(i % 2 ? 0x11 : 0xec, 8);
+
+    const blocks    = ECCode.getBlocksCount(version, ecl);
+    const group1    = blocks - (total % blocks);
+    const dataShort = Math.floor(dataTotal / blocks);
+    const ecCount   = Math.floor(total / blocks) - dataShort;
+    const rs        = new RSEncoder(ecCount);
+    const bytes     = new Uint8Array(buffer.buffer);
+    const dc = [], ec = [];
+    for (let b = 0, offset = 0; b < blocks; b++) {
+        const size = b < group1 ? dataShort : dataShort + 1;
+        dc.push(bytes.slice(offset, offset + size));
+        ec.push(rs.encode(dc[b]));
+        offset += size;
+    }
+
+    const out = [];
+    for (let i = 0; i <= dataShort; i++) dc.forEach(block => { if (i < block.length) out.push(block[i]); });
+    for (let i = 0; i < ecCount; i++) ec.forEach(block => out.push(block[i]));
+    return out;
+}
+
+// Function patterns for version / level / mask, from a qrcode symbol
+const templates = new Map();
+function template(version, ecl, mask) {
+    const key = `${version}:${ecl.bit}:${mask}`;
+    if (!templates.has(key)) {
+        templates.set(key, QRCode.create('0', { version, errorCorrectionLevel: ecl, maskPattern: mask }).modules);
+    }
+    return templates.get(key);
+}
+
+// Codewords into the data region, zigzagging up and down from the bottom right
+function placeData(matrix, codewords) {
+    const size = matrix.size;
+    let bit = 0, row = size - 1, inc = -1;
+    for (let col = size - 1; col > 0; col -= 2) {
+        if (col === 6) col--;
+        for (;;) {
+            for (let c = 0; c < 2; c++) {
+                if (matrix.isReserved(row, col - c)) continue;
+                const byte = codewords[bit >> 3];
+                matrix.set(row, col - c, byte !== undefined && ((byte >>> (7 - (bit & 7))) & 1) === 1);
+                bit++;
+            }
+            row += inc;
+            if (row < 0 || row >= size) { row -= inc; inc = -inc; break; }
+        }
+    }
+}
+
+function buildSymbol(segments, encoding, ecl) {
+    const bitsAt = v => (encoding.eci === 'utf8' ? 12 : 0) +
+        segments.reduce((n, seg) => n + 4 + Mode.getCharCountIndicator(seg.mode, v) + seg.getBitsLength(), 0);
+    let needed = 0;
+    for (let v = 1; v <= 40 && !needed; v++) if (bitsAt(v) <= Version.getCapacity(v, ecl, Mode.MIXED)) needed = v;
+    if (!needed) throw new Error('The amount of data is too big to be stored in a QR Code');
+    const version = versionFor(encoding, needed);
+
+    const codewords = createCodewords(segments, encoding.eci === 'utf8', version, ecl);
+    const masks     = encoding.mask !== null ? [encoding.mask] : [0, 1, 2, 3, 4, 5, 6, 7];
+    let best = null;
+    for (const mask of masks) {
+        const base    = template(version, ecl, mask);
+        const modules = new BitMatrix(base.size);
+        modules.data.set(base.data);
+        modules.reservedBit.set(base.reservedBit);
+        placeData(modules, codewords);
+        Mask.applyMask(mask, modules);
+        // Lowest penalty wins, the first one on a tie — as qrcode's getBestMask
+        const penalty = masks.length === 1 ? 0 : Mask.getPenaltyN1(modules) + Mask.getPenaltyN2(modules) +
+            Mask.getPenaltyN3(modules) + Mask.getPenaltyN4(modules);
+        if (!best || penalty < best.penalty) best = { modules, mask, penalty };
+    }
+    return { modules: best.modules, version, errorCorrectionLevel: ecl, maskPattern: best.mask, segments };
+}
+
+// The version to render: the pinned one (if the data fits), else the larger of needed and minimum
+function versionFor(encoding, needed) {
+    if (encoding.version && encoding.version < needed)
+        throw new Error(`Needs QR version ${needed} or higher; qrVersion pins ${encoding.version}`);
+    return encoding.version || Math.max(needed, encoding.minVersion || 1);
+}
+
+/**
+ * QRCode.create with the encoding options of `cfg` (see resolveQrEncoding)
+ * at error correction `level`. Returns the same { modules, version,
+ * errorCorrectionLevel, maskPattern, segments }; throws when the value
+ * cannot be encoded as asked.
+ */
+function createQR(value, cfg, level) {
+    const encoding = resolveQrEncoding(cfg);
+    const ecl      = ECLevel.from(level, ECLevel.M);
+    if (MODE_TEST[encoding.mode] && !MODE_TEST[encoding.mode].test(value)) {
+        throw new Error(encoding.mode === 'numeric'
+            ? 'qrMode=numeric can only encode the digits 0-9'
+            : 'qrMode=alphanumeric can only encode 0-9, A-Z (upper case), space and $ % * + - . / :');
+    }
+
+    if (encoding.eci === 'utf8' || encoding.mode === 'kanji') {
+        let segments;
+        if (encoding.mode === 'kanji') segments = [kanjiSegment(value)];
+        else if (encoding.mode !== 'auto') segments = Segments.fromArray([{ data: value, mode: encoding.mode }]);
+        else {
+            // As qrcode does: estimate the version, then split optimally for it
+            const estimate = encoding.version ||
+                Math.max(Version.getBestVersionForData(Segments.rawSplit(value), ecl) || 40, encoding.minVersion || 1);
+            segments = Segments.fromString(value, estimate);
+        }
+        return buildSymbol(segments, encoding, ecl);
+    }
+
+    const data = encoding.mode === 'auto' ? value : [{ data: value, mode: encoding.mode }];
+    const opts = { errorCorrectionLevel: ecl, ...(encoding.mask !== null && { maskPattern: encoding.mask }) };
+    if (!encoding.version && !encoding.minVersion) return QRCode.create(data, opts);
+    const needed = QRCode.create(data, opts).version;
+    return QRCode.create(data, { ...opts, version: versionFor(encoding, needed) });
+}
+
+module.exports = { resolveQrEncoding, describeQrEncoding, createQR };
@@ -0,0 +1,62 @@
+'use strict';
+
+// ─── Render worker ────────────────────────────────────────────────────────────
+// A worker thread of the render pool (lib/renderpool.js). Messages:
+//
+//   { type: 'open', session, cfg, logoDataUri, fontPath, backgroundPath }
+//   { type: 'render', id, session, payload, caption, overrides | variants, verify }
+//       → { id, data, checks, ms } or { id, error }; `data` holds one buffer
+//         per variant (or just one), `checks` their decode results with verify
+//   { type: 'encode', id, payload, cfg } → { id, error } where error may be null
+//   { type: 'close', session }
+//
+// A session's assets are loaded on 'open' and shared by all of its renders.
+// Decoding (jsQR) and strict encoding checks run here too, so none of the
+// per-code work of a batch lands on the event loop.
+
+const { parentPort } = require('worker_threads');
+const sharp = require('sharp');
+
+const { renderOutputs, loadAssets } = require('./render');
+const { encodeSymbol } = require('./symbologies');
+
+sharp.cache(false); // as on the main thread: no pixel cache
+
+const sessions = new Map(); // session id → Promise of { cfg, logoDataUri, assets }
+
+async function render({ id, session, payload, caption, overrides, variants, verify }) {
+    const t0 = Date.now();
+    try {
+        const s = await sessions.get(session);
+        if (!s) throw new Error('Render session is closed');
+        const { buffers, checks } = await renderOutputs(payload, s.cfg, variants || [overrides || null],
+            s.logoDataUri, caption, s.assets, verify);
+        parentPort.postMessage({ id, data: buffers, checks, ms: Date.now() - t0 });
+    } catch (err) {
+        parentPort.postMessage({ id, error: err.message });
+    }
+}
+
+function encode({ id, payload, cfg }) {
+    try {
+        encodeSymbol(payload, cfg);
+        parentPort.postMessage({ id, error: null });
+    } catch (err) {
+        parentPort.postMessage({ id, error: err.message });
+    }
+}
+
+parentPort.on('message', (msg) => {
+    if (msg.type === 'open') {
+        const { cfg, logoDataUri } = msg;
+        const ready = loadAssets(msg).then(assets => ({ cfg, logoDataUri, assets }));
+        ready.catch(() => {}); // reported by each render of the session
+        sessions.set(msg.session, ready);
+    } else if (msg.type === 'close') {
+        sessions.delete(msg.session);
+    } else if (msg.type === 'render') {
+        render(msg);
+    } else if (msg.type === 'encode') {
+        encode(msg);
+    }
+});
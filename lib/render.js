@@ -0,0 +1,352 @@
+'use strict';
+
+// ─── Code rendering ───────────────────────────────────────────────────────────
+// One code → one image buffer, plus the per-batch assets it draws with.
+// Loaded both by the server (previews) and by the render workers
+// (lib/render-worker.js), so nothing here may depend on the Express app.
+
+const fs    = require('fs');
+const sharp = require('sharp');
+
+const { MM_TO_PT, svgToPdf, svgToEps, escapeXml } = require('./vector');
+const { resolveStyle, renderSymbol } = require('./styles');
+const { symbolMargins, resolveBarHeight, encodeSymbol } = require('./symbologies');
+const { LINE_HEIGHT, resolveCaption, captionLines, loadFont, captionSvg } = require('./captions');
+const { resolveFrame, frameGeometry, frameSvg } = require('./frames');
+const { verifyQR } = require('./verify');
+
+// ─── Output formats ───────────────────────────────────────────────────────────
+// png/jpeg are rasterized by sharp; svg/pdf/eps keep the artwork as vectors.
+const FORMAT_EXT     = { png: 'png', jpeg: 'jpg', svg: 'svg', pdf: 'pdf', eps: 'eps' };
+const VECTOR_FORMATS = new Set(['svg', 'pdf', 'eps']);
+
+// ─── Colours ──────────────────────────────────────────────────────────────────
+function hexToRgba(hex) {
+    let c = hex.replace('#', '');
+    if (c.length === 3) c = c.split('').map(x => x + x).join('');
+    if (c.length === 6) c += 'ff';
+    return {
+        r: parseInt(c.slice(0, 2), 16),
+        g: parseInt(c.slice(2, 4), 16),
+        b: parseInt(c.slice(4, 6), 16),
+        a: parseInt(c.slice(6, 8), 16),
+    };
+}
+
+// ─── Physical sizing ──────────────────────────────────────────────────────────
+// unit=mm|in switches `width` to a print size and textFontSize to points;
+// textSpace/textX follow the same unit. `dpi` (default 300) sets the device
+// resolution and is written to PNG pHYs / JPEG JFIF. `margin` stays in modules.
+const UNIT_TO_INCH = { mm: 1 / 25.4, in: 1 };
+
+function resolveSizing(cfg) {
+    const unit = cfg.unit || 'px';
+    if (unit === 'px') return null;
+    if (!UNIT_TO_INCH[unit]) throw new Error(`Unknown unit "${unit}". Use px, mm or in`);
+
+    const dpi = parseFloat(cfg.dpi || 300);
+    if (!(dpi >= 72 && dpi <= 2400)) throw new Error('dpi must be between 72 and 2400');
+    const widthIn = cfg.width ? parseFloat(cfg.width) * UNIT_TO_INCH[unit] : 1;
+    if (!(widthIn > 0)) throw new Error(`width must be a positive size in ${unit}`);
+
+    return {
+        dpi,
+        pxPerUnit:    dpi * UNIT_TO_INCH[unit],
+        targetPx:     widthIn * dpi,
+        printWidthMm: widthIn * 25.4,
+    };
+}
+
+// Output width of the code itself, quiet zone included; a frame adds to it
+function codeWidthPx(sizing, width, modulesWide) {
+    return sizing
+        ? Math.max(1, Math.round(sizing.targetPx / modulesWide)) * modulesWide
+        : parseInt(width);
+}
+
+/**
+ * Generate a single QR code image buffer.
+ * Batches call this inside the render workers (lib/renderpool.js); the
+ * caller appends each buffer to the ZIP and drops it straight away.
+ * `caption` is the text drawn with the code when showText is on (see
+ * lib/captions.js). `assets` holds the batch's uploads beyond the logo:
+ * `font` (parsed by loadFont) replaces Arial, `background` (from
+ * prepareBackground) fills the frame (lib/frames.js).
+ * Vector formats skip the pixel fast path; pdf/eps are sized by printWidthMm
+ * (default: `width` pixels at 96 DPI). With physical sizing the module size
+ * is snapped to whole device pixels, so the width is as close to the
+ * requested print size as crisp modules allow. `encoded`, the result of
+ * encodeSymbol for this serial and config, saves encoding it again.
+ */
+async function generateQRBuffer(serial, cfg, logoDataUri, caption = serial, assets = {}, encoded = null) {
+    const {
+        width = 300, format = 'jpeg',
+        colorDark = '#000000', colorLight = '#ffffff',
+        logoSize = 20, showText = 'false', textFontSize = null,
+        textX = 0, textSpace = 0, printWidthMm,
+    } = cfg;
+
+    const sizing        = resolveSizing(cfg);
+    const style         = resolveStyle(cfg);
+    const textStyle     = resolveCaption(cfg);
+    const font          = assets.font || null;
+    const frame         = resolveFrame(cfg, { hasBackground: !!assets.background });
+    const symbol        = { ...(encoded || encodeSymbol(String(serial), cfg)) }; // rows may change below
+    const margins       = symbolMargins(cfg, symbol.symbology);
+    const marginXInt    = margins.x;
+    const marginYInt    = margins.y;
+    const shouldShowText = showText === 'true' || showText === true;
+    const isVector      = VECTOR_FORMATS.has(format);
+
+    let actualColorLight = colorLight;
+    if (colorLight === 'transparent') {
+        actualColorLight = format === 'png' || isVector ? 'transparent' : '#ffffff';
+    }
+
+    const size         = symbol.cols;
+    const totalQRSizeX = size + 2 * marginXInt;
+    const qrWidth      = codeWidthPx(sizing, width, totalQRSizeX);
+    const toPx         = v => (sizing ? v * sizing.pxPerUnit : v);
+
+    // Linear codes: barHeight sets the bar length instead of the default
+    const barHeight    = symbol.bars ? resolveBarHeight(cfg) : null;
+    if (barHeight) symbol.rows = Math.max(1, Math.round(toPx(barHeight) * totalQRSizeX / qrWidth));
+    const totalQRSizeY = symbol.rows + 2 * marginYInt;
+
+    const fontSize      = textFontSize
+        ? (sizing ? parseFloat(textFontSize) * sizing.dpi / 72 : parseInt(textFontSize))
+        : Math.floor(Math.max(40, Math.floor(qrWidth * 0.15)) * 0.4);
+    const lines         = shouldShowText ? captionLines(caption) : [];
+    const textHeight    = Math.max(Math.floor(qrWidth * 0.15), Math.floor(fontSize * 2.5)) +
+        Math.round(Math.max(0, lines.length - 1) * fontSize * LINE_HEIGHT);
+    const encodeRaster  = pipeline => (sizing ? pipeline.withMetadata({ density: sizing.dpi }) : pipeline)
+        .toFormat(format === 'png' ? 'png' : 'jpeg', format === 'png' ? {} : { quality: 90 })
+        .toBuffer();
+
+    // ── Fast pixel path: square modules, no logo, no text, no frame ──────────
+    if (
+        style.plain && !isVector && !frame.active &&
+        !logoDataUri && !shouldShowText && marginXInt === marginYInt
+    ) {
+        const buf   = Buffer.alloc(totalQRSizeX * totalQRSizeY * 4, 0);
+        const cDark = hexToRgba(colorDark);
+        const cLight = actualColorLight === 'transparent'
+            ? { r: 255, g: 255, b: 255, a: 0 } // Use transparent white to prevent black-box bug in design software
+            : hexToRgba(actualColorLight);
+
+        for (let r = 0; r < totalQRSizeY; r++) {
+            for (let c = 0; c < totalQRSizeX; c++) {
+                const offset  = (r * totalQRSizeX + c) * 4;
+                let isDark    = false;
+                if (r >= marginYInt && r < symbol.rows + marginYInt && c >= marginXInt && c < size + marginXInt) {
+                    isDark = symbol.get(r - marginYInt, c - marginXInt);
+                }
+                const color = isDark ? cDark : cLight;
+                buf[offset]     = color.r;
+                buf[offset + 1] = color.g;
+                buf[offset + 2] = color.b;
+                buf[offset + 3] = color.a;
+            }
+        }
+        return encodeRaster(sharp(buf, { raw: { width: totalQRSizeX, height: totalQRSizeY, channels: 4 } })
+            .resize(qrWidth, Math.round(totalQRSizeY * qrWidth / totalQRSizeX), { kernel: sharp.kernel.nearest }));
+    }
+
+    // ── SVG path: styled modules/eyes, gradients, logo, text, frame ──────────
+    const unitRatio        = totalQRSizeX / qrWidth;
+    const textSpaceInt     = sizing ? Math.round(toPx(parseFloat(textSpace) || 0)) : (parseInt(textSpace) || 0);
+    const textSpaceUnits   = textSpaceInt * unitRatio;
+    const textHeightUnits  = (textHeight * unitRatio) + textSpaceUnits;
+    const totalHeightUnits = shouldShowText ? totalQRSizeY + textHeightUnits : totalQRSizeY;
+    // Text above the code pushes the symbol (and logo) down by the text block
+    const qrTop            = shouldShowText && textStyle.position === 'above' ? textHeightUnits : 0;
+
+    // The frame wraps the code plus caption; its sizes snap to whole pixels
+    const framePx       = v => (frame.active ? Math.round(toPx(v)) : 0);
+    const paddingPx     = framePx(frame.padding);
+    const borderPx      = framePx(frame.borderWidth);
+    const frameFontSize = frame.textSize ? (sizing ? frame.textSize * sizing.dpi / 72 : frame.textSize) : fontSize;
+    const bannerPx      = frame.active && frame.text ? Math.round(frameFontSize * 2.2) : 0;
+    const geometry      = frame.active ? frameGeometry(frame, {
+        width:   totalQRSizeX,
+        height:  totalHeightUnits,
+        padding: paddingPx * unitRatio,
+        border:  borderPx * unitRatio,
+        radius:  toPx(frame.radius) * unitRatio,
+        banner:  bannerPx * unitRatio,
+    }) : null;
+    const ox = geometry ? geometry.offsetX : 0;
+    const oy = geometry ? geometry.offsetY : 0;
+
+    const drawn = renderSymbol(symbol, style, colorDark, marginXInt + ox, marginYInt + qrTop + oy);
+
+    const extraElements = [];
+    if (logoDataUri) {
+        const lSizeUnits = (parseInt(logoSize) / 100) * size;
+        const lPosX      = ox + marginXInt + (size - lSizeUnits) / 2;
+        const lPosY      = oy + qrTop + marginYInt + (size - lSizeUnits) / 2;
+        const safeLogoBg = actualColorLight === 'transparent' ? '#ffffff' : actualColorLight;
+        extraElements.push(`<rect x="${lPosX - 0.2}" y="${lPosY - 0.2}" width="${lSizeUnits + 0.4}" height="${lSizeUnits + 0.4}" fill="${escapeXml(safeLogoBg)}" />`);
+        extraElements.push(`<image x="${lPosX}" y="${lPosY}" width="${lSizeUnits}" height="${lSizeUnits}" href="${logoDataUri}" xlink:href="${logoDataUri}" />`);
+    }
+
+    if (shouldShowText) {
+        const blockHeight = textHeightUnits - Math.max(0, textSpaceUnits);
+        extraElements.push(captionSvg(lines, {
+            fontSize: fontSize * unitRatio,
+            centerY:  oy + (textStyle.position === 'above' ? blockHeight / 2 : totalQRSizeY + textSpaceUnits + blockHeight / 2),
+            x0:       ox + marginXInt,
+            x1:       ox + marginXInt + size,
+            offsetX:  toPx(parseFloat(textX) || 0) * unitRatio,
+            style:    textStyle,
+            color:    textStyle.color || colorDark,
+            font,
+            raster:   !isVector,
+        }));
+    }
+
+    const qrBaseHeight   = Math.round(totalQRSizeY / unitRatio);
+    const qrOutputHeight = shouldShowText ? qrBaseHeight + textHeight + textSpaceInt : qrBaseHeight;
+    let layers = { defs: '', under: '', over: '' };
+    let background = actualColorLight === 'transparent' ? '' : `<rect width="100%" height="100%" fill="${escapeXml(actualColorLight)}"/>`;
+    let viewW = totalQRSizeX, viewH = totalHeightUnits, outW = qrWidth, outH = qrOutputHeight;
+    if (geometry) {
+        const px        = v => Math.max(1, Math.round(v / unitRatio));
+        const imageHref = assets.background
+            ? await assets.background.fit(px(geometry.inside.w), px(geometry.inside.h), Math.round(geometry.inside.r / unitRatio))
+            : null;
+        layers = frameSvg(frame, geometry, {
+            imageHref, colorLight: actualColorLight, colorDark, font,
+            fontSize: frameFontSize * unitRatio,
+            raster:   !isVector,
+        });
+        // The code keeps its own light box inside the frame
+        background = actualColorLight === 'transparent' ? ''
+            : `<rect x="${ox}" y="${oy}" width="${totalQRSizeX}" height="${totalHeightUnits}" fill="${escapeXml(actualColorLight)}"/>`;
+        viewW = geometry.width;
+        viewH = geometry.height;
+        outW  = qrWidth + 2 * (paddingPx + borderPx);
+        outH  = qrOutputHeight + 2 * (paddingPx + borderPx) + bannerPx;
+    }
+    const defs = drawn.defs + layers.defs;
+    const svg  = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 ${viewW} ${viewH}" width="${outW}" height="${outH}" shape-rendering="crispEdges">` +
+        `${defs ? `<defs>${defs}</defs>` : ''}${layers.under}${background}${drawn.body}${extraElements.join('')}${layers.over}</svg>`;
+
+    if (format === 'svg') return Buffer.from(svg);
+    if (format === 'pdf' || format === 'eps') {
+        const widthMm  = parseFloat(printWidthMm) || (sizing ? sizing.printWidthMm : qrWidth * 25.4 / 96);
+        const widthPt  = widthMm * MM_TO_PT * (viewW / totalQRSizeX); // printWidthMm is the code's, the frame adds
+        const heightPt = widthMm * MM_TO_PT * (viewH / totalQRSizeX);
+        return format === 'pdf'
+            ? svgToPdf(svg, widthPt, heightPt, captionLines(caption).join(' '))
+            : svgToEps(svg, widthPt, heightPt, captionLines(caption).join(' '));
+    }
+
+    return encodeRaster(sharp(Buffer.from(svg)));
+}
+
+/**
+ * The same code in several outputs (see lib/variants.js): one buffer per
+ * entry of `outputs`, each a set of overrides laid over `cfg` (or null for
+ * `cfg` as is). The symbol is encoded once; outputs only change how it is
+ * drawn. With `verify`, each buffer is also decoded (checkOutput) until one
+ * fails; `checks` lines up with `buffers`, null where no decode ran.
+ */
+async function renderOutputs(serial, cfg, outputs, logoDataUri, caption = serial, assets = {}, verify = false) {
+    const encoded = encodeSymbol(String(serial), cfg);
+    const buffers = [];
+    const checks  = verify ? [] : null;
+    for (const overrides of outputs) {
+        const ocfg = overrides ? { ...cfg, ...overrides } : cfg;
+        const buf  = await generateQRBuffer(serial, ocfg, logoDataUri, caption, assets, encoded);
+        buffers.push(buf);
+        if (!verify) continue;
+        const failed = checks.some(c => c && c.error);
+        checks.push(failed ? null : await checkOutput(serial, ocfg, buf, logoDataUri, caption, assets, encoded));
+    }
+    return { buffers, checks };
+}
+
+/**
+ * Decode a rendered code with verifyQR and resolve to its { error, warning }.
+ * pdf/eps can't be decoded directly, so those are drawn again as PNG; a
+ * frame widens the image beyond the code, so it is counted in modules too.
+ */
+async function checkOutput(serial, cfg, buf, logoDataUri, caption, assets, encoded) {
+    try {
+        const decodable = cfg.format === 'pdf' || cfg.format === 'eps'
+            ? await generateQRBuffer(serial, { ...cfg, format: 'png' }, logoDataUri, caption, assets, encoded)
+            : buf;
+        const codeModules = encoded.cols + 2 * symbolMargins(cfg).x;
+        const framed      = resolveFrame(cfg, { hasBackground: !!assets.background }).active;
+        const moduleCount = framed
+            ? codeModules * (await sharp(decodable).metadata()).width / codeWidthPx(resolveSizing(cfg), cfg.width || 300, codeModules)
+            : codeModules;
+        return await verifyQR(decodable, String(serial), { moduleCount });
+    } catch (err) {
+        return { error: `Verification failed: ${err.message}`, warning: null };
+    }
+}
+
+/**
+ * Resize the uploaded logo once per batch and return it as a PNG data URI.
+ * Vector artwork and label sheets are scaled at print time, so `hiRes`
+ * (or a vector format) keeps a 512px copy instead of the on-screen size.
+ */
+async function prepareLogo(logoPath, cfg, hiRes = false) {
+    const sizing  = resolveSizing(cfg);
+    const qrWidth = sizing ? Math.round(sizing.targetPx) : parseInt(cfg.width || 300);
+    const lSize   = hiRes || VECTOR_FORMATS.has(cfg.format)
+        ? 512
+        : Math.max(1, Math.floor(qrWidth * (parseInt(cfg.logoSize || 20) / 100)));
+    const logoBuf = await sharp(logoPath)
+        .resize(lSize, lSize, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+        .png()
+        .toBuffer();
+    return `data:image/png;base64,${logoBuf.toString('base64')}`;
+}
+
+/**
+ * Load the uploaded frame background once per batch. `fit(w, h, r)` gives a
+ * PNG data URI cropped to cover w × h pixels, corners rounded to r, cached
+ * per size since the codes of a batch mostly share one.
+ * Throws when the upload is not an image sharp can read.
+ */
+async function prepareBackground(bgPath) {
+    const MAX_PX = 2000;
+    const source = await sharp(bgPath).rotate().png().toBuffer();
+    const sizes  = new Map();
+    const render = async (w, h, r) => {
+        const k  = Math.min(1, MAX_PX / Math.max(w, h));
+        const bw = Math.max(1, Math.round(w * k)), bh = Math.max(1, Math.round(h * k));
+        let img  = sharp(source).resize(bw, bh, { fit: 'cover' });
+        if (r > 0) {
+            const mask = `<svg xmlns="http://www.w3.org/2000/svg" width="${bw}" height="${bh}"><rect width="${bw}" height="${bh}" rx="${r * k}" ry="${r * k}"/></svg>`;
+            img = sharp(await img.png().toBuffer()).composite([{ input: Buffer.from(mask), blend: 'dest-in' }]);
+        }
+        return `data:image/png;base64,${(await img.png().toBuffer()).toString('base64')}`;
+    };
+    return {
+        fit(w, h, r) {
+            const key = `${w}x${h}/${r}`;
+            if (!sizes.has(key)) sizes.set(key, render(w, h, r));
+            return sizes.get(key);
+        },
+    };
+}
+
+/**
+ * The `assets` of generateQRBuffer for a batch, from its uploaded files:
+ * the caption font and the frame background (either may be absent).
+ */
+async function loadAssets({ fontPath, backgroundPath }) {
+    return {
+        font:       fontPath ? loadFont(fs.readFileSync(fontPath)) : null,
+        background: backgroundPath ? await prepareBackground(backgroundPath) : null,
+    };
+}
+
+module.exports = {
+    FORMAT_EXT, VECTOR_FORMATS, resolveSizing, codeWidthPx,
+    generateQRBuffer, renderOutputs, prepareLogo, prepareBackground, loadAssets,
+};
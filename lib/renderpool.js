@@ -0,0 +1,258 @@
+'use strict';
+
+// ─── Render pool ──────────────────────────────────────────────────────────────
+// Batches render on worker threads (lib/render-worker.js), so building the
+// SVG of styled codes and PDF/EPS output never holds up the event loop — and
+// with it /api/analyze, previews and downloads — during a big batch.
+//
+// A batch opens a session with its render config and logo; each worker loads
+// the session's font and frame background the first time it gets one of its
+// codes. A code wanted in several outputs (lib/variants.js) is one task, so
+// its symbol is encoded once, and decode verification runs in the same task.
+// Codes go to the worker with the fewest in flight. A pool of size 0
+// renders on the main thread instead, through the same interface.
+//
+// withConcurrency feeds a batch through a session with at most `concurrency`
+// codes in flight, holding back while a throttle (see createBackpressure)
+// reports the ZIP or the process memory as full.
+
+const os         = require('os');
+const path       = require('path');
+const { Worker } = require('worker_threads');
+
+const { renderOutputs, loadAssets } = require('./render');
+const { encodeSymbol } = require('./symbologies');
+
+const WORKER_SCRIPT = path.join(__dirname, 'render-worker.js');
+const PAUSE_POLL_MS = 50; // re-check a throttle this often while nothing finishes
+const MB            = 1024 * 1024;
+
+// One thread per core, less one for the event loop; at least one
+const defaultPoolSize = () => Math.max(1, os.availableParallelism() - 1);
+
+/**
+ * Worker pool of `size` threads, started as they are first needed.
+ * session({ cfg, logoDataUri, fontPath, backgroundPath }) returns
+ * { render(payload, caption, overrides) → Buffer,
+ *   renderOutputs(payload, caption, { overrides, variants, verify })
+ *     → { buffers, checks }, close() };
+ * `overrides` change the config for one code (e.g. { format: 'png' }),
+ * `variants` is a list of them, one output each. With `verify` each output
+ * is decoded as well and `checks` holds its { error, warning } (see
+ * renderOutputs in lib/render.js). The font and background files must stay
+ * in place until the session is closed.
+ * encodeError(payload, cfg) resolves to the reason `payload` can't be
+ * encoded with `cfg`, or null. stats() gives the pool's counters since startup.
+ * `onWorkerExit(err)` hears about workers that crash or stop.
+ */
+function createRenderPool(size = defaultPoolSize(), { onWorkerExit = () => {} } = {}) {
+    const workers  = []; // { worker, pending: Map id → { resolve, reject, encode }, sessions: Set }
+    const sessions = new Map(); // session id → open message
+    const totals   = { rendered: 0, failed: 0, renderMs: 0, restarts: 0 };
+    let nextId = 1;
+
+    function spawn() {
+        const entry = { worker: new Worker(WORKER_SCRIPT), pending: new Map(), sessions: new Set() };
+        entry.worker.unref(); // an idle pool does not keep the process alive
+        entry.worker.on('message', ({ id, data, checks, ms, error }) => {
+            const task = entry.pending.get(id);
+            if (!task) return;
+            entry.pending.delete(id);
+            if (task.encode) return task.resolve(error);
+            if (error !== undefined) {
+                totals.failed++;
+                return task.reject(new Error(error));
+            }
+            totals.rendered++;
+            totals.renderMs += ms;
+            const buffers = data.map(d => Buffer.from(d.buffer, d.byteOffset, d.byteLength));
+            task.resolve({ buffers, checks });
+        });
+        // A crashed worker fails its codes in flight; the next code starts a new one
+        const fail = (err) => {
+            const i = workers.indexOf(entry);
+            if (i < 0) return;
+            workers.splice(i, 1);
+            totals.restarts++;
+            onWorkerExit(err);
+            for (const task of entry.pending.values()) task.reject(err);
+            entry.pending.clear();
+        };
+        entry.worker.on('error', fail);
+        entry.worker.on('exit', code => fail(new Error(`Render worker stopped (exit code ${code})`)));
+        workers.push(entry);
+        return entry;
+    }
+
+    function pick() {
+        const idle = workers.find(w => w.pending.size === 0);
+        if (idle) return idle;
+        if (workers.length < size) return spawn();
+        return workers.reduce((a, w) => (w.pending.size < a.pending.size ? w : a));
+    }
+
+    function send(entry, msg, encode = false) {
+        const taskId = nextId++;
+        return new Promise((resolve, reject) => {
+            entry.pending.set(taskId, { resolve, reject, encode });
+            entry.worker.postMessage({ ...msg, id: taskId });
+        });
+    }
+
+    function encodeError(payload, cfg) {
+        if (size === 0) {
+            try {
+                encodeSymbol(payload, cfg);
+                return Promise.resolve(null);
+            } catch (err) {
+                return Promise.resolve(err.message);
+            }
+        }
+        return send(pick(), { type: 'encode', payload, cfg }, true);
+    }
+
+    function session({ cfg, logoDataUri = null, fontPath = null, backgroundPath = null }) {
+        const id   = nextId++;
+        const open = { type: 'open', session: id, cfg, logoDataUri, fontPath, backgroundPath };
+
+        // Main-thread fallback: the same rendering, in-process
+        if (size === 0) {
+            const assets = loadAssets(open);
+            assets.catch(() => {}); // reported by each render
+            const timed = async (draw) => {
+                const t0 = Date.now();
+                try {
+                    const out = await draw(await assets);
+                    totals.rendered++;
+                    totals.renderMs += Date.now() - t0;
+                    return out;
+                } catch (err) {
+                    totals.failed++;
+                    throw err;
+                }
+            };
+            const renderAll = (payload, caption, { overrides, variants, verify = false } = {}) => timed(a =>
+                renderOutputs(payload, cfg, variants || [overrides || null], logoDataUri, caption, a, verify));
+            return {
+                render: (payload, caption, overrides) => renderAll(payload, caption, { overrides }).then(r => r.buffers[0]),
+                renderOutputs: renderAll,
+                close() {},
+            };
+        }
+
+        sessions.set(id, open);
+        const post = (task) => {
+            if (!sessions.has(id)) return Promise.reject(new Error('Render session is closed'));
+            const entry = pick();
+            if (!entry.sessions.has(id)) {
+                entry.worker.postMessage(open);
+                entry.sessions.add(id);
+            }
+            return send(entry, { type: 'render', session: id, ...task });
+        };
+        return {
+            render: (payload, caption, overrides) => post({ payload, caption, overrides }).then(r => r.buffers[0]),
+            renderOutputs: (payload, caption, { overrides, variants, verify = false } = {}) =>
+                post({ payload, caption, overrides, variants, verify }),
+            close() {
+                sessions.delete(id);
+                for (const entry of workers) {
+                    if (entry.sessions.delete(id)) entry.worker.postMessage({ type: 'close', session: id });
+                }
+            },
+        };
+    }
+
+    return {
+        size,
+        session,
+        encodeError,
+        stats() {
+            return {
+                threads:     size,
+                running:     workers.length,
+                inFlight:    workers.reduce((n, w) => n + w.pending.size, 0),
+                sessions:    sessions.size,
+                rendered:    totals.rendered,
+                failed:      totals.failed,
+                restarts:    totals.restarts,
+                avgRenderMs: totals.rendered ? Math.round(totals.renderMs / totals.rendered * 10) / 10 : null,
+            };
+        },
+        async close() {
+            await Promise.all(workers.splice(0).map(w => w.worker.terminate()));
+        },
+    };
+}
+
+/**
+ * Throttle for withConcurrency: the reason to hold back ('zip' when more than
+ * `maxBufferedBytes` wait to be zipped, 'memory' when the process RSS is above
+ * `maxRssBytes`) or null. `peaks` records the highest values seen, in MB.
+ */
+function createBackpressure({ bufferedBytes, maxBufferedBytes = Infinity, maxRssBytes = Infinity }) {
+    const peaks = { rssMb: 0, zipBufferMb: 0 };
+    return {
+        peaks,
+        reason() {
+            const buffered = bufferedBytes();
+            const rss      = process.memoryUsage.rss();
+            peaks.zipBufferMb = Math.max(peaks.zipBufferMb, Math.round(buffered / MB * 10) / 10);
+            peaks.rssMb       = Math.max(peaks.rssMb, Math.round(rss / MB * 10) / 10);
+            if (buffered > maxBufferedBytes) return 'zip';
+            if (rss > maxRssBytes) return 'memory';
+            return null;
+        },
+    };
+}
+
+/**
+ * Run `fn` over `items` in order, at most `concurrency` at a time. Before
+ * each start, `throttle()` (optional) may name a reason to wait; the item
+ * then waits for a running one to finish or PAUSE_POLL_MS to pass. With
+ * nothing running the next item always starts, so a batch never stalls.
+ * Stops picking up items once `signal` aborts. Returns how often and how
+ * long the throttle held, { pauses: { reason: count }, pausedMs }, added to
+ * `held` when given so several runs can share one tally.
+ */
+function withConcurrency(items, concurrency, fn, { signal, throttle, held = { pauses: {}, pausedMs: 0 } } = {}) {
+    let next = 0, running = 0, pausedAt = 0, timer = null, settled = false;
+
+    return new Promise((resolve, reject) => {
+        const pump = () => {
+            while (!settled && next < items.length && running < concurrency && !(signal && signal.aborted)) {
+                const reason = running > 0 && throttle ? throttle() : null;
+                if (reason) {
+                    if (!pausedAt) {
+                        pausedAt = Date.now();
+                        held.pauses[reason] = (held.pauses[reason] || 0) + 1;
+                    }
+                    if (!timer) timer = setTimeout(() => { timer = null; pump(); }, PAUSE_POLL_MS);
+                    return;
+                }
+                if (pausedAt) {
+                    held.pausedMs += Date.now() - pausedAt;
+                    pausedAt = 0;
+                }
+                const item = items[next++];
+                running++;
+                Promise.resolve().then(() => fn(item)).then(() => {
+                    running--;
+                    pump();
+                }, (err) => {
+                    clearTimeout(timer);
+                    if (!settled) reject(err);
+                    settled = true;
+                });
+            }
+            if (running === 0 && !settled) {
+                clearTimeout(timer);
+                settled = true;
+                resolve(held);
+            }
+        };
+        pump();
+    });
+}
+
+module.exports = { createRenderPool, createBackpressure, withConcurrency };
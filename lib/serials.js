@@ -0,0 +1,140 @@
+'use strict';
+
+// ─── Serial number generator ──────────────────────────────────────────────────
+// Builds sequential serials from a pattern instead of an uploaded sheet.
+//   {n}       counter            {n:6}  counter zero-padded to 6 digits
+//   {YYYY} {YY} {MM} {DD}        date at generation time (server local)
+//   {hh} {mm} {ss}               time at generation time
+//   {check}   check digit position (default: appended at the end)
+//   {{ }}     literal braces
+// e.g. "INV-{YYYY}{MM}-{n:6}" with start 1 → INV-202410-000001, …
+
+const MAX_SERIALS = parseInt(process.env.SERIAL_MAX_COUNT || '100000');
+
+const pad = (n, w = 2) => String(n).padStart(w, '0');
+
+const DATE_TOKENS = {
+    YYYY: d => String(d.getFullYear()),
+    YY:   d => pad(d.getFullYear() % 100),
+    MM:   d => pad(d.getMonth() + 1),
+    DD:   d => pad(d.getDate()),
+    hh:   d => pad(d.getHours()),
+    mm:   d => pad(d.getMinutes()),
+    ss:   d => pad(d.getSeconds()),
+};
+
+// ── Check digits ──────────────────────────────────────────────────────────────
+// Each takes the serial without its check characters and returns them.
+const CHECK_DIGITS = {
+    // Luhn (mod 10) over the digits; letters and separators are ignored
+    luhn(s) {
+        const digits = s.replace(/\D/g, '');
+        if (!digits) throw new Error('luhn check digits need a serial with digits');
+        let sum = 0;
+        for (let i = digits.length - 1, double = true; i >= 0; i--, double = !double) {
+            let d = Number(digits[i]);
+            if (double) { d *= 2; if (d > 9) d -= 9; }
+            sum += d;
+        }
+        return String((10 - (sum % 10)) % 10);
+    },
+    // ISO 7064 MOD 97-10 (as in IBAN): letters count as 10–35, two digits
+    mod97(s) {
+        const chars = s.toUpperCase().replace(/[^0-9A-Z]/g, '');
+        if (!chars) throw new Error('mod97 check digits need a serial with letters or digits');
+        let rem = 0;
+        for (const ch of `${chars}00`) {
+            const v = parseInt(ch, 36);
+            rem = (v > 9 ? rem * 100 + v : rem * 10 + v) % 97;
+        }
+        return pad(98 - rem);
+    },
+    // ISO 7064 MOD 11-2 (as in ISNI/ORCID): one digit or X
+    mod11(s) {
+        const digits = s.replace(/\D/g, '');
+        if (!digits) throw new Error('mod11 check digits need a serial with digits');
+        let total = 0;
+        for (const ch of digits) total = (total + Number(ch)) * 2;
+        const check = (12 - (total % 11)) % 11;
+        return check === 10 ? 'X' : String(check);
+    },
+};
+
+function parsePattern(pattern) {
+    const parts = []; // literal strings and { token, width } placeholders
+    const re    = /\{\{|\}\}|\{([^{}]+)\}/g;
+    let last = 0, m, counters = 0, checks = 0;
+    while ((m = re.exec(pattern)) !== null) {
+        if (m.index > last) parts.push(pattern.slice(last, m.index));
+        last = re.lastIndex;
+        if (m[0] === '{{' || m[0] === '}}') { parts.push(m[0][0]); continue; }
+
+        const counter = /^n(?::(\d{1,2}))?$/.exec(m[1].trim());
+        if (counter) {
+            parts.push({ token: 'n', width: counter[1] ? Number(counter[1]) : 0 });
+            counters++;
+        } else if (m[1] === 'check') {
+            parts.push({ token: 'check' });
+            checks++;
+        } else if (DATE_TOKENS[m[1]]) {
+            parts.push({ token: m[1] });
+        } else {
+            throw new Error(`serialPattern: unknown token {${m[1]}}. Use {n}, {n:WIDTH}, {check}, ${Object.keys(DATE_TOKENS).map(t => `{${t}}`).join(' ')}`);
+        }
+    }
+    if (last < pattern.length) parts.push(pattern.slice(last));
+    if (counters === 0) throw new Error('serialPattern must contain the counter {n} (or {n:WIDTH})');
+    if (checks > 1) throw new Error('serialPattern may contain {check} only once');
+    return parts;
+}
+
+const toInt = (v, fallback, label) => {
+    if (v === undefined || v === '') return fallback;
+    const n = Number(v);
+    if (!Number.isSafeInteger(n)) throw new Error(`${label} must be a whole number`);
+    return n;
+};
+
+/**
+ * Build the serial list from `opts`: serialPattern (default "{n}"),
+ * serialStart (1), serialStep (1), serialCount (required) and checkDigit
+ * (luhn, mod97 or mod11). Date tokens use `now`. Throws on bad options.
+ */
+function generateSerials(opts, now = new Date()) {
+    const parts = parsePattern(opts.serialPattern ? String(opts.serialPattern) : '{n}');
+    const start = toInt(opts.serialStart, 1, 'serialStart');
+    const step  = toInt(opts.serialStep, 1, 'serialStep');
+    const count = toInt(opts.serialCount, undefined, 'serialCount');
+
+    if (count === undefined) throw new Error('serialCount is required');
+    if (count < 1 || count > MAX_SERIALS) throw new Error(`serialCount must be between 1 and ${MAX_SERIALS}`);
+    if (step === 0 && count > 1) throw new Error('serialStep must not be 0');
+    if (start < 0 || start + step * (count - 1) < 0) throw new Error('The counter must not go below 0');
+
+    const checkName = opts.checkDigit ? String(opts.checkDigit).toLowerCase() : null;
+    const check     = checkName ? CHECK_DIGITS[checkName] : null;
+    if (checkName && !check) throw new Error(`Unknown checkDigit "${opts.checkDigit}". Use one of: ${Object.keys(CHECK_DIGITS).join(', ')}`);
+
+    const dates  = {};
+    for (const [token, fmt] of Object.entries(DATE_TOKENS)) dates[token] = fmt(now);
+
+    const serials = new Array(count);
+    for (let i = 0; i < count; i++) {
+        const n = start + i * step;
+        let before = '', after = '', seenCheck = false;
+        for (const part of parts) {
+            let text;
+            if (typeof part === 'string') text = part;
+            else if (part.token === 'n') text = String(n).padStart(part.width, '0');
+            else if (part.token === 'check') { seenCheck = true; continue; }
+            else text = dates[part.token];
+            if (seenCheck) after += text; else before += text;
+        }
+        // The check digit covers the whole serial apart from itself
+        const digit = check ? check(before + after) : '';
+        serials[i] = seenCheck ? before + digit + after : before + after + digit;
+    }
+    return serials;
+}
+
+module.exports = { CHECK_DIGITS, generateSerials };
@@ -0,0 +1,151 @@
+'use strict';
+
+// ─── Label sheet layout ───────────────────────────────────────────────────────
+// Places rendered code SVGs into a rows × columns grid on physical pages.
+// All geometry is in millimetres; pages are composed as one SVG each, which
+// is drawn into the PDF (svg-to-pdfkit) and optionally rasterized by sharp.
+
+const PDFDocument = require('pdfkit');
+const SVGtoPDF    = require('svg-to-pdfkit');
+const { MM_TO_PT, escapeXml } = require('./vector');
+
+const PAGE_SIZES = {
+    a3:     [297, 420],
+    a4:     [210, 297],
+    a5:     [148, 210],
+    letter: [215.9, 279.4],
+    legal:  [215.9, 355.6],
+};
+
+// Common Avery sheets (label size, grid, pitch and top-left offset in mm)
+const SHEET_PRESETS = {
+    'avery-l7160': { pageSize: 'a4',     columns: 3, rows: 7,  cellWidthMm: 63.5,   cellHeightMm: 38.1, gutterXMm: 2.5,   gutterYMm: 0, marginTopMm: 15.15, marginLeftMm: 7.25 },
+    'avery-l7163': { pageSize: 'a4',     columns: 2, rows: 7,  cellWidthMm: 99.1,   cellHeightMm: 38.1, gutterXMm: 2.5,   gutterYMm: 0, marginTopMm: 15.15, marginLeftMm: 4.65 },
+    'avery-l7651': { pageSize: 'a4',     columns: 5, rows: 13, cellWidthMm: 38.1,   cellHeightMm: 21.2, gutterXMm: 2.5,   gutterYMm: 0, marginTopMm: 10.7,  marginLeftMm: 4.75 },
+    'avery-5160':  { pageSize: 'letter', columns: 3, rows: 10, cellWidthMm: 66.675, cellHeightMm: 25.4, gutterXMm: 3.175, gutterYMm: 0, marginTopMm: 12.7,  marginLeftMm: 4.7625 },
+    'avery-5163':  { pageSize: 'letter', columns: 2, rows: 5,  cellWidthMm: 101.6,  cellHeightMm: 50.8, gutterXMm: 3.969, gutterYMm: 0, marginTopMm: 12.7,  marginLeftMm: 3.969 },
+    'avery-5167':  { pageSize: 'letter', columns: 4, rows: 20, cellWidthMm: 44.45,  cellHeightMm: 12.7, gutterXMm: 7.938, gutterYMm: 0, marginTopMm: 12.7,  marginLeftMm: 7.62 },
+};
+
+const CROP_MARK_LENGTH = 4;   // mm
+const CROP_MARK_OFFSET = 1.5; // mm gap between the trim/bleed edge and the mark
+
+const toNum = (v, fallback) => (v === undefined || v === '' ? fallback : parseFloat(v));
+
+/**
+ * Resolve page geometry from a preset plus per-request overrides.
+ * Throws an Error describing the problem when the grid does not fit.
+ */
+function resolveSheetLayout(cfg) {
+    let base = {};
+    if (cfg.sheetPreset) {
+        base = SHEET_PRESETS[String(cfg.sheetPreset).toLowerCase()];
+        if (!base) throw new Error(`Unknown sheetPreset "${cfg.sheetPreset}". Use one of: ${Object.keys(SHEET_PRESETS).join(', ')}`);
+    }
+    const opt = key => (cfg[key] !== undefined && cfg[key] !== '' ? cfg[key] : base[key]);
+
+    const sizeName = String(opt('pageSize') || 'a4').toLowerCase();
+    let page = PAGE_SIZES[sizeName];
+    if (!page) {
+        const m = /^(\d+(?:\.\d+)?)x(\d+(?:\.\d+)?)$/.exec(sizeName);
+        if (!m) throw new Error(`Unknown pageSize "${sizeName}". Use ${Object.keys(PAGE_SIZES).join(', ')} or WIDTHxHEIGHT in mm`);
+        page = [parseFloat(m[1]), parseFloat(m[2])];
+    }
+    let [pageW, pageH] = page;
+    if (cfg.orientation === 'landscape' && pageW < pageH) [pageW, pageH] = [pageH, pageW];
+
+    const columns = parseInt(opt('columns') || 3);
+    const rows    = parseInt(opt('rows') || 8);
+    const gutterX = toNum(opt('gutterXMm'), 0);
+    const gutterY = toNum(opt('gutterYMm'), 0);
+    const bleed   = toNum(cfg.bleedMm, 0);
+    if (!(columns > 0 && rows > 0)) throw new Error('columns and rows must be positive integers');
+
+    const cropMarks = cfg.cropMarks === 'true' || cfg.cropMarks === true;
+    // Crop marks need room outside the grid; keep it clear by default
+    const markSpace = cropMarks ? bleed + CROP_MARK_OFFSET + CROP_MARK_LENGTH : 0;
+
+    // Without an explicit cell size, divide the printable area evenly
+    const defaultMargin = Math.max(10, markSpace);
+    const cellW = toNum(opt('cellWidthMm'), (pageW - 2 * defaultMargin - (columns - 1) * gutterX) / columns);
+    const cellH = toNum(opt('cellHeightMm'), (pageH - 2 * defaultMargin - (rows - 1) * gutterY) / rows);
+    const gridW = columns * cellW + (columns - 1) * gutterX;
+    const gridH = rows * cellH + (rows - 1) * gutterY;
+
+    const marginLeft = toNum(opt('marginLeftMm'), (pageW - gridW) / 2);
+    const marginTop  = toNum(opt('marginTopMm'), (pageH - gridH) / 2);
+
+    if (!(cellW > 0 && cellH > 0)) throw new Error('Label cells have no room on the page');
+    if (marginLeft < 0 || marginTop < 0 || marginLeft + gridW > pageW + 0.01 || marginTop + gridH > pageH + 0.01)
+        throw new Error(`A ${columns}×${rows} grid of ${cellW.toFixed(1)}×${cellH.toFixed(1)} mm cells does not fit on a ${pageW}×${pageH} mm page`);
+
+    return {
+        pageW, pageH, columns, rows, cellW, cellH, gutterX, gutterY, marginLeft, marginTop, bleed, cropMarks,
+        padding: toNum(cfg.cellPaddingMm, 1.5),
+        perPage: columns * rows,
+    };
+}
+
+// Re-root a code SVG as a nested <svg> filling the given box (aspect kept)
+function nestSvg(svg, x, y, w, h) {
+    return svg.replace(/^<svg([^>]*?)\swidth="[^"]*"\sheight="[^"]*"/,
+        `<svg$1 x="${x}" y="${y}" width="${w}" height="${h}" preserveAspectRatio="xMidYMid meet"`);
+}
+
+/**
+ * Compose one page. `cells` holds the code SVG for each slot in reading
+ * order (null for empty slots); `background` fills each cell plus bleed.
+ */
+function buildSheetPageSvg(layout, cells, background) {
+    const L   = layout;
+    const out = [];
+    const xs  = new Set(), ys = new Set();
+
+    cells.forEach((svg, i) => {
+        if (!svg) return;
+        const col = i % L.columns, row = Math.floor(i / L.columns);
+        const x = L.marginLeft + col * (L.cellW + L.gutterX);
+        const y = L.marginTop + row * (L.cellH + L.gutterY);
+        xs.add(x.toFixed(3)); xs.add((x + L.cellW).toFixed(3));
+        ys.add(y.toFixed(3)); ys.add((y + L.cellH).toFixed(3));
+
+        if (background && background !== 'transparent')
+            out.push(`<rect x="${x - L.bleed}" y="${y - L.bleed}" width="${L.cellW + 2 * L.bleed}" height="${L.cellH + 2 * L.bleed}" fill="${escapeXml(background)}"/>`);
+        const p = L.padding;
+        out.push(nestSvg(svg, x + p, y + p, Math.max(0, L.cellW - 2 * p), Math.max(0, L.cellH - 2 * p)));
+    });
+
+    // Marks sit outside the used grid, one per distinct trim line
+    if (L.cropMarks && xs.size > 0) {
+        const xsN = [...xs].map(Number), ysN = [...ys].map(Number);
+        const top = Math.min(...ysN), bottom = Math.max(...ysN);
+        const left = Math.min(...xsN), right = Math.max(...xsN);
+        const gap = L.bleed + CROP_MARK_OFFSET, len = CROP_MARK_LENGTH;
+        const line = (x1, y1, x2, y2) => `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="#000000" stroke-width="0.1"/>`;
+        for (const x of xsN) {
+            out.push(line(x, top - gap - len, x, top - gap));
+            out.push(line(x, bottom + gap, x, bottom + gap + len));
+        }
+        for (const y of ysN) {
+            out.push(line(left - gap - len, y, left - gap, y));
+            out.push(line(right + gap, y, right + gap + len, y));
+        }
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${L.pageW}mm" height="${L.pageH}mm" viewBox="0 0 ${L.pageW} ${L.pageH}">${out.join('')}</svg>`;
+}
+
+function createSheetPdf(layout, title) {
+    return new PDFDocument({
+        size: [layout.pageW * MM_TO_PT, layout.pageH * MM_TO_PT], margin: 0, autoFirstPage: false,
+        info: { Title: title || 'QR Labels', Producer: 'QR Code Generator' },
+    });
+}
+
+function addSheetPdfPage(doc, layout, pageSvg) {
+    const w = layout.pageW * MM_TO_PT, h = layout.pageH * MM_TO_PT;
+    doc.addPage({ size: [w, h], margin: 0 });
+    SVGtoPDF(doc, pageSvg, 0, 0, { width: w, height: h, preserveAspectRatio: 'none' });
+}
+
+module.exports = { SHEET_PRESETS, PAGE_SIZES, resolveSheetLayout, buildSheetPageSvg, createSheetPdf, addSheetPdfPage };
@@ -0,0 +1,228 @@
+'use strict';
+
+// ─── Module and eye styles ────────────────────────────────────────────────────
+// Draws the dark parts of a symbol (see lib/symbologies.js) as SVG for the
+// vector / styled path of generateQRBuffer. Each colour goes out as a single
+// <path>, so PDF/EPS stay small and connected styles have no seams between
+// neighbouring modules.
+//
+//   moduleStyle   square, rounded, dots, classy, diamond, star,
+//                 horizontal-bars, vertical-bars, liquid
+//   eyeStyle      square, rounded, circle        (finder frame, and the
+//   eyeBallStyle  square, rounded, circle, diamond  centre unless set)
+//   eyeFrameColor / eyeBallColor   default: the module fill
+//   gradient      linear | radial from colorDark to gradientColor;
+//                 gradientAngle in degrees for linear (0 = left → right)
+
+const crypto = require('crypto');
+
+const { escapeXml } = require('./vector');
+
+const MODULE_STYLES   = ['square', 'rounded', 'dots', 'classy', 'diamond', 'star', 'horizontal-bars', 'vertical-bars', 'liquid'];
+const EYE_STYLES      = ['square', 'rounded', 'circle'];
+const EYE_BALL_STYLES = ['square', 'rounded', 'circle', 'diamond'];
+const GRADIENTS       = ['none', 'linear', 'radial'];
+const HEX_RE          = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+/**
+ * Validate and normalise the style fields of a render config, checking
+ * colorDark/colorLight on the way. Throws with a message naming the bad
+ * field. `plain` marks the classic look that the raster fast path can draw
+ * without SVG.
+ */
+function resolveStyle(cfg) {
+    const given = key => cfg[key] !== undefined && cfg[key] !== '';
+    const pick  = (key, allowed, fallback) => {
+        const value = given(key) ? String(cfg[key]) : fallback;
+        if (!allowed.includes(value)) throw new Error(`Unknown ${key} "${value}". Use one of: ${allowed.join(', ')}`);
+        return value;
+    };
+    const color = (key, orTransparent = false) => {
+        if (!given(key)) return null;
+        const value = String(cfg[key]).trim();
+        if (orTransparent && value === 'transparent') return value;
+        if (!HEX_RE.test(value))
+            throw new Error(`${key} "${cfg[key]}" is not a hex colour (#rgb, #rrggbb or #rrggbbaa)${orTransparent ? ', or "transparent"' : ''}`);
+        return value;
+    };
+
+    color('colorDark');
+    color('colorLight', true);
+
+    const moduleStyle  = pick('moduleStyle', MODULE_STYLES, 'square');
+    const eyeStyle     = pick('eyeStyle', EYE_STYLES, 'square');
+    const eyeBallStyle = pick('eyeBallStyle', EYE_BALL_STYLES, eyeStyle);
+    const gradient     = pick('gradient', GRADIENTS, 'none');
+
+    let gradientColor = null, gradientAngle = 0;
+    if (gradient !== 'none') {
+        gradientColor = color('gradientColor');
+        if (!gradientColor) throw new Error(`gradient=${gradient} needs a gradientColor to blend colorDark into`);
+        gradientAngle = given('gradientAngle') ? parseFloat(cfg.gradientAngle) : 0;
+        if (!Number.isFinite(gradientAngle)) throw new Error('gradientAngle must be a number of degrees');
+    }
+    const eyeFrameColor = color('eyeFrameColor');
+    const eyeBallColor  = color('eyeBallColor');
+
+    return {
+        moduleStyle, eyeStyle, eyeBallStyle, gradient, gradientColor, gradientAngle, eyeFrameColor, eyeBallColor,
+        plain: moduleStyle === 'square' && eyeStyle === 'square' && eyeBallStyle === 'square' &&
+            gradient === 'none' && !eyeFrameColor && !eyeBallColor,
+    };
+}
+
+// ── Path builders (module units, y down, clockwise) ───────────────────────────
+const n = v => String(Math.round(v * 1000) / 1000);
+
+// Rectangle with its own radius per corner: [topLeft, topRight, bottomRight, bottomLeft]
+function roundedRect(x, y, w, h, [tl, tr, br, bl]) {
+    const arc = (r, dx, dy) => (r ? `a${n(r)} ${n(r)} 0 0 1 ${n(dx)} ${n(dy)}` : '');
+    return `M${n(x + tl)} ${n(y)}h${n(w - tl - tr)}${arc(tr, tr, tr)}v${n(h - tr - br)}${arc(br, -br, br)}` +
+        `h${n(-(w - br - bl))}${arc(bl, -bl, -bl)}v${n(-(h - bl - tl))}${arc(tl, tl, -tl)}z`;
+}
+
+const circle  = (cx, cy, r) => `M${n(cx - r)} ${n(cy)}a${n(r)} ${n(r)} 0 1 1 ${n(2 * r)} 0a${n(r)} ${n(r)} 0 1 1 ${n(-2 * r)} 0z`;
+const diamond = (cx, cy, r) => `M${n(cx)} ${n(cy - r)}L${n(cx + r)} ${n(cy)}L${n(cx)} ${n(cy + r)}L${n(cx - r)} ${n(cy)}z`;
+
+function star(cx, cy, outer, inner) {
+    let d = '';
+    for (let i = 0; i < 10; i++) {
+        const r = i % 2 ? inner : outer;
+        const a = -Math.PI / 2 + i * Math.PI / 5;
+        d += `${i ? 'L' : 'M'}${n(cx + r * Math.cos(a))} ${n(cy + r * Math.sin(a))}`;
+    }
+    return `${d}z`;
+}
+
+// Finder frame (7×7 ring) and ball (3×3) at the eye's top-left corner
+const EYE_FRAMES = {
+    square:  (x, y) => roundedRect(x, y, 7, 7, [0, 0, 0, 0]) + roundedRect(x + 1, y + 1, 5, 5, [0, 0, 0, 0]),
+    rounded: (x, y) => roundedRect(x, y, 7, 7, [2, 2, 2, 2]) + roundedRect(x + 1, y + 1, 5, 5, [1, 1, 1, 1]),
+    circle:  (x, y) => circle(x + 3.5, y + 3.5, 3.5) + circle(x + 3.5, y + 3.5, 2.5),
+};
+const EYE_BALLS = {
+    square:  (x, y) => roundedRect(x + 2, y + 2, 3, 3, [0, 0, 0, 0]),
+    rounded: (x, y) => roundedRect(x + 2, y + 2, 3, 3, [0.5, 0.5, 0.5, 0.5]),
+    circle:  (x, y) => circle(x + 3.5, y + 3.5, 1.5),
+    diamond: (x, y) => diamond(x + 3.5, y + 3.5, 1.5),
+};
+
+// Data modules of one style as path data. `dark(r, c)` is false outside the
+// symbol and on the finder patterns, which are drawn separately.
+function modulePath(style, rows, cols, dark, ox, oy) {
+    const d = [];
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            const x = c + ox, y = r + oy;
+            if (!dark(r, c)) {
+                // liquid: fill the concave corner where two dark neighbours meet
+                if (style !== 'liquid') continue;
+                const up = dark(r - 1, c), down = dark(r + 1, c), left = dark(r, c - 1), right = dark(r, c + 1);
+                if (up && left)    d.push(`M${x} ${y}h0.5a0.5 0.5 0 0 0 -0.5 0.5z`);
+                if (up && right)   d.push(`M${x + 1} ${y}v0.5a0.5 0.5 0 0 0 -0.5 -0.5z`);
+                if (down && right) d.push(`M${x + 1} ${y + 1}h-0.5a0.5 0.5 0 0 0 0.5 -0.5z`);
+                if (down && left)  d.push(`M${x} ${y + 1}v-0.5a0.5 0.5 0 0 0 0.5 0.5z`);
+                continue;
+            }
+            switch (style) {
+                case 'rounded': d.push(roundedRect(x + 0.1, y + 0.1, 0.8, 0.8, [0.2, 0.2, 0.2, 0.2])); break;
+                case 'dots':    d.push(circle(x + 0.5, y + 0.5, 0.4)); break;
+                case 'diamond': d.push(diamond(x + 0.5, y + 0.5, 0.5)); break;
+                case 'star':    d.push(star(x + 0.5, y + 0.5, 0.5, 0.23)); break;
+                case 'classy': {
+                    // Leaf shape: round the outer corners that have no neighbour
+                    const tl = !dark(r - 1, c) && !dark(r, c - 1) ? 0.5 : 0;
+                    const br = !dark(r + 1, c) && !dark(r, c + 1) ? 0.5 : 0;
+                    d.push(roundedRect(x, y, 1, 1, [tl, 0, br, 0]));
+                    break;
+                }
+                case 'liquid': {
+                    const up = dark(r - 1, c), down = dark(r + 1, c), left = dark(r, c - 1), right = dark(r, c + 1);
+                    const round = (a, b) => (!a && !b ? 0.5 : 0);
+                    d.push(roundedRect(x, y, 1, 1, [round(up, left), round(up, right), round(down, right), round(down, left)]));
+                    break;
+                }
+                case 'horizontal-bars': {
+                    let len = 1;
+                    while (dark(r, c + len)) len++;
+                    d.push(roundedRect(x, y + 0.1, len, 0.8, [0.4, 0.4, 0.4, 0.4]));
+                    c += len - 1;
+                    break;
+                }
+                case 'vertical-bars':
+                    // Only the top module of each vertical run starts a bar
+                    if (dark(r - 1, c)) break;
+                    {
+                        let len = 1;
+                        while (dark(r + len, c)) len++;
+                        d.push(roundedRect(x + 0.1, y, 0.8, len, [0.4, 0.4, 0.4, 0.4]));
+                    }
+                    break;
+                default: {
+                    // square: horizontal runs keep the path short
+                    let len = 1;
+                    while (dark(r, c + len)) len++;
+                    d.push(`M${x} ${y}h${len}v1h-${len}z`);
+                    c += len - 1;
+                }
+            }
+        }
+    }
+    return d.join('');
+}
+
+// Gradient spanning a box, from `from` to `to`; the id is derived from its
+// definition so codes nested on one label sheet never pick up each other's
+// coordinates. Also used for frame backgrounds (lib/frames.js).
+function gradientDef(kind, from, to, angle, x, y, w, h) {
+    const cx = x + w / 2, cy = y + h / 2;
+    const stops = `<stop offset="0" stop-color="${escapeXml(from)}"/><stop offset="1" stop-color="${escapeXml(to)}"/>`;
+    let attrs;
+    if (kind === 'radial') {
+        attrs = `cx="${n(cx)}" cy="${n(cy)}" r="${n(Math.hypot(w, h) / 2)}"`;
+    } else {
+        const a   = angle * Math.PI / 180;
+        const cos = Math.cos(a), sin = Math.sin(a);
+        const len = (w / 2) * Math.abs(cos) + (h / 2) * Math.abs(sin); // reaches the far corners
+        attrs = `x1="${n(cx - cos * len)}" y1="${n(cy - sin * len)}" x2="${n(cx + cos * len)}" y2="${n(cy + sin * len)}"`;
+    }
+    const tag = kind === 'radial' ? 'radialGradient' : 'linearGradient';
+    const id  = `qrg-${crypto.createHash('sha1').update(`${tag}${attrs}${stops}`).digest('hex').slice(0, 10)}`;
+    return { id, def: `<${tag} id="${id}" gradientUnits="userSpaceOnUse" ${attrs}>${stops}</${tag}>` };
+}
+
+/**
+ * SVG markup for the dark parts of `symbol` (from encodeSymbol in
+ * lib/symbologies.js) drawn at module offset (ox, oy). Returns { defs, body }:
+ * gradient definitions for a <defs> block and the shapes themselves.
+ * The bars of linear codes are always drawn square.
+ */
+function renderSymbol(symbol, style, colorDark, ox, oy) {
+    const { rows, cols, eyes } = symbol;
+    const isFinder = (r, c) => eyes.some(([er, ec]) => r >= er && r < er + 7 && c >= ec && c < ec + 7);
+    const dark     = (r, c) => r >= 0 && c >= 0 && r < rows && c < cols && !isFinder(r, c) && symbol.get(r, c);
+
+    let fill = colorDark, defs = '';
+    if (style.gradient !== 'none') {
+        const { id, def } = gradientDef(style.gradient, colorDark, style.gradientColor, style.gradientAngle, ox, oy, cols, rows);
+        fill = `url(#${id})`;
+        defs = def;
+    }
+    if (symbol.bars) {
+        const bars = symbol.bars.map(([x, w]) => `M${x + ox} ${oy}h${w}v${rows}h-${w}z`).join('');
+        return { defs, body: `<path d="${bars}" fill="${escapeXml(fill)}"/>` };
+    }
+    const smooth = shape => (shape === 'square' ? '' : ' shape-rendering="geometricPrecision"');
+
+    const frames = eyes.map(([r, c]) => EYE_FRAMES[style.eyeStyle](c + ox, r + oy)).join('');
+    const balls  = eyes.map(([r, c]) => EYE_BALLS[style.eyeBallStyle](c + ox, r + oy)).join('');
+    const data   = modulePath(style.moduleStyle, rows, cols, dark, ox, oy);
+
+    const body =
+        (frames ? `<path d="${frames}" fill="${escapeXml(style.eyeFrameColor || fill)}" fill-rule="evenodd"${smooth(style.eyeStyle)}/>` : '') +
+        (balls ? `<path d="${balls}" fill="${escapeXml(style.eyeBallColor || fill)}"${smooth(style.eyeBallStyle)}/>` : '') +
+        (data ? `<path d="${data}" fill="${escapeXml(fill)}"${smooth(style.moduleStyle)}/>` : '');
+    return { defs, body };
+}
+
+module.exports = { MODULE_STYLES, EYE_STYLES, EYE_BALL_STYLES, resolveStyle, renderSymbol, roundedRect, gradientDef };
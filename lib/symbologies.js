@@ -0,0 +1,159 @@
+'use strict';
+
+// ─── Symbologies ──────────────────────────────────────────────────────────────
+// What `symbology` turns a payload into. QR codes come from the qrcode package
+// by way of lib/qrencode.js; the others are encoded by bwip-js and handed back
+// in the same shape, so colours, margins, module styles, captions and frames
+// apply alike.
+//
+//   qr          QR Code (default)            errorCorrectionLevel L M Q H,
+//                                            qrVersion / qrMask / qrMode / qrEci
+//   microqr     Micro QR, M1–M4              errorCorrectionLevel L M Q
+//   datamatrix  Data Matrix ECC200, square
+//   aztec       Aztec Code                   L M Q H → 10/23/36/50 % check words
+//   code128     Code 128, Latin-1 text
+//   ean13       EAN-13: 12 digits, or 13 ending in a correct check digit
+//   upca        UPC-A: 11 digits, or 12 ending in a correct check digit
+//
+// Linear codes are a row of bars; `rows` is their default height in modules
+// and barHeight (pixels, or `unit`) overrides it in generateQRBuffer.
+
+const bwipjs = require('bwip-js');
+const { resolveQrEncoding, createQR } = require('./qrencode');
+
+/**
+ * Per symbology: display name, the quiet zone its specification asks for
+ * and the margin used when none is given (modules), and which
+ * errorCorrectionLevel values it takes (null: fixed by the symbology).
+ */
+const SYMBOLOGIES = {
+    qr:         { label: 'QR Code',     quietZone: 4,  margin: { x: 2, y: 2 },  ecLevels: ['L', 'M', 'Q', 'H'] },
+    microqr:    { label: 'Micro QR',    quietZone: 2,  margin: { x: 2, y: 2 },  ecLevels: ['L', 'M', 'Q'] },
+    datamatrix: { label: 'Data Matrix', quietZone: 1,  margin: { x: 2, y: 2 },  ecLevels: null },
+    aztec:      { label: 'Aztec',       quietZone: 0,  margin: { x: 2, y: 2 },  ecLevels: ['L', 'M', 'Q', 'H'] },
+    code128:    { label: 'Code 128',    quietZone: 10, margin: { x: 10, y: 2 }, ecLevels: null, linear: true },
+    ean13:      { label: 'EAN-13',      quietZone: 11, margin: { x: 11, y: 2 }, ecLevels: null, linear: true },
+    upca:       { label: 'UPC-A',       quietZone: 9,  margin: { x: 9, y: 2 },  ecLevels: null, linear: true },
+};
+
+const BWIP_IDS      = { microqr: 'microqrcode', datamatrix: 'datamatrix', aztec: 'azteccode', code128: 'code128', ean13: 'ean13', upca: 'upca' };
+const AZTEC_PERCENT = { L: 10, M: 23, Q: 36, H: 50 };
+const EC_ALIASES    = { LOW: 'L', MEDIUM: 'M', QUARTILE: 'Q', HIGH: 'H' }; // as qrcode takes them
+
+// Name of the symbology a render config asks for; throws on unknown ones
+function resolveSymbology(cfg) {
+    const name = cfg.symbology === undefined || cfg.symbology === '' ? 'qr' : String(cfg.symbology).toLowerCase();
+    if (!SYMBOLOGIES[name]) throw new Error(`Unknown symbology "${cfg.symbology}". Use one of: ${Object.keys(SYMBOLOGIES).join(', ')}`);
+    return name;
+}
+
+// Quiet zone in modules: marginX / marginY, else margin, else the symbology's default
+function symbolMargins(cfg, symbology = resolveSymbology(cfg)) {
+    const given = v => v !== undefined && v !== '';
+    const base  = SYMBOLOGIES[symbology].margin;
+    return {
+        x: parseInt(given(cfg.marginX) ? cfg.marginX : given(cfg.margin) ? cfg.margin : base.x),
+        y: parseInt(given(cfg.marginY) ? cfg.marginY : given(cfg.margin) ? cfg.margin : base.y),
+    };
+}
+
+// barHeight of linear codes (pixels, or `unit`), or null for the default
+function resolveBarHeight(cfg) {
+    if (cfg.barHeight === undefined || cfg.barHeight === '') return null;
+    const v = parseFloat(cfg.barHeight);
+    if (!(v > 0)) throw new Error('barHeight must be a positive size');
+    return v;
+}
+
+// GS1 mod-10 check digit over the digits before it
+function gs1CheckDigit(digits) {
+    let sum = 0;
+    for (let i = digits.length - 1, w = 3; i >= 0; i--, w = 4 - w) sum += Number(digits[i]) * w;
+    return String((10 - (sum % 10)) % 10);
+}
+
+// EAN-13 / UPC-A value with its check digit, appended when left off
+function withCheckDigit(value, length, label) {
+    if (!/^\d+$/.test(value) || (value.length !== length - 1 && value.length !== length))
+        throw new Error(`${label} needs ${length - 1} digits, or ${length} including the check digit`);
+    const check = gs1CheckDigit(value.slice(0, length - 1));
+    if (value.length === length && value[length - 1] !== check)
+        throw new Error(`${label} check digit should be ${check}, not ${value[length - 1]}`);
+    return value.slice(0, length - 1) + check;
+}
+
+/**
+ * Encode `value` in the configured symbology. Returns { symbology, cols,
+ * rows, get(r, c), eyes, bars, version }: `eyes` are the top-left corners of
+ * 7×7 QR finder patterns (drawn with eyeStyle), `bars` the [x, width] runs of
+ * a linear code. Throws when the value cannot be encoded.
+ */
+function encodeSymbol(value, cfg) {
+    const symbology = resolveSymbology(cfg);
+    const info      = SYMBOLOGIES[symbology];
+    const upper     = String(cfg.errorCorrectionLevel || 'M').toUpperCase();
+    const level     = EC_ALIASES[upper] || upper;
+    if (info.ecLevels && !info.ecLevels.includes(level))
+        throw new Error(`${info.label} takes errorCorrectionLevel ${info.ecLevels.join(', ')}`);
+    resolveQrEncoding(cfg, symbology);
+
+    if (symbology === 'qr') {
+        const qr   = createQR(value, cfg, level);
+        const size = qr.modules.size;
+        return {
+            symbology, cols: size, rows: size, version: qr.version,
+            get: (r, c) => qr.modules.get(r, c),
+            eyes: [[0, 0], [0, size - 7], [size - 7, 0]],
+            bars: null,
+        };
+    }
+
+    const opts = { bcid: BWIP_IDS[symbology] };
+    if (symbology === 'ean13')      opts.text = withCheckDigit(value, 13, 'EAN-13');
+    else if (symbology === 'upca')  opts.text = withCheckDigit(value, 12, 'UPC-A');
+    else if (info.linear) {
+        // Code 128 reaches Latin-1 through FNC4; bwip-js takes it as-is
+        if (/[^\x00-\xff]/.test(value)) throw new Error('Code 128 can only carry Latin-1 characters');
+        if (!value) throw new Error('Code 128 needs at least one character');
+        opts.text = value;
+    } else {
+        // 2D symbols carry bytes: send UTF-8, as the qrcode package does
+        opts.text = Buffer.from(value, 'utf8').toString('latin1');
+        opts.binarytext = true;
+        if (symbology === 'microqr') opts.eclevel = level;
+        if (symbology === 'aztec') opts.eclevel = AZTEC_PERCENT[level];
+    }
+
+    let raw;
+    try {
+        raw = bwipjs.raw(opts)[0];
+    } catch (err) {
+        // bwip-js messages start with an internal code: "bwipp.name#123: text"
+        throw new Error(`${info.label}: ${String(err.message || err).replace(/^bwipp\.\w+#\d+:\s*/, '')}`);
+    }
+
+    if (info.linear) {
+        const bars = [];
+        let x = 0;
+        raw.sbs.forEach((w, i) => {
+            if (i % 2 === 0) bars.push([x, w]); // bar, space, bar, …
+            x += w;
+        });
+        const dark = new Uint8Array(x);
+        for (const [bx, w] of bars) dark.fill(1, bx, bx + w);
+        return {
+            symbology, cols: x,
+            rows: symbology === 'code128' ? Math.max(20, Math.round(x * 0.25)) : 69, // GS1: 22.85 mm at 0.33 mm modules
+            get: (r, c) => dark[c],
+            eyes: [], bars, version: null,
+        };
+    }
+    return {
+        symbology, cols: raw.pixx, rows: raw.pixy, version: `${raw.pixy}x${raw.pixx}`,
+        get: (r, c) => raw.pixs[r * raw.pixx + c],
+        eyes: symbology === 'microqr' ? [[0, 0]] : [],
+        bars: null,
+    };
+}
+
+module.exports = { SYMBOLOGIES, resolveSymbology, symbolMargins, resolveBarHeight, encodeSymbol, gs1CheckDigit };
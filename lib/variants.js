@@ -0,0 +1,104 @@
+'use strict';
+
+// ─── Output variants ──────────────────────────────────────────────────────────
+// One batch, several deliverables: `variants` lists outputs of the same codes,
+// each written into its own folder of the ZIP, e.g.
+//
+//   [{ "name": "web",   "format": "png",  "width": 600, "colorLight": "transparent" },
+//    { "name": "print", "format": "jpeg", "width": 1800, "colorLight": "#ffffff" }]
+//
+// A variant may set VARIANT_FIELDS; everything else (style, logo, caption,
+// frame…) is the batch's. The sheet is parsed and each symbol encoded once,
+// then drawn once per variant. `name` is the folder, by default the format.
+
+const { lintDesign } = require('./design');
+const { FORMAT_EXT, resolveSizing } = require('./render');
+const { safePathSegment } = require('./zip');
+
+const MAX_VARIANTS   = 8;
+const VARIANT_FIELDS = ['format', 'width', 'colorDark', 'colorLight', 'unit', 'dpi', 'printWidthMm'];
+
+// Lint findings that depend on what a variant may change
+const COLOR_ISSUES = new Set(['invalid-color', 'low-contrast', 'inverted-colors', 'busy-background']);
+
+/**
+ * The variants a render config asks for, or null without `variants`.
+ * Each is { name, format, ext, overrides } where `overrides` is laid over
+ * the config to draw it. Throws on unknown fields, bad values or two
+ * variants sharing a folder.
+ */
+function resolveVariants(cfg) {
+    if (cfg.variants === undefined || cfg.variants === null || cfg.variants === '') return null;
+    let list = cfg.variants;
+    if (typeof list === 'string') {
+        try { list = JSON.parse(list); } catch (_) { throw new Error('variants must be a JSON array of outputs'); }
+    }
+    if (!Array.isArray(list) || list.length === 0) throw new Error('variants must be a JSON array of outputs');
+    if (list.length > MAX_VARIANTS) throw new Error(`A batch can have at most ${MAX_VARIANTS} variants`);
+
+    const folders = new Map(); // lower-cased name → variant number
+    return list.map((entry, i) => {
+        const n = i + 1;
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) throw new Error(`Variant ${n} must be an object`);
+        const { name, ...fields } = entry;
+        const unknown = Object.keys(fields).find(k => !VARIANT_FIELDS.includes(k));
+        if (unknown) throw new Error(`Variant ${n}: "${unknown}" cannot vary per output. Use: name, ${VARIANT_FIELDS.join(', ')}`);
+
+        const overrides = {};
+        for (const [key, value] of Object.entries(fields)) {
+            if (value === undefined || value === null || value === '') continue;
+            if (!['string', 'number'].includes(typeof value)) throw new Error(`Variant ${n}: ${key} must be a string or number`);
+            overrides[key] = value;
+        }
+        const merged = { ...cfg, ...overrides };
+        const format = merged.format || 'jpeg';
+        if (!FORMAT_EXT[format]) throw new Error(`Variant ${n}: unknown format "${format}". Use one of: ${Object.keys(FORMAT_EXT).join(', ')}`);
+        overrides.format = format;
+        if (merged.width !== undefined && merged.width !== '' && !(parseFloat(merged.width) > 0))
+            throw new Error(`Variant ${n}: width must be a positive number`);
+        try {
+            resolveSizing(merged);
+        } catch (err) {
+            throw new Error(`Variant ${n}: ${err.message}`);
+        }
+
+        const folder = safePathSegment(name === undefined || name === null || name === '' ? format : name, `variant-${n}`);
+        const key    = folder.toLowerCase();
+        if (folders.has(key))
+            throw new Error(`Variants ${folders.get(key)} and ${n} would share the folder "${folder}"; give them different names`);
+        folders.set(key, n);
+        return { name: folder, format, ext: FORMAT_EXT[format], overrides };
+    });
+}
+
+// "web (png, 600px), print (pdf, 40mm)" for report.txt and logs
+function describeVariants(variants, cfg) {
+    return variants.map((v) => {
+        const merged = { ...cfg, ...v.overrides };
+        const unit   = merged.unit && merged.unit !== 'px' ? merged.unit : 'px';
+        return `${v.name} (${v.format}${merged.width ? `, ${merged.width}${unit}` : ''})`;
+    }).join(', ');
+}
+
+/**
+ * Add the colour findings of each variant to `design` (a lintDesign result
+ * for the batch config), prefixed with the variant's name. Variants that
+ * keep the batch colours add nothing. Returns `design`.
+ */
+function lintVariants(design, cfg, variants, options) {
+    const seen = new Set([...design.errors, ...design.warnings].map(i => `${i.code} ${i.message}`));
+    for (const v of variants) {
+        if (v.overrides.colorDark === undefined && v.overrides.colorLight === undefined) continue;
+        const result = lintDesign({ ...cfg, ...v.overrides }, options);
+        for (const [list, found] of [[design.errors, result.errors], [design.warnings, result.warnings]]) {
+            for (const issue of found) {
+                if (!COLOR_ISSUES.has(issue.code) || seen.has(`${issue.code} ${issue.message}`)) continue;
+                list.push({ code: issue.code, message: `${v.name}: ${issue.message}`, variant: v.name });
+            }
+        }
+    }
+    design.ok = design.errors.length === 0;
+    return design;
+}
+
+module.exports = { resolveVariants, describeVariants, lintVariants };
@@ -0,0 +1,369 @@
+'use strict';
+
+// ─── Vector output ────────────────────────────────────────────────────────────
+// generateQRBuffer always assembles an SVG document; these helpers turn it
+// into print formats at an exact physical size (in PostScript points).
+//
+//   PDF — pdfkit + svg-to-pdfkit, one page sized to the artwork.
+//   EPS — a small converter for the SVG subset this server emits
+//         (rect, circle, path, text, image with solid fills and strokes,
+//         and linear/radial gradient fills as PostScript 3 shadings).
+
+const PDFDocument = require('pdfkit');
+const SVGtoPDF    = require('svg-to-pdfkit');
+const sharp       = require('sharp');
+const zlib        = require('zlib');
+
+const MM_TO_PT = 72 / 25.4;
+
+function svgToPdf(svg, widthPt, heightPt, title) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: [widthPt, heightPt], margin: 0, autoFirstPage: true,
+            info: { Title: title || 'QR Code', Producer: 'QR Code Generator' },
+        });
+        const chunks = [];
+        doc.on('data', c => chunks.push(c));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+        SVGtoPDF(doc, svg, 0, 0, { width: widthPt, height: heightPt, preserveAspectRatio: 'none', assumePt: true });
+        doc.end();
+    });
+}
+
+// ─── Minimal SVG reader ───────────────────────────────────────────────────────
+// Good enough for machine-generated markup: double-quoted attributes, no
+// CDATA or comments. Returns a flat list of { tag, attrs, text, depth }.
+function parseSvg(svg) {
+    const nodes = [];
+    const re    = /<(\/?)([a-zA-Z][\w:-]*)((?:\s+[\w:-]+="[^"]*")*)\s*(\/?)>|([^<]+)/g;
+    const stack = [];
+    let m;
+    while ((m = re.exec(svg)) !== null) {
+        if (m[5] !== undefined) {
+            const open = stack[stack.length - 1];
+            if (open) open.text += decodeEntities(m[5]);
+            continue;
+        }
+        if (m[1]) { stack.pop(); continue; }
+        const attrs = {};
+        m[3].replace(/([\w:-]+)="([^"]*)"/g, (_, k, v) => { attrs[k] = decodeEntities(v); });
+        const node = { tag: m[2], attrs, text: '', depth: stack.length };
+        nodes.push(node);
+        if (!m[4]) stack.push(node);
+    }
+    return nodes;
+}
+
+function decodeEntities(s) {
+    return s.replace(/&(lt|gt|quot|apos|amp|#\d+|#x[0-9a-fA-F]+);/g, (_, e) => {
+        if (e[0] === '#') return String.fromCodePoint(e[1] === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+        return { lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' }[e];
+    });
+}
+
+// Text and attribute values going into SVG markup
+const escapeXml = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const NAMED_COLORS = { black: [0, 0, 0], white: [1, 1, 1], red: [1, 0, 0], green: [0, 0.5, 0], blue: [0, 0, 1] };
+
+// '#rgb' / '#rrggbb' / '#rrggbbaa' / rgb() / a few names → [r, g, b] in 0..1,
+// or null for none/transparent. Alpha is ignored: EPS has no transparency.
+function parseColor(value) {
+    if (!value || value === 'none' || value === 'transparent') return null;
+    const v = value.trim().toLowerCase();
+    if (v[0] === '#') {
+        let hex = v.slice(1);
+        if (hex.length === 3 || hex.length === 4) hex = hex.split('').map(x => x + x).join('');
+        return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+    }
+    const rgb = /^rgba?\(([^)]+)\)$/.exec(v);
+    if (rgb) return rgb[1].split(',').slice(0, 3).map(x => parseFloat(x) / 255);
+    return NAMED_COLORS[v] || [0, 0, 0];
+}
+
+const num = n => (Math.round(n * 10000) / 10000).toString();
+
+// ─── Path data → PostScript ───────────────────────────────────────────────────
+// Supports M L H V C S Q T A Z in absolute and relative form. Quadratics are
+// raised to cubics and elliptical arcs split into cubic segments.
+function pathToPs(d) {
+    const tokens = d.match(/[a-zA-Z]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/g) || [];
+    const out = [];
+    let i = 0, cmd = null;
+    let x = 0, y = 0, sx = 0, sy = 0;      // current point, subpath start
+    let cx = null, cy = null;             // last control point (for S / T)
+    let qx = null, qy = null;
+    const next = () => parseFloat(tokens[i++]);
+
+    while (i < tokens.length) {
+        if (/[a-zA-Z]/.test(tokens[i])) cmd = tokens[i++];
+        const rel = cmd === cmd.toLowerCase();
+        const C   = cmd.toUpperCase();
+        const ox  = rel ? x : 0, oy = rel ? y : 0;
+
+        if (C === 'Z') {
+            out.push('closepath');
+            x = sx; y = sy; cx = cy = qx = qy = null;
+            continue;
+        }
+        if (C === 'M') {
+            x = ox + next(); y = oy + next(); sx = x; sy = y;
+            out.push(`${num(x)} ${num(y)} moveto`);
+            cmd = rel ? 'l' : 'L'; // implicit lineto for further pairs
+            cx = cy = qx = qy = null;
+            continue;
+        }
+        if (C === 'L') { x = ox + next(); y = oy + next(); out.push(`${num(x)} ${num(y)} lineto`); cx = cy = qx = qy = null; continue; }
+        if (C === 'H') { x = ox + next(); out.push(`${num(x)} ${num(y)} lineto`); cx = cy = qx = qy = null; continue; }
+        if (C === 'V') { y = oy + next(); out.push(`${num(x)} ${num(y)} lineto`); cx = cy = qx = qy = null; continue; }
+
+        if (C === 'C' || C === 'S') {
+            let x1, y1;
+            if (C === 'C') { x1 = ox + next(); y1 = oy + next(); }
+            else { x1 = cx === null ? x : 2 * x - cx; y1 = cy === null ? y : 2 * y - cy; }
+            const x2 = ox + next(), y2 = oy + next();
+            const ex = ox + next(), ey = oy + next();
+            out.push(`${num(x1)} ${num(y1)} ${num(x2)} ${num(y2)} ${num(ex)} ${num(ey)} curveto`);
+            cx = x2; cy = y2; qx = qy = null; x = ex; y = ey;
+            continue;
+        }
+        if (C === 'Q' || C === 'T') {
+            let x1, y1;
+            if (C === 'Q') { x1 = ox + next(); y1 = oy + next(); }
+            else { x1 = qx === null ? x : 2 * x - qx; y1 = qy === null ? y : 2 * y - qy; }
+            const ex = ox + next(), ey = oy + next();
+            const c1x = x + 2 / 3 * (x1 - x), c1y = y + 2 / 3 * (y1 - y);
+            const c2x = ex + 2 / 3 * (x1 - ex), c2y = ey + 2 / 3 * (y1 - ey);
+            out.push(`${num(c1x)} ${num(c1y)} ${num(c2x)} ${num(c2y)} ${num(ex)} ${num(ey)} curveto`);
+            qx = x1; qy = y1; cx = cy = null; x = ex; y = ey;
+            continue;
+        }
+        if (C === 'A') {
+            const rx = next(), ry = next(), rot = next(), large = next(), sweep = next();
+            const ex = ox + next(), ey = oy + next();
+            for (const seg of arcToCubics(x, y, rx, ry, rot, large, sweep, ex, ey))
+                out.push(`${seg.map(num).join(' ')} curveto`);
+            x = ex; y = ey; cx = cy = qx = qy = null;
+            continue;
+        }
+        i++; // unknown token — skip it rather than loop forever
+    }
+    return out.join(' ');
+}
+
+// SVG arc (endpoint parameterisation, SVG 1.1 §F.6.5) → cubic Bézier segments
+function arcToCubics(x1, y1, rx, ry, angle, largeArc, sweep, x2, y2) {
+    if (rx === 0 || ry === 0 || (x1 === x2 && y1 === y2)) return [[x1, y1, x2, y2, x2, y2]];
+    rx = Math.abs(rx); ry = Math.abs(ry);
+    const phi = angle * Math.PI / 180, cos = Math.cos(phi), sin = Math.sin(phi);
+    const dx = (x1 - x2) / 2, dy = (y1 - y2) / 2;
+    const x1p = cos * dx + sin * dy, y1p = -sin * dx + cos * dy;
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) { rx *= Math.sqrt(lambda); ry *= Math.sqrt(lambda); }
+
+    const sign = largeArc === sweep ? -1 : 1;
+    const sq   = Math.max(0, (rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p) / (rx * rx * y1p * y1p + ry * ry * x1p * x1p));
+    const coef = sign * Math.sqrt(sq);
+    const cxp  = coef * (rx * y1p / ry), cyp = coef * -(ry * x1p / rx);
+    const cx   = cos * cxp - sin * cyp + (x1 + x2) / 2;
+    const cy   = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+    const ang = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const th1 = ang(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let dth   = ang((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!sweep && dth > 0) dth -= 2 * Math.PI;
+    if (sweep && dth < 0) dth += 2 * Math.PI;
+
+    const segs  = Math.ceil(Math.abs(dth) / (Math.PI / 2));
+    const delta = dth / segs;
+    const t     = 4 / 3 * Math.tan(delta / 4);
+    const point = (th) => [
+        cx + rx * Math.cos(th) * cos - ry * Math.sin(th) * sin,
+        cy + rx * Math.cos(th) * sin + ry * Math.sin(th) * cos,
+    ];
+    const deriv = (th) => [
+        -rx * Math.sin(th) * cos - ry * Math.cos(th) * sin,
+        -rx * Math.sin(th) * sin + ry * Math.cos(th) * cos,
+    ];
+    const out = [];
+    let th = th1;
+    for (let s = 0; s < segs; s++) {
+        const [px1, py1] = point(th), [dx1, dy1] = deriv(th);
+        const th2 = th + delta;
+        const [px2, py2] = point(th2), [dx2, dy2] = deriv(th2);
+        out.push([px1 + t * dx1, py1 + t * dy1, px2 - t * dx2, py2 - t * dy2, px2, py2]);
+        th = th2;
+    }
+    return out;
+}
+
+// ─── Gradients → PostScript shadings ──────────────────────────────────────────
+// Collects <linearGradient>/<radialGradient> (userSpaceOnUse) by id with
+// their <stop> children, which follow them one level deeper in `nodes`.
+function collectGradients(nodes) {
+    const gradients = new Map();
+    nodes.forEach((node, i) => {
+        if (node.tag !== 'linearGradient' && node.tag !== 'radialGradient') return;
+        const stops = [];
+        for (let j = i + 1; j < nodes.length && nodes[j].depth > node.depth; j++) {
+            const s = nodes[j];
+            if (s.tag !== 'stop' || s.depth !== node.depth + 1) continue;
+            const offset = String(s.attrs.offset || '0');
+            stops.push({
+                offset: Math.min(1, Math.max(0, offset.endsWith('%') ? parseFloat(offset) / 100 : parseFloat(offset) || 0)),
+                color:  parseColor(s.attrs['stop-color'] || '#000000') || [0, 0, 0],
+            });
+        }
+        if (stops.length > 0) gradients.set(node.attrs.id, { tag: node.tag, attrs: node.attrs, stops });
+    });
+    return gradients;
+}
+
+// Shading dictionary for a gradient: exponential interpolation between each
+// pair of stops, stitched together when there are more than two
+function shadingToPs({ tag, attrs: a, stops }) {
+    const list = stops.slice();
+    if (list[0].offset > 0) list.unshift({ offset: 0, color: list[0].color });
+    if (list[list.length - 1].offset < 1) list.push({ offset: 1, color: list[list.length - 1].color });
+    if (list.length === 1) list.push(list[0]);
+
+    const interp = (c0, c1) => `<< /FunctionType 2 /Domain [0 1] /C0 [${c0.map(num).join(' ')}] /C1 [${c1.map(num).join(' ')}] /N 1 >>`;
+    const fn = list.length === 2
+        ? interp(list[0].color, list[1].color)
+        : `<< /FunctionType 3 /Domain [0 1] /Functions [${list.slice(1).map((s, i) => interp(list[i].color, s.color)).join(' ')}]` +
+          ` /Bounds [${list.slice(1, -1).map(s => num(s.offset)).join(' ')}] /Encode [${list.slice(1).map(() => '0 1').join(' ')}] >>`;
+    const coords = tag === 'radialGradient'
+        ? `${num(+a.cx)} ${num(+a.cy)} 0 ${num(+a.cx)} ${num(+a.cy)} ${num(+a.r)}`
+        : `${num(+a.x1)} ${num(+a.y1)} ${num(+a.x2)} ${num(+a.y2)}`;
+    return `<< /ShadingType ${tag === 'radialGradient' ? 3 : 2} /ColorSpace /DeviceRGB /Coords [${coords}] /Function ${fn} /Extend [true true] >>`;
+}
+
+function rectToPs(a) {
+    const x = +a.x || 0, y = +a.y || 0, w = +a.width, h = +a.height;
+    const r = Math.min(+(a.rx || a.ry) || 0, w / 2, h / 2);
+    if (!r) return `${num(x)} ${num(y)} moveto ${num(w)} 0 rlineto 0 ${num(h)} rlineto ${num(-w)} 0 rlineto closepath`;
+    return `${num(x + r)} ${num(y)} moveto ` +
+        `${num(x + w)} ${num(y)} ${num(x + w)} ${num(y + h)} ${num(r)} arct ` +
+        `${num(x + w)} ${num(y + h)} ${num(x)} ${num(y + h)} ${num(r)} arct ` +
+        `${num(x)} ${num(y + h)} ${num(x)} ${num(y)} ${num(r)} arct ` +
+        `${num(x)} ${num(y)} ${num(x + w)} ${num(y)} ${num(r)} arct closepath`;
+}
+
+// PostScript string literal in ISO Latin-1; anything outside it becomes '?'
+function psString(s) {
+    let out = '(';
+    for (const ch of s) {
+        const code = ch.codePointAt(0);
+        if (ch === '(' || ch === ')' || ch === '\\') out += `\\${ch}`;
+        else if (code >= 32 && code < 127) out += ch;
+        else if (code >= 160 && code <= 255) out += `\\${code.toString(8).padStart(3, '0')}`;
+        else out += '?';
+    }
+    return `${out})`;
+}
+
+// ASCII85 (btoa) encoding for inline image data, wrapped at 76 columns
+function ascii85(buf) {
+    let out = '';
+    for (let i = 0; i < buf.length; i += 4) {
+        const n = Math.min(4, buf.length - i);
+        let v = 0;
+        for (let j = 0; j < 4; j++) v = v * 256 + (j < n ? buf[i + j] : 0);
+        if (v === 0 && n === 4) { out += 'z'; continue; }
+        let chunk = '';
+        for (let j = 0; j < 5; j++) { chunk = String.fromCharCode(33 + (v % 85)) + chunk; v = Math.floor(v / 85); }
+        out += chunk.slice(0, n + 1);
+    }
+    return `${out.replace(/(.{76})/g, '$1\n')}~>`;
+}
+
+/**
+ * Convert one of our SVG documents to an EPS of widthPt × heightPt.
+ * Images are decoded with sharp and flattened onto the document background,
+ * since PostScript has no alpha channel.
+ */
+async function svgToEps(svg, widthPt, heightPt, title) {
+    const nodes = parseSvg(svg);
+    const root  = nodes.find(n => n.tag === 'svg');
+    const [vx, vy, vw, vh] = (root.attrs.viewBox || `0 0 ${root.attrs.width} ${root.attrs.height}`).split(/[\s,]+/).map(Number);
+
+    const background = nodes.find(n => n.tag === 'rect' && n.attrs.width === '100%');
+    const bgColor    = (background && parseColor(background.attrs.fill)) || [1, 1, 1];
+
+    const gradients = collectGradients(nodes);
+    const body = [];
+    const paint = (a, pathOps) => {
+        const ref = /^url\(#([^)]+)\)$/.exec(a.fill || '');
+        if (ref && gradients.has(ref[1])) {
+            // Clip to the shape and paint the shading through it
+            body.push(`gsave newpath ${pathOps} ${a['fill-rule'] === 'evenodd' ? 'eoclip' : 'clip'} newpath ${shadingToPs(gradients.get(ref[1]))} shfill grestore`);
+        }
+        const fill   = ref ? null : parseColor(a.fill === undefined ? '#000000' : a.fill);
+        const stroke = parseColor(a.stroke);
+        if (fill) body.push(`newpath ${pathOps} ${fill.map(num).join(' ')} setrgbcolor ${a['fill-rule'] === 'evenodd' ? 'eofill' : 'fill'}`);
+        if (stroke) body.push(`newpath ${pathOps} ${stroke.map(num).join(' ')} setrgbcolor ${num(+(a['stroke-width'] || 1))} setlinewidth stroke`);
+    };
+
+    for (const { tag, attrs: a, text } of nodes) {
+        if (tag === 'rect') {
+            if (a.width === '100%') { paint(a, rectToPs({ x: vx, y: vy, width: vw, height: vh })); continue; }
+            paint(a, rectToPs(a));
+        } else if (tag === 'circle') {
+            paint(a, `${num(+a.cx + +a.r)} ${num(+a.cy)} moveto ${num(+a.cx)} ${num(+a.cy)} ${num(+a.r)} 0 360 arc closepath`);
+        } else if (tag === 'path') {
+            paint(a, pathToPs(a.d));
+        } else if (tag === 'text' && text) {
+            const color = parseColor(a.fill) || [0, 0, 0];
+            const size  = +a['font-size'] || 12;
+            const font  = a['font-weight'] === 'bold' ? '/Helvetica-Bold-L1' : '/Helvetica-L1';
+            const align = a['text-anchor'] === 'middle' ? 'dup stringwidth pop 2 div neg 0 rmoveto '
+                        : a['text-anchor'] === 'end' ? 'dup stringwidth pop neg 0 rmoveto ' : '';
+            // dominant-baseline="middle" ≈ shift the baseline down by half the cap height
+            const dy = a['dominant-baseline'] === 'middle' ? size * 0.35 : 0;
+            body.push(`gsave ${color.map(num).join(' ')} setrgbcolor ${font} findfont ${num(size)} scalefont setfont ` +
+                `${num(+a.x)} ${num(+a.y + dy)} translate 1 -1 scale 0 0 moveto ${psString(text)} ${align}show grestore`);
+        } else if (tag === 'image') {
+            const href = a.href || a['xlink:href'] || '';
+            const m    = /^data:image\/[\w+.-]+;base64,(.*)$/.exec(href);
+            if (!m) continue;
+            const bg = { r: Math.round(bgColor[0] * 255), g: Math.round(bgColor[1] * 255), b: Math.round(bgColor[2] * 255) };
+            const { data, info } = await sharp(Buffer.from(m[1], 'base64'))
+                .flatten({ background: bg }).removeAlpha().raw()
+                .toBuffer({ resolveWithObject: true });
+            body.push(`gsave ${num(+a.x)} ${num(+a.y)} translate ${num(+a.width)} ${num(+a.height)} scale ` +
+                `${info.width} ${info.height} 8 [${info.width} 0 0 ${info.height} 0 0] ` +
+                `currentfile /ASCII85Decode filter /FlateDecode filter false 3 colorimage\n${ascii85(zlib.deflateSync(data))}\ngrestore`);
+        }
+    }
+
+    const W = Math.ceil(widthPt), H = Math.ceil(heightPt);
+    return Buffer.from([
+        '%!PS-Adobe-3.0 EPSF-3.0',
+        `%%BoundingBox: 0 0 ${W} ${H}`,
+        `%%HiResBoundingBox: 0 0 ${num(widthPt)} ${num(heightPt)}`,
+        `%%Title: ${(title || 'QR Code').replace(/[\r\n]+/g, ' ')}`,
+        '%%Creator: QR Code Generator',
+        `%%CreationDate: ${new Date().toISOString()}`,
+        '%%LanguageLevel: 3', // FlateDecode for embedded images
+        '%%Pages: 1',
+        '%%EndComments',
+        '%%BeginProlog',
+        '/reencode { findfont dup length dict begin { 1 index /FID ne { def } { pop pop } ifelse } forall',
+        '  /Encoding ISOLatin1Encoding def currentdict end definefont pop } bind def',
+        '/Helvetica-L1 /Helvetica reencode',
+        '/Helvetica-Bold-L1 /Helvetica-Bold reencode',
+        '%%EndProlog',
+        '%%Page: 1 1',
+        'save',
+        // SVG user space: origin top-left, y down
+        `0 ${num(heightPt)} translate ${num(widthPt / vw)} ${num(-heightPt / vh)} scale ${num(-vx)} ${num(-vy)} translate`,
+        ...body,
+        'restore',
+        'showpage',
+        '%%EOF',
+        '',
+    ].join('\n'));
+}
+
+module.exports = { MM_TO_PT, svgToPdf, svgToEps, escapeXml };
@@ -0,0 +1,63 @@
+'use strict';
+
+// ─── Decode verification ──────────────────────────────────────────────────────
+// Reads a rendered code back with jsQR (pure JS) and checks that it yields
+// exactly the intended payload. Catches codes ruined by oversized logos,
+// low-contrast colours or a missing quiet zone before they are printed.
+
+const jsQR  = require('jsqr');
+const sharp = require('sharp');
+
+// jsQR needs a few pixels per module but gets slow on huge bitmaps
+const MAX_DECODE_PX = 1000;
+
+// Styled modules with gaps between them (dots, diamonds…) can trip jsQR's
+// finder detection at full size; scaled down to a few pixels per module the
+// gaps blur shut. That is kinder than a real scan, so a code that only
+// decodes this way passes with a warning rather than cleanly.
+const RETRY_PX_PER_MODULE = [4, 3, 5];
+
+async function decode(buf, width) {
+    let img = sharp(buf, { density: 150 }).flatten({ background: '#ffffff' });
+    img = width
+        ? img.resize({ width, kernel: 'linear' })
+        : img.resize(MAX_DECODE_PX, MAX_DECODE_PX, { fit: 'inside', withoutEnlargement: true });
+    const { data, info } = await img.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+
+    return jsQR(new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), info.width, info.height, {
+        inversionAttempts: 'attemptBoth',
+    });
+}
+
+/**
+ * Decode `buf` (PNG, JPEG or SVG) and compare the bytes with `payload`.
+ * Resolves to { error, warning }: `error` is a short reason when the code
+ * does not round-trip, `warning` set when it only decoded in a scaled-down
+ * retry. Both are null for a clean pass. Transparent areas are flattened
+ * onto white, as most viewers show them. `moduleCount` (image width in
+ * modules: symbol, quiet zone and any frame) enables the retries.
+ */
+async function verifyQR(buf, payload, { moduleCount } = {}) {
+    let result = await decode(buf);
+    let scaled = null;
+    for (let i = 0; !result && moduleCount && i < RETRY_PX_PER_MODULE.length; i++) {
+        result = await decode(buf, moduleCount * RETRY_PX_PER_MODULE[i]);
+        if (result) scaled = RETRY_PX_PER_MODULE[i];
+    }
+    if (!result) return { error: 'No QR code could be decoded', warning: null };
+
+    // Kanji segments (qrMode=kanji) read back as Shift JIS bytes; jsQR's text has them decoded
+    const expected = Buffer.from(String(payload), 'utf8');
+    const actual   = Buffer.from(result.binaryData);
+    const kanji    = result.chunks.some(c => c.type === 'kanji');
+    if (kanji ? result.data !== String(payload) : !expected.equals(actual)) {
+        const shown = actual.toString('utf8');
+        return { error: `Decoded "${shown.length > 60 ? `${shown.slice(0, 60)}…` : shown}" instead of the payload`, warning: null };
+    }
+    return {
+        error:   null,
+        warning: scaled ? `Decoded only when scaled down to ${scaled} px per module; test-scan a printed sample` : null,
+    };
+}
+
+module.exports = { verifyQR };
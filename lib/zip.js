@@ -0,0 +1,146 @@
+'use strict';
+
+// ─── ZIP layout and parts ─────────────────────────────────────────────────────
+// Where files go inside the batch ZIP, and how the ZIP is split:
+//
+//   folderTemplate  folder per row from its data, e.g. "{Region}/{Store}"
+//                   (parsed with the other templates in parseRecords)
+//   folderSize      at most this many files per folder: 0001-1000, 1001-2000…
+//                   within each template folder
+//   zipPartSize     MB per ZIP file; the output is split into numbered parts
+//
+// Part sizes are estimated from the uncompressed entries plus their zip
+// headers. Images barely compress, so that keeps each part under the limit;
+// an entry bigger than the limit on its own gets a part to itself. A row's
+// files in several variants are appended as a group and stay in one part.
+
+const fs       = require('fs');
+const archiver = require('archiver');
+
+const MB             = 1024 * 1024;
+const MIN_PART_MB    = 1;
+const ENTRY_OVERHEAD = 128; // local header, data descriptor and central directory record, besides the name
+const END_OVERHEAD   = 22;  // end of central directory record
+
+// folderSize / zipPartSize of a render config; throws on bad values
+function resolveZipLayout(cfg) {
+    const given = key => cfg[key] !== undefined && cfg[key] !== '';
+    const folderSize = given('folderSize') ? Number(cfg.folderSize) : 0;
+    if (!Number.isInteger(folderSize) || folderSize < 0) throw new Error('folderSize must be a whole number of files, 0 for no limit');
+    const partMb = given('zipPartSize') ? parseFloat(cfg.zipPartSize) : 0;
+    if (given('zipPartSize') && !(partMb >= MIN_PART_MB)) throw new Error(`zipPartSize must be at least ${MIN_PART_MB} (MB)`);
+    return { folderSize, partBytes: partMb ? Math.floor(partMb * MB) : Infinity };
+}
+
+// One file or folder name as written to the ZIP: no path separators or
+// characters Windows rejects, no trailing dots, never empty
+function safePathSegment(value, fallback) {
+    const name = String(value).replace(/[<>:"/\\|?*\x00-\x1F\r\n\t]/g, '-').trim().replace(/\.+$/, '');
+    return name || fallback;
+}
+
+// A "a/b/c" folder path with every level made safe; '' for none
+function safeFolderPath(value) {
+    return String(value || '').split(/[/\\]/).map(s => s.trim()).filter(Boolean)
+        .map(s => safePathSegment(s, '_')).join('/');
+}
+
+/**
+ * Put `records` into numbered folders of `folderSize` files, counted within
+ * each `record.folder` (set by folderTemplate) in record order.
+ */
+function assignChunkFolders(records, folderSize) {
+    const totals = new Map();
+    for (const r of records) totals.set(r.folder || '', (totals.get(r.folder || '') || 0) + 1);
+    const seen = new Map();
+    for (const r of records) {
+        const group = r.folder || '';
+        const index = seen.get(group) || 0;
+        seen.set(group, index + 1);
+        const total = totals.get(group);
+        const width = String(total).length;
+        const start = Math.floor(index / folderSize) * folderSize + 1;
+        const end   = Math.min(start + folderSize - 1, total);
+        const chunk = `${String(start).padStart(width, '0')}-${String(end).padStart(width, '0')}`;
+        r.folder = group ? `${group}/${chunk}` : chunk;
+    }
+}
+
+// Estimated bytes an entry adds to a part: its data, header and name (twice)
+const entryBytes = ({ source, name, size }) =>
+    (Buffer.isBuffer(source) ? source.length : typeof source === 'string' ? Buffer.byteLength(source) : size || 0) +
+    ENTRY_OVERHEAD + 2 * Buffer.byteLength(name);
+
+/**
+ * ZIP output in parts of at most `maxBytes` (one part when Infinity).
+ * `pathFor(n)` names the temp file of part n (1-based). `parts` lists
+ * { path, size } as they are opened; sizes are filled in by finalize().
+ * append() takes what archiver does — for streams, pass `size` too — and
+ * returns the part number the entry went into. appendGroup() takes a list of
+ * { source, name, size } and puts them all into the same part, returning it.
+ * bufferedBytes() is what was appended but not yet taken in by archiver,
+ * for render backpressure.
+ */
+function createZipWriter(pathFor, { maxBytes = Infinity, level = 1 } = {}) {
+    const parts  = [];
+    const opened = []; // { archive, output, done } per part
+    let current  = null;
+    let buffered = 0;
+
+    function open() {
+        if (current) current.archive.finalize();
+        const part    = { path: pathFor(parts.length + 1), size: 0 };
+        const output  = fs.createWriteStream(part.path);
+        const archive = archiver('zip', { zlib: { level } });
+        const done    = new Promise((resolve, reject) => {
+            output.on('close', resolve);
+            output.on('error', reject);
+            archive.on('error', reject);
+        });
+        done.catch(() => {}); // awaited in finalize; late writes into an aborted part reject it
+        // archiver takes entries in append order, so the sizes are a FIFO
+        const sizes = [];
+        let taken   = 0;
+        archive.on('entry', () => { buffered -= sizes[taken++]; });
+        archive.pipe(output);
+        parts.push(part);
+        current = { archive, output, done, sizes, estimate: END_OVERHEAD, entries: 0 };
+        opened.push(current);
+    }
+
+    function appendGroup(entries) {
+        const sized = entries.map(e => ({ ...e, bytes: entryBytes(e) }));
+        const total = sized.reduce((n, e) => n + e.bytes, 0);
+        if (!current || (current.entries > 0 && current.estimate + total > maxBytes)) open();
+        for (const { source, name, bytes } of sized) {
+            current.archive.append(source, { name });
+            current.sizes.push(bytes);
+            current.estimate += bytes;
+            current.entries++;
+            buffered += bytes;
+        }
+        return parts.length;
+    }
+
+    return {
+        parts,
+        append: (source, { name, size }) => appendGroup([{ source, name, size }]),
+        appendGroup,
+        bufferedBytes: () => buffered,
+        async finalize() {
+            if (!current) open(); // an empty batch still gets its (empty) ZIP
+            current.archive.finalize();
+            await Promise.all(opened.map(o => o.done));
+            for (const part of parts) part.size = fs.statSync(part.path).size;
+            return parts;
+        },
+        abort() {
+            for (const o of opened) {
+                o.archive.abort();
+                o.output.destroy();
+            }
+        },
+    };
+}
+
+module.exports = { resolveZipLayout, safePathSegment, safeFolderPath, assignChunkFolders, createZipWriter };
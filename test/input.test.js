@@ -0,0 +1,80 @@
+'use strict';
+
+// Delimited text input (lib/input.js): quoting, delimiter sniffing and
+// encoding detection, read the way uploads are — from a file on disk.
+
+const test   = require('node:test');
+const assert = require('node:assert');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const xlsx   = require('xlsx');
+
+const { readWorkbook } = require('../lib/input');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qr-input-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let fileNo = 0;
+function read(content, name = 'data.csv', opts = {}) {
+    const file = path.join(dir, `${fileNo++}-${name}`);
+    fs.writeFileSync(file, content);
+    const { workbook, info } = readWorkbook(file, opts);
+    const rows = xlsx.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1, defval: '' });
+    return { rows, info };
+}
+
+test('quoted fields keep delimiters, doubled quotes and line breaks', () => {
+    const { rows } = read('id,note\r\n1,"a, b"\r\n2,"say ""hi"""\r\n3,"two\nlines"\r\n');
+    assert.deepStrictEqual(rows, [['id', 'note'], ['1', 'a, b'], ['2', 'say "hi"'], ['3', 'two\nlines']]);
+});
+
+test('values stay text, so leading zeros survive', () => {
+    const { rows } = read('serial\n000123\n1e5\n');
+    assert.deepStrictEqual(rows, [['serial'], ['000123'], ['1e5']]);
+});
+
+test('the delimiter is sniffed from the lines, ignoring quoted text', () => {
+    const semi = read('id;name;city\n1;"Smith, Ann";Paris\n2;Bob;Lyon\n');
+    assert.strictEqual(semi.info.delimiter, ';');
+    assert.deepStrictEqual(semi.rows[1], ['1', 'Smith, Ann', 'Paris']);
+
+    assert.strictEqual(read('a|b\n1|2\n').info.delimiter, '|');
+    assert.strictEqual(read('a\tb\n1\t2\n', 'data.txt').info.delimiter, '\t');
+});
+
+test('.tsv files are tab-separated and an explicit delimiter wins', () => {
+    assert.strictEqual(read('a,b\tc\n', 'data.tsv').info.delimiter, '\t');
+    const { rows, info } = read('a,b;c\n1,2;3\n', 'data.csv', { delimiter: ';' });
+    assert.strictEqual(info.delimiter, ';');
+    assert.deepStrictEqual(rows, [['a,b', 'c'], ['1,2', '3']]);
+    assert.throws(() => read('a\n', 'data.csv', { delimiter: '::' }), /single character/);
+});
+
+test('a UTF-8 BOM is dropped from the first header', () => {
+    const { rows, info } = read(Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from('Name,Ort\nJosé,Köln\n')]));
+    assert.strictEqual(info.encoding, 'utf-8');
+    assert.deepStrictEqual(rows, [['Name', 'Ort'], ['José', 'Köln']]);
+});
+
+test('UTF-16 is recognised with or without a BOM', () => {
+    const text = 'Name,Ort\nJosé,Köln\n';
+    const withBom = read(Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(text, 'utf16le')]));
+    assert.strictEqual(withBom.info.encoding, 'utf-16le');
+    assert.deepStrictEqual(withBom.rows[1], ['José', 'Köln']);
+
+    const noBom = read(Buffer.from(text, 'utf16le'));
+    assert.strictEqual(noBom.info.encoding, 'utf-16le');
+    assert.deepStrictEqual(noBom.rows[1], ['José', 'Köln']);
+});
+
+test('bytes that are not UTF-8 fall back to Windows-1252, unless an encoding is given', () => {
+    const cp1252 = Buffer.from('Name\nJos\xE9 \x80 \x93ok\x94\n', 'latin1');
+    const guessed = read(cp1252);
+    assert.strictEqual(guessed.info.encoding, 'windows-1252');
+    assert.deepStrictEqual(guessed.rows[1], ['José € “ok”']);
+
+    const given = read(cp1252, 'data.csv', { encoding: 'iso-8859-15' });
+    assert.strictEqual(given.info.encoding, 'iso-8859-15');
+    assert.deepStrictEqual(given.rows[1], ['José \x80 \x93ok\x94']);
+});
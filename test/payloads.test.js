@@ -0,0 +1,54 @@
+'use strict';
+
+// Escaping in the structured payload builders (lib/payloads.js): a name or
+// password containing a separator must come out as data, not end the field.
+
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const { buildPayload } = require('../lib/payloads');
+
+test('vCard escapes backslashes, commas, semicolons and newlines in TEXT values', () => {
+    const card = buildPayload('vcard', { firstName: 'Ann', lastName: 'Smith; Jones', org: 'A\\B, Inc.', note: 'line 1\nline 2' });
+    const lines = card.split('\r\n');
+    assert.strictEqual(lines[0], 'BEGIN:VCARD');
+    assert.ok(lines.includes('N:Smith\\; Jones;Ann;;;'));
+    assert.ok(lines.includes('FN:Ann Smith\\; Jones'));
+    assert.ok(lines.includes('ORG:A\\\\B\\, Inc.'));
+    assert.ok(lines.includes('NOTE:line 1\\nline 2'));
+    assert.strictEqual(lines[lines.length - 1], 'END:VCARD');
+});
+
+test('vCard escapes each address part but keeps the separators between them', () => {
+    const card = buildPayload('vcard', { org: 'Acme', street: '1 Main St; Unit 2', city: 'Springfield', country: 'US' });
+    assert.ok(card.split('\r\n').includes('ADR;TYPE=WORK:;;1 Main St\\; Unit 2;Springfield;;;US'));
+});
+
+test('Wi-Fi escapes reserved characters in the SSID and password', () => {
+    assert.strictEqual(
+        buildPayload('wifi', { ssid: 'Cafe;Guest', password: 'pa:ss,wo"rd\\' }),
+        'WIFI:T:WPA;S:Cafe\\;Guest;P:pa\\:ss\\,wo\\"rd\\\\;;');
+});
+
+test('Wi-Fi quotes an all-hex SSID or password instead of escaping it', () => {
+    assert.strictEqual(
+        buildPayload('wifi', { ssid: 'CAFE', password: '0123456789abcdef', encryption: 'WPA2' }),
+        'WIFI:T:WPA;S:"CAFE";P:"0123456789abcdef";;');
+    assert.strictEqual(buildPayload('wifi', { ssid: 'ABC', hidden: 'yes' }), 'WIFI:T:nopass;S:ABC;H:true;;');
+});
+
+test('Wi-Fi rejects passwords that do not suit the encryption', () => {
+    assert.throws(() => buildPayload('wifi', { ssid: 'Home', password: 'short' }), /8–63 characters/);
+    assert.throws(() => buildPayload('wifi', { ssid: 'Home', password: 'secret123', encryption: 'nopass' }), /open network/);
+    assert.throws(() => buildPayload('wifi', { password: 'secret123' }), /Missing required field: ssid/);
+});
+
+test('MeCard escapes reserved characters and lists the last name first', () => {
+    assert.strictEqual(
+        buildPayload('mecard', { firstName: 'Ann', lastName: 'Smith, Jr.', address: 'Flat 2; 1 Main St', note: 'a:b\\c' }),
+        'MECARD:N:Smith\\, Jr.,Ann;ADR:Flat 2\\; 1 Main St;NOTE:a\\:b\\\\c;;');
+});
+
+test('MeCard needs a name', () => {
+    assert.throws(() => buildPayload('mecard', { phone: '+1 555 0100' }), /firstName or lastName is required/);
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+// Round trips for the symbols lib/qrencode.js builds itself from qrcode
+// internals (ECI, Kanji mode, pinned version and mask): encode, draw the
+// modules, read them back with jsQR. A qrcode upgrade that moves those
+// internals should fail here rather than in a printed batch.
+
+const test   = require('node:test');
+const assert = require('node:assert');
+const jsQR   = require('jsqr');
+
+const { createQR } = require('../lib/qrencode');
+
+const QUIET = 4;
+const SCALE = 4; // pixels per module
+
+function decode(qr) {
+    const size = qr.modules.size;
+    const px   = (size + 2 * QUIET) * SCALE;
+    const data = new Uint8ClampedArray(px * px * 4).fill(255);
+    for (let y = 0; y < px; y++) {
+        for (let x = 0; x < px; x++) {
+            const r = Math.floor(y / SCALE) - QUIET, c = Math.floor(x / SCALE) - QUIET;
+            if (r >= 0 && r < size && c >= 0 && c < size && qr.modules.get(r, c)) data.fill(0, (y * px + x) * 4, (y * px + x) * 4 + 3);
+        }
+    }
+    return jsQR(data, px, px);
+}
+
+// Mask pattern from the format information beside the top-left finder
+function maskOf(qr) {
+    const size = qr.modules.size;
+    let bits = 0;
+    for (let i = 0; i < 15; i++) {
+        const row = i < 6 ? i : i < 8 ? i + 1 : size - 15 + i;
+        if (qr.modules.get(row, 8)) bits |= 1 << i;
+    }
+    return ((bits ^ 0x5412) >> 10) & 7;
+}
+
+test('UTF-8 ECI decodes to the UTF-8 bytes, led by ECI 26', () => {
+    const payload = 'Grüße aus Köln – 5 €';
+    const result  = decode(createQR(payload, { qrEci: 'utf8' }, 'M'));
+    assert.ok(result, 'no QR code decoded');
+    assert.deepStrictEqual(Buffer.from(result.binaryData), Buffer.from(payload, 'utf8'));
+    assert.ok(result.chunks.some(c => c.type === 'eci' && c.assignmentNumber === 26), 'no ECI 26 designator');
+});
+
+test('Kanji mode decodes to the same text', () => {
+    const payload = '漢字のテスト';
+    const result  = decode(createQR(payload, { qrMode: 'kanji' }, 'Q'));
+    assert.ok(result, 'no QR code decoded');
+    assert.strictEqual(result.data, payload);
+    assert.ok(result.chunks.some(c => c.type === 'kanji'), 'not encoded as a Kanji segment');
+});
+
+test('a pinned version and mask are used and decode', () => {
+    const payload = 'https://example.com/0123456789';
+    for (const cfg of [{ qrVersion: 7, qrMask: 3 }, { qrVersion: 5, qrMask: 6, qrEci: 'utf8' }, { qrVersion: 4, qrMask: 1, qrMode: 'byte' }]) {
+        const qr     = createQR(payload, cfg, 'M');
+        const result = decode(qr);
+        assert.strictEqual(qr.version, cfg.qrVersion);
+        assert.strictEqual(qr.modules.size, 17 + 4 * cfg.qrVersion);
+        assert.strictEqual(maskOf(qr), cfg.qrMask);
+        assert.ok(result, `no QR code decoded for ${JSON.stringify(cfg)}`);
+        assert.strictEqual(result.data, payload);
+        assert.strictEqual(result.version, cfg.qrVersion);
+    }
+});
+
+test('a pinned version too small for the payload is refused', () => {
+    assert.throws(() => createQR('x'.repeat(200), { qrVersion: 2 }, 'M'), /qrVersion pins 2/);
+});
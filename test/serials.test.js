@@ -0,0 +1,36 @@
+'use strict';
+
+// Check digits of the serial generator (lib/serials.js) against published
+// examples: a card number, IBANs and ORCID iDs.
+
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const { CHECK_DIGITS, generateSerials } = require('../lib/serials');
+
+test('Luhn matches known card and reference numbers', () => {
+    assert.strictEqual(CHECK_DIGITS.luhn('7992739871'), '3');
+    assert.strictEqual(CHECK_DIGITS.luhn('411111111111111'), '1'); // Visa test card 4111 1111 1111 1111
+    assert.strictEqual(CHECK_DIGITS.luhn('4111-1111-1111-111'), '1', 'separators are ignored');
+    assert.throws(() => CHECK_DIGITS.luhn('ABC-'), /need a serial with digits/);
+});
+
+test('MOD 97-10 gives the IBAN check digits', () => {
+    // Account number and bank code, then the country code, as IBAN validation rearranges them
+    assert.strictEqual(CHECK_DIGITS.mod97('WEST12345698765432GB'), '82'); // GB82 WEST 1234 5698 7654 32
+    assert.strictEqual(CHECK_DIGITS.mod97('370400440532013000DE'), '89'); // DE89 3704 0044 0532 0130 00
+    assert.strictEqual(CHECK_DIGITS.mod97('west12345698765432gb'), '82', 'letters are case-insensitive');
+});
+
+test('MOD 11-2 gives the ORCID check character, X for 10', () => {
+    assert.strictEqual(CHECK_DIGITS.mod11('000000021825009'), '7'); // 0000-0002-1825-0097
+    assert.strictEqual(CHECK_DIGITS.mod11('0000-0002-1694-233'), 'X'); // 0000-0002-1694-233X
+    assert.strictEqual(CHECK_DIGITS.mod11('000000012281955'), 'X'); // 0000-0001-2281-955X
+});
+
+test('the check digit covers the serial around its {check} position', () => {
+    const serials = generateSerials({ serialPattern: 'A{n:3}-{check}-{YY}', serialStart: 9, serialCount: 2, checkDigit: 'luhn' },
+        new Date(2024, 4, 6));
+    assert.deepStrictEqual(serials, ['A009-1-24', 'A010-9-24']);
+    assert.deepStrictEqual(generateSerials({ serialCount: 2, serialStart: 7992739871, checkDigit: 'LUHN' }), ['79927398713', '79927398721']);
+});